@@ -1,4 +1,6 @@
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const orderNumberService = require('../services/orderNumberService');
+const Cocktail = require('../models/Cocktail');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -34,6 +36,197 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+// Multipart forms send lists and objects as JSON strings, and simple lists
+// may be comma-separated
+const parseJsonField = value => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const parseListField = value => {
+  const parsed = parseJsonField(value);
+  return typeof parsed === 'string'
+    ? parsed.split(',').map(item => item.trim()).filter(Boolean)
+    : parsed;
+};
+
+// Categories, ingredients and serving details, shared by create and update
+const cocktailDetailRules = [
+  body('category')
+    .optional()
+    .isIn(Cocktail.CATEGORIES)
+    .withMessage(`Category must be one of ${Cocktail.CATEGORIES.join(', ')}`),
+  body('tags')
+    .optional()
+    .customSanitizer(parseListField)
+    .isArray({ max: 20 })
+    .withMessage('Tags must be a list of at most 20 tags'),
+  body('tags.*')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be between 1 and 30 characters'),
+  body('ingredients')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .isArray()
+    .withMessage('Ingredients must be a list'),
+  body('ingredients.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each ingredient needs a name of at most 100 characters'),
+  body('ingredients.*.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Ingredient amounts must be positive numbers'),
+  body('ingredients.*.unit')
+    .optional()
+    .isIn(['ml', 'cl', 'oz', 'dash', 'piece', 'tsp', 'tbsp'])
+    .withMessage('Ingredient unit must be one of ml, cl, oz, dash, piece, tsp or tbsp'),
+  body('ingredients.*.abv')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Ingredient ABV must be between 0 and 100'),
+  body('spiritBase')
+    .optional()
+    .isIn(Cocktail.SPIRIT_BASES)
+    .withMessage(`Spirit base must be one of ${Cocktail.SPIRIT_BASES.join(', ')}`),
+  body('abv')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('ABV must be between 0 and 100'),
+  body('allergens')
+    .optional()
+    .customSanitizer(parseListField)
+    .isArray()
+    .withMessage('Allergens must be a list'),
+  body('allergens.*')
+    .isIn(Cocktail.ALLERGENS)
+    .withMessage(`Allergens must be among ${Cocktail.ALLERGENS.join(', ')}`),
+  body('servingSize')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .isObject()
+    .withMessage('Serving size must be an object with amount and unit'),
+  body('servingSize.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Serving size must be a positive number'),
+  body('servingSize.unit')
+    .optional()
+    .isIn(['ml', 'cl', 'oz'])
+    .withMessage('Serving size unit must be ml, cl or oz')
+];
+
+// Variants, modifier groups and state prices, shared by create and update.
+// Existing variants and options keep their IDs when sent back with their `_id`.
+const cocktailOptionRules = [
+  body('variants')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .isArray({ max: 10 })
+    .withMessage('Variants must be a list of at most 10 variants')
+    .custom(variants => variants.filter(variant => variant && variant.isDefault === true).length <= 1)
+    .withMessage('Only one variant can be the default'),
+  body('variants.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('variants.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each variant needs a name of at most 50 characters'),
+  body('variants.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Each variant needs a positive price'),
+  body('variants.*.inventory')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant inventory ID'),
+  body('variants.*.stockUnits')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Variant stock units must be a positive integer'),
+  body('variants.*.weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Variant weight must be a positive number'),
+  body(['variants.*.isDefault', 'variants.*.isActive'])
+    .optional()
+    .isBoolean()
+    .withMessage('Variant flags must be true or false'),
+  body('modifierGroups')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .isArray({ max: 10 })
+    .withMessage('Modifier groups must be a list of at most 10 groups'),
+  body('modifierGroups.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid modifier group ID'),
+  body('modifierGroups.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each modifier group needs a name of at most 50 characters'),
+  body('modifierGroups.*.minSelections')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Minimum selections must be 0 or more'),
+  body('modifierGroups.*.maxSelections')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Maximum selections must be at least 1')
+    .custom((value, { req, path }) => {
+      const group = req.body.modifierGroups[Number(path.match(/\[(\d+)\]/)[1])];
+      return Number(value) >= Number(group.minSelections || 0);
+    })
+    .withMessage('Maximum selections cannot be less than minimum selections'),
+  body('modifierGroups.*.options')
+    .isArray({ min: 1 })
+    .withMessage('Each modifier group needs at least one option'),
+  body('modifierGroups.*.options.*._id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid modifier option ID'),
+  body('modifierGroups.*.options.*.name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each modifier option needs a name of at most 50 characters'),
+  body('modifierGroups.*.options.*.price')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Modifier option prices must be positive numbers'),
+  body('modifierGroups.*.options.*.isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Modifier option flags must be true or false'),
+  body('statePrices')
+    .optional()
+    .customSanitizer(parseJsonField)
+    .isArray()
+    .withMessage('State prices must be a list')
+    .custom(overrides => {
+      const keys = overrides.map(override => `${override && override.state}|${(override && override.variant) || ''}`);
+      return new Set(keys).size === keys.length;
+    })
+    .withMessage('Each state can only have one price override per variant'),
+  body('statePrices.*.state')
+    .isIn(Cocktail.STATES)
+    .withMessage('Invalid state specified'),
+  body('statePrices.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('statePrices.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('State prices must be positive numbers')
+];
+
 // Cocktail validation rules
 const validateCocktail = [
   body('name')
@@ -47,6 +240,14 @@ const validateCocktail = [
   body('price')
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
+  body('weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Weight must be a positive number'),
+  body('taxCategory')
+    .optional()
+    .isIn(['alcoholic', 'non_alcoholic'])
+    .withMessage('Tax category must be alcoholic or non_alcoholic'),
   body('availableStates')
     .isArray({ min: 1 })
     .withMessage('At least one state must be specified'),
@@ -60,9 +261,62 @@ const validateCocktail = [
       'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
     ])
     .withMessage('Invalid state specified'),
+  ...cocktailDetailRules,
+  ...cocktailOptionRules,
+  handleValidationErrors
+];
+
+// Cocktail update rules; every field is optional
+const validateCocktailUpdate = [
+  ...cocktailDetailRules,
+  ...cocktailOptionRules,
+  handleValidationErrors
+];
+
+// Catalog search parameters; `state` is checked by the route
+const validateCatalogSearch = [
+  query('q')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text cannot exceed 100 characters'),
+  query(['minPrice', 'maxPrice'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Price filters must be positive numbers'),
+  query('maxPrice')
+    .optional()
+    .custom((maxPrice, { req }) => req.query.minPrice === undefined || Number(maxPrice) >= Number(req.query.minPrice))
+    .withMessage('maxPrice cannot be less than minPrice'),
+  query('sort')
+    .optional()
+    .isIn(['relevance', 'price_asc', 'price_desc', 'popularity', 'newest'])
+    .withMessage('Sort must be one of relevance, price_asc, price_desc, popularity or newest'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
   handleValidationErrors
 ];
 
+// Age attestation given at checkout for orders containing alcohol
+const ageAttestationRules = [
+  body('ageAttestation.confirmed')
+    .optional()
+    .isBoolean()
+    .withMessage('Age confirmation must be true or false'),
+  body('ageAttestation.dateOfBirth')
+    .optional()
+    .isISO8601()
+    .isBefore()
+    .withMessage('Date of birth must be a past date (YYYY-MM-DD)')
+];
+
 // Order validation rules
 const validateOrder = [
   body('customer.name')
@@ -77,6 +331,32 @@ const validateOrder = [
     .trim()
     .isLength({ min: 1, max: 500 })
     .withMessage('Address must be between 1 and 500 characters'),
+  body('customer.email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Invalid email address'),
+  body('customer.locale')
+    .optional()
+    .isIn(['en', 'pcm', 'yo', 'ha', 'ig'])
+    .withMessage('Locale must be one of en, pcm, yo, ha or ig'),
+  body('customer.notificationChannels')
+    .optional()
+    .isArray()
+    .withMessage('Notification channels must be an array'),
+  body('customer.notificationChannels.*')
+    .isIn(['email', 'sms', 'whatsapp'])
+    .withMessage('Notification channels must be email, sms or whatsapp'),
+  body('customer.city')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('City cannot exceed 100 characters'),
+  body('customer.lga')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('LGA cannot exceed 100 characters'),
   body('customer.state')
     .isIn([
       'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
@@ -96,18 +376,372 @@ const validateOrder = [
   body('items.*.quantity')
     .isInt({ min: 1 })
     .withMessage('Quantity must be a positive integer'),
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('items.*.modifiers')
+    .optional()
+    .isArray()
+    .withMessage('Modifiers must be an array of option IDs'),
+  body('items.*.modifiers.*')
+    .isMongoId()
+    .withMessage('Invalid modifier option ID'),
   body('idempotencyKey')
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Idempotency key is required'),
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'bank_transfer', 'cash_on_delivery'])
+    .withMessage('Payment method must be card, bank_transfer or cash_on_delivery'),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Promo code must be between 1 and 30 characters'),
+  ...ageAttestationRules,
+  handleValidationErrors
+];
+
+// Order from cart validation
+const validateCartOrder = [
+  body('paymentMethod')
+    .optional()
+    .isIn(['card', 'bank_transfer', 'cash_on_delivery'])
+    .withMessage('Payment method must be card, bank_transfer or cash_on_delivery'),
+  body('promoCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Promo code must be between 1 and 30 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  ...ageAttestationRules,
   handleValidationErrors
 ];
 
 // Order status update validation
 const validateOrderStatusUpdate = [
   body('fulfillmentStatus')
-    .isIn(['new', 'preparing', 'delivered', 'cancelled'])
+    .isIn(['new', 'preparing', 'in_route', 'delivered', 'cancelled'])
     .withMessage('Invalid fulfillment status'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Order number path parameter validation (rejects mistyped numbers via the check digit)
+const validateOrderNumberParam = [
+  param('orderNumber')
+    .trim()
+    .toUpperCase()
+    .custom(value => orderNumberService.isValid(value))
+    .withMessage('Invalid order number. Please check the number and try again'),
+  handleValidationErrors
+];
+
+// Customer order cancellation validation
+const validateOrderCancellation = [
+  body('phone')
+    .trim()
+    .isLength({ min: 10, max: 15 })
+    .withMessage('Phone number must be between 10 and 15 characters'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Admin order cancellation validation
+const validateAdminOrderCancellation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body('refundAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Refund amount must be a positive number'),
+  handleValidationErrors
+];
+
+// Cash collected by a rider validation
+const validateCashCollection = [
+  body('collectedBy')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Collector name must be between 1 and 100 characters'),
+  body('amount')
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a positive number'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// ID check recorded by delivery staff
+const validateIdCheck = [
+  body('checkedBy')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Checker name must be between 1 and 100 characters'),
+  body('verified')
+    .isBoolean()
+    .withMessage('Verified must be true or false'),
+  body('idType')
+    .optional()
+    .isIn(['national_id', 'drivers_license', 'passport', 'voters_card', 'other'])
+    .withMessage('ID type must be national_id, drivers_license, passport, voters_card or other'),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+// Delivery zone validation (fields shared by create and update)
+const deliveryZoneRules = [
+  body('cities')
+    .optional()
+    .isArray()
+    .withMessage('Cities must be an array'),
+  body('lgas')
+    .optional()
+    .isArray()
+    .withMessage('LGAs must be an array'),
+  body('pricing')
+    .optional()
+    .isIn(['flat', 'quantity', 'weight'])
+    .withMessage('Pricing must be flat, quantity or weight'),
+  body('baseFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Base fee must be a positive number'),
+  body('tiers')
+    .optional()
+    .isArray()
+    .withMessage('Tiers must be an array'),
+  body('tiers.*.upTo')
+    .isFloat({ min: 0 })
+    .withMessage('Tier limit must be a positive number'),
+  body('tiers.*.fee')
+    .isFloat({ min: 0 })
+    .withMessage('Tier fee must be a positive number'),
+  body('freeDeliveryThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery threshold must be a positive number'),
+  body('remoteSurcharge')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Remote surcharge must be a positive number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const nigerianStates = [
+  'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
+  'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
+  'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
+  'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
+  'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
+  'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
+];
+
+const validateDeliveryZone = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('state')
+    .isIn(nigerianStates)
+    .withMessage('Invalid state specified'),
+  ...deliveryZoneRules,
+  handleValidationErrors
+];
+
+const validateDeliveryZoneUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('state')
+    .optional()
+    .isIn(nigerianStates)
+    .withMessage('Invalid state specified'),
+  ...deliveryZoneRules,
+  handleValidationErrors
+];
+
+// Promotion validation (fields shared by create and update)
+const promotionRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a positive number'),
+  body(['buyQuantity', 'getQuantity'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Buy and get quantities must be positive integers'),
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 timestamps'),
+  body('minimumOrderValue')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order value must be a positive number'),
+  body(['usageLimit', 'perUserLimit'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers'),
+  body('cocktails')
+    .optional()
+    .isArray()
+    .withMessage('Cocktails must be an array'),
+  body('cocktails.*')
+    .isMongoId()
+    .withMessage('Invalid cocktail ID'),
+  body('states')
+    .optional()
+    .isArray()
+    .withMessage('States must be an array'),
+  body('states.*')
+    .isIn(nigerianStates)
+    .withMessage('Invalid state specified'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validatePromotion = [
+  body('code')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Code must be between 1 and 30 characters'),
+  body('type')
+    .isIn(['percentage', 'fixed_amount', 'buy_x_get_y', 'free_delivery'])
+    .withMessage('Type must be percentage, fixed_amount, buy_x_get_y or free_delivery'),
+  ...promotionRules,
+  handleValidationErrors
+];
+
+const validatePromotionUpdate = [
+  body('code')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Code must be between 1 and 30 characters'),
+  body('type')
+    .optional()
+    .isIn(['percentage', 'fixed_amount', 'buy_x_get_y', 'free_delivery'])
+    .withMessage('Type must be percentage, fixed_amount, buy_x_get_y or free_delivery'),
+  ...promotionRules,
+  handleValidationErrors
+];
+
+// Price rule validation (fields shared by create and update)
+const priceRuleRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a positive number'),
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 timestamps'),
+  body('daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of the week must be an array'),
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of the week must be between 0 (Sunday) and 6 (Saturday)'),
+  body(['startTime', 'endTime'])
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Times must be HH:mm in Lagos time'),
+  body('cocktails')
+    .optional()
+    .isArray()
+    .withMessage('Cocktails must be an array'),
+  body('cocktails.*')
+    .isMongoId()
+    .withMessage('Invalid cocktail ID'),
+  body('categories')
+    .optional()
+    .isArray()
+    .withMessage('Categories must be an array'),
+  body('categories.*')
+    .isIn(Cocktail.CATEGORIES)
+    .withMessage(`Categories must be among ${Cocktail.CATEGORIES.join(', ')}`),
+  body('states')
+    .optional()
+    .isArray()
+    .withMessage('States must be an array'),
+  body('states.*')
+    .isIn(nigerianStates)
+    .withMessage('Invalid state specified'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validatePriceRule = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('type')
+    .isIn(['percentage', 'fixed_amount', 'fixed_price'])
+    .withMessage('Type must be percentage, fixed_amount or fixed_price'),
+  body('value')
+    .exists()
+    .withMessage('Value is required'),
+  ...priceRuleRules,
+  handleValidationErrors
+];
+
+const validatePriceRuleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(['percentage', 'fixed_amount', 'fixed_price'])
+    .withMessage('Type must be percentage, fixed_amount or fixed_price'),
+  ...priceRuleRules,
   handleValidationErrors
 ];
 
@@ -115,7 +749,21 @@ module.exports = {
   validateUserRegistration,
   validateUserLogin,
   validateCocktail,
+  validateCocktailUpdate,
+  validateCatalogSearch,
   validateOrder,
+  validateCartOrder,
   validateOrderStatusUpdate,
+  validateOrderNumberParam,
+  validateOrderCancellation,
+  validateAdminOrderCancellation,
+  validateCashCollection,
+  validateIdCheck,
+  validateDeliveryZone,
+  validateDeliveryZoneUpdate,
+  validatePromotion,
+  validatePromotionUpdate,
+  validatePriceRule,
+  validatePriceRuleUpdate,
   handleValidationErrors
 };
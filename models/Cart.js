@@ -1,4 +1,40 @@
 const mongoose = require('mongoose');
+const User = require('./User');
+const priceRuleService = require('../services/priceRuleService');
+
+// A modifier option picked for a line, copied from the cocktail's modifier groups
+const selectedModifierSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  groupName: {
+    type: String
+  },
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Scheduled price rule a line is priced with
+const appliedPriceRuleSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceRule'
+  },
+  name: {
+    type: String
+  }
+}, { _id: false });
 
 const cartItemSchema = new mongoose.Schema({
   cocktail: {
@@ -6,16 +42,30 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Cocktail',
     required: true
   },
+  // Chosen size, one of the cocktail's variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  modifiers: [selectedModifierSchema],
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1'],
     max: [99, 'Quantity cannot exceed 99']
   },
+  // Unit price of the variant plus selected modifiers, in the owner's delivery state
   price: {
     type: Number,
     required: true
-  }
+  },
+  // Unit price before the scheduled price rule, if one applies
+  originalPrice: {
+    type: Number
+  },
+  priceRule: appliedPriceRuleSchema
 });
 
 const cartSchema = new mongoose.Schema({
@@ -33,6 +83,12 @@ const cartSchema = new mongoose.Schema({
   totalAmount: {
     type: Number,
     default: 0
+  },
+  // Promo code applied with POST /cart/promo, used at checkout
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true
   }
 }, {
   timestamps: true
@@ -43,7 +99,7 @@ cartSchema.index({ user: 1 });
 
 // Virtual to calculate totals
 cartSchema.virtual('calculatedTotal').get(function() {
-  return this.items.reduce((total, item) => total + (item.cocktail?.price || 0) * item.quantity, 0);
+  return this.items.reduce((total, item) => total + (item.price || 0) * item.quantity, 0);
 });
 
 cartSchema.virtual('calculatedItemCount').get(function() {
@@ -53,17 +109,29 @@ cartSchema.virtual('calculatedItemCount').get(function() {
 // Pre-save middleware to update totals and store prices
 cartSchema.pre('save', async function(next) {
   if (this.items && this.items.length > 0) {
-    // Populate cocktail prices for calculation
-    await this.populate('items.cocktail', 'price');
+    // Populate cocktail prices, variants and modifiers for calculation
+    await this.populate('items.cocktail', 'price category variants modifierGroups statePrices');
+
+    // Prices follow the state of the owner's saved delivery address
+    const owner = await User.findById(this.user).select('address.state');
+    const state = owner && owner.address ? owner.address.state : undefined;
+    const rules = await priceRuleService.getActiveRules();
     
     // Update item prices and calculate totals
     this.totalAmount = 0;
     this.totalItems = 0;
     
     this.items.forEach(item => {
-      if (item.cocktail && item.cocktail.price) {
-        item.price = item.cocktail.price;
-        this.totalAmount += item.cocktail.price * item.quantity;
+      if (item.cocktail && typeof item.cocktail.priceIn === 'function') {
+        const { price, originalPrice, priceRule } = priceRuleService.priceLine(rules, item.cocktail, {
+          variant: item.variant,
+          modifiers: item.modifiers,
+          state
+        });
+        item.price = price;
+        item.originalPrice = originalPrice;
+        item.priceRule = priceRule;
+        this.totalAmount += price * item.quantity;
       }
       this.totalItems += item.quantity;
     });
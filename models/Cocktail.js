@@ -1,5 +1,156 @@
 const mongoose = require('mongoose');
 
+const STATES = [
+  'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
+  'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
+  'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
+  'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
+  'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
+  'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
+];
+const CATEGORIES = ['classic', 'signature', 'mocktail', 'shots'];
+const SPIRIT_BASES = ['gin', 'vodka', 'rum', 'tequila', 'whiskey', 'brandy', 'palm_wine', 'wine', 'beer', 'liqueur', 'none'];
+// The 14 major food allergens
+const ALLERGENS = [
+  'celery', 'gluten', 'crustaceans', 'eggs', 'fish', 'lupin', 'milk',
+  'molluscs', 'mustard', 'tree_nuts', 'peanuts', 'sesame', 'soy', 'sulphites'
+];
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    maxlength: [100, 'Ingredient name cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Ingredient amount cannot be negative']
+  },
+  unit: {
+    type: String,
+    enum: ['ml', 'cl', 'oz', 'dash', 'piece', 'tsp', 'tbsp']
+  },
+  // Alcohol by volume of the ingredient itself, e.g. 40 for gin
+  abv: {
+    type: Number,
+    min: [0, 'ABV cannot be negative'],
+    max: [100, 'ABV cannot exceed 100']
+  }
+}, { _id: false });
+
+// A size or format sold at its own price, e.g. single, double or pitcher
+const variantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Variant name is required'],
+    trim: true,
+    maxlength: [50, 'Variant name cannot exceed 50 characters']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Stock the variant is sold from; defaults to the cocktail's own record
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  // Stock units one variant uses up, e.g. 4 servings for a pitcher
+  stockUnits: {
+    type: Number,
+    default: 1,
+    min: [1, 'Stock units must be at least 1']
+  },
+  // Shipping weight per unit in kg; defaults to the cocktail's
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Modifier option name is required'],
+    trim: true,
+    maxlength: [50, 'Modifier option name cannot exceed 50 characters']
+  },
+  // Added to the unit price when selected
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Add-ons such as ice, sweetness or spirit upgrades. Customers pick between
+// `minSelections` and `maxSelections` options from each group.
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Modifier group name is required'],
+    trim: true,
+    maxlength: [50, 'Modifier group name cannot exceed 50 characters']
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selections cannot be negative']
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum selections must be at least 1'],
+    validate: {
+      // In update validators `this` is the query; the request validators
+      // check the pair there
+      validator: function(value) {
+        return typeof this.minSelections !== 'number' || value >= this.minSelections;
+      },
+      message: 'Maximum selections cannot be less than minimum selections'
+    }
+  },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: options => options.length > 0,
+      message: 'A modifier group needs at least one option'
+    }
+  }
+});
+
+// Price charged in one state instead of the list price, for the cocktail
+// itself or, with `variant`, for one of its variants
+const statePriceSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    enum: STATES,
+    required: [true, 'State is required']
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+});
+
 const cocktailSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -13,11 +164,71 @@ const cocktailSchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot exceed 500 characters']
   },
+  // Price of the cocktail without variants; with variants, the "from" price
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  variants: [variantSchema],
+  modifierGroups: [modifierGroupSchema],
+  // VAT category, see services/taxService.js
+  taxCategory: {
+    type: String,
+    enum: ['alcoholic', 'non_alcoholic'],
+    default: 'alcoholic'
+  },
+  // Catalog facets, used to filter search results
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    trim: true,
+    lowercase: true
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tags cannot exceed 30 characters']
+  }],
+  ingredients: [ingredientSchema],
+  // Main spirit, or none for mocktails
+  spiritBase: {
+    type: String,
+    enum: SPIRIT_BASES
+  },
+  // Alcohol by volume of the finished drink, in percent
+  abv: {
+    type: Number,
+    min: [0, 'ABV cannot be negative'],
+    max: [100, 'ABV cannot exceed 100']
+  },
+  allergens: [{
+    type: String,
+    enum: ALLERGENS
+  }],
+  servingSize: {
+    amount: {
+      type: Number,
+      min: [0, 'Serving size cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: ['ml', 'cl', 'oz'],
+      default: 'ml'
+    }
+  },
+  // Units sold on delivered orders, used to sort by popularity
+  salesCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shipping weight per unit in kg, used by weight-tiered delivery zones
+  weight: {
+    type: Number,
+    min: [0, 'Weight cannot be negative']
+  },
   images: [{
     public_id: {
       type: String,
@@ -43,16 +254,16 @@ const cocktailSchema = new mongoose.Schema({
   },
   availableStates: [{
     type: String,
-    enum: [
-      'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
-      'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
-      'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
-      'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
-      'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
-      'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
-    ],
+    enum: STATES,
     required: true
   }],
+  statePrices: {
+    type: [statePriceSchema],
+    validate: {
+      validator: overrides => new Set(overrides.map(override => `${override.state}|${override.variant || ''}`)).size === overrides.length,
+      message: 'Each state can only have one price override per variant'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -64,6 +275,15 @@ const cocktailSchema = new mongoose.Schema({
 // Index for efficient querying by state
 cocktailSchema.index({ availableStates: 1, isActive: 1 });
 
+// Catalog search, see services/catalogSearchService.js. Name matches rank
+// above description matches.
+cocktailSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 10, description: 2 }, name: 'cocktail_text_search' }
+);
+cocktailSchema.index({ availableStates: 1, isActive: 1, price: 1 });
+cocktailSchema.index({ availableStates: 1, isActive: 1, salesCount: -1 });
+
 // Pre-save middleware to handle image compatibility
 cocktailSchema.pre('save', function(next) {
   // If images array exists and has items, set the primary image
@@ -86,4 +306,112 @@ cocktailSchema.pre('save', function(next) {
   next();
 });
 
+cocktailSchema.methods.findVariant = function(variantId) {
+  return (variantId && (this.variants || []).find(variant => variant._id.equals(variantId))) || null;
+};
+
+/**
+ * Price of the cocktail, or of one of its variants, in `state`: the state's
+ * override if there is one, otherwise the list price
+ */
+cocktailSchema.methods.priceIn = function(state, variant = null) {
+  const override = state && (this.statePrices || []).find(entry => entry.state === state &&
+    (variant ? Boolean(entry.variant) && entry.variant.equals(variant._id) : !entry.variant));
+
+  if (override) {
+    return override.price;
+  }
+  return variant ? variant.price : this.price;
+};
+
+/**
+ * The cocktail as shown to customers in `state`, with state prices in `price`
+ * and the list prices in `listPrice`
+ */
+cocktailSchema.methods.toStateJSON = function(state) {
+  const { statePrices, ...cocktail } = this.toJSON();
+  return {
+    ...cocktail,
+    listPrice: this.price,
+    price: this.priceIn(state),
+    variants: (cocktail.variants || []).map(variant => ({
+      ...variant,
+      listPrice: variant.price,
+      price: this.priceIn(state, this.findVariant(variant._id))
+    }))
+  };
+};
+
+/**
+ * Check a customer's variant and modifier choices against the cocktail.
+ * `variantId` may be omitted when the cocktail has no variants or has a
+ * default one; `optionIds` are modifier option ids. Prices are those of
+ * `state` when given. Returns
+ * `{ variant, modifiers, unitPrice }`, or `{ error }` describing the first
+ * rule broken.
+ */
+cocktailSchema.methods.resolveSelection = function({ variantId, optionIds = [], state } = {}) {
+  const activeVariants = (this.variants || []).filter(variant => variant.isActive);
+  let variant = null;
+
+  if (variantId) {
+    variant = activeVariants.find(candidate => candidate._id.equals(variantId));
+    if (!variant) {
+      return { error: `The selected size of ${this.name} is not available` };
+    }
+  } else if (activeVariants.length > 0) {
+    variant = activeVariants.find(candidate => candidate.isDefault) || null;
+    if (!variant) {
+      return { error: `Please choose a size for ${this.name}: ${activeVariants.map(candidate => candidate.name).join(', ')}` };
+    }
+  }
+
+  const selected = [...new Set(optionIds.map(String))];
+  const modifiers = [];
+
+  for (const group of this.modifierGroups || []) {
+    const options = group.options.filter(option => option.isActive && selected.includes(option._id.toString()));
+
+    if (options.length < group.minSelections) {
+      return { error: `Please choose at least ${group.minSelections} ${group.name} option(s) for ${this.name}` };
+    }
+    if (options.length > group.maxSelections) {
+      return { error: `Choose at most ${group.maxSelections} ${group.name} option(s) for ${this.name}` };
+    }
+
+    for (const option of options) {
+      modifiers.push({ group: group._id, groupName: group.name, option: option._id, name: option.name, price: option.price });
+    }
+  }
+
+  if (modifiers.length !== selected.length) {
+    return { error: `One or more of the selected options are not available for ${this.name}` };
+  }
+
+  const unitPrice = this.priceIn(state, variant) +
+    modifiers.reduce((total, modifier) => total + modifier.price, 0);
+
+  return { variant, modifiers, unitPrice };
+};
+
+/**
+ * Current price of saved modifier selections. Options that no longer exist
+ * are priced as if left out; checkout re-validates them with resolveSelection.
+ */
+cocktailSchema.methods.modifiersPrice = function(modifiers = []) {
+  const optionPrices = new Map();
+  for (const group of this.modifierGroups || []) {
+    for (const option of group.options) {
+      optionPrices.set(option._id.toString(), option.price);
+    }
+  }
+
+  return modifiers.reduce((total, modifier) => total + (optionPrices.get(modifier.option.toString()) || 0), 0);
+};
+
+cocktailSchema.statics.STATES = STATES;
+cocktailSchema.statics.CATEGORIES = CATEGORIES;
+cocktailSchema.statics.SPIRIT_BASES = SPIRIT_BASES;
+cocktailSchema.statics.ALLERGENS = ALLERGENS;
+
 module.exports = mongoose.model('Cocktail', cocktailSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Sequence key, e.g. "order:2026" or "order:LA"
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically allocate the next value of a sequence
+counterSchema.statics.next = async function(key) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Static method to atomically take one of `limit` uses of a key. Returns false
+// when all are taken. The upsert collides with the existing key both when the
+// limit is reached and when a concurrent first claim created the key, so the
+// conditional update is retried once against the now existing counter.
+counterSchema.statics.claim = async function(key, limit) {
+  try {
+    await this.findOneAndUpdate(
+      { _id: key, seq: { $lt: limit } },
+      { $inc: { seq: 1 } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    { _id: key, seq: { $lt: limit } },
+    { $inc: { seq: 1 } }
+  );
+  return Boolean(counter);
+};
+
+// Static method to give back a use taken with claim()
+counterSchema.statics.unclaim = async function(key) {
+  await this.updateOne({ _id: key, seq: { $gt: 0 } }, { $inc: { seq: -1 } });
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const feeTierSchema = new mongoose.Schema({
+  // Upper bound of the tier (items or kg, inclusive)
+  upTo: {
+    type: Number,
+    required: true,
+    min: [0, 'Tier limit cannot be negative']
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: [0, 'Fee cannot be negative']
+  }
+}, { _id: false });
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  state: {
+    type: String,
+    required: [true, 'State is required'],
+    enum: [
+      'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
+      'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
+      'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
+      'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
+      'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
+      'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
+    ]
+  },
+  // Narrow the zone to some cities or LGAs; a zone with neither covers the whole state
+  cities: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  lgas: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  pricing: {
+    type: String,
+    enum: ['flat', 'quantity', 'weight'],
+    default: 'flat'
+  },
+  // Fee in NGN for flat pricing
+  baseFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative']
+  },
+  // Item count or kg tiers for quantity and weight pricing
+  tiers: [feeTierSchema],
+  // Orders with a subtotal at or above this amount skip the base fee
+  freeDeliveryThreshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative']
+  },
+  // Extra charge for remote zones, applied even when delivery is free
+  remoteSurcharge: {
+    type: Number,
+    default: 0,
+    min: [0, 'Surcharge cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for zone lookup at checkout
+deliveryZoneSchema.index({ state: 1, isActive: 1 });
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
@@ -159,6 +159,42 @@ inventorySchema.methods.reduceStock = function(quantity) {
   return this.save();
 };
 
+// Static method to atomically reserve stock. The decrement only applies when
+// enough stock is available, so concurrent orders can never oversell a record.
+inventorySchema.statics.reserveStock = function(cocktailId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      cocktail: cocktailId,
+      isActive: true,
+      currentStock: { $gte: quantity }
+    },
+    { $inc: { currentStock: -quantity } },
+    { new: true }
+  );
+};
+
+// Static method to reserve stock from a specific record, e.g. one a variant is sold from
+inventorySchema.statics.reserveStockById = function(inventoryId, quantity) {
+  return this.findOneAndUpdate(
+    {
+      _id: inventoryId,
+      isActive: true,
+      currentStock: { $gte: quantity }
+    },
+    { $inc: { currentStock: -quantity } },
+    { new: true }
+  );
+};
+
+// Static method to return previously reserved stock
+inventorySchema.statics.releaseStock = function(inventoryId, quantity) {
+  return this.findByIdAndUpdate(
+    inventoryId,
+    { $inc: { currentStock: quantity } },
+    { new: true }
+  );
+};
+
 // Static method to find low stock items
 inventorySchema.statics.findLowStock = function() {
   return this.find({
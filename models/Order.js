@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const orderNumberService = require('../services/orderNumberService');
+
+// Payment methods settled with the rider at the door rather than online
+const PAY_ON_DELIVERY_METHODS = ['cash_on_delivery', 'bank_transfer'];
+
+// Documents delivery staff may accept as proof of age
+const ID_TYPES = ['national_id', 'drivers_license', 'passport', 'voters_card', 'other'];
+
+// A modifier option picked for a line, copied from the cocktail's modifier groups
+const selectedModifierSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  groupName: {
+    type: String
+  },
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+// Scheduled price rule a line was priced with
+const appliedPriceRuleSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceRule'
+  },
+  name: {
+    type: String
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   cocktail: {
@@ -6,16 +47,31 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Cocktail',
     required: true
   },
+  // Chosen size, one of the cocktail's variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  variantName: {
+    type: String
+  },
+  modifiers: [selectedModifierSchema],
   quantity: {
     type: Number,
     required: true,
     min: [1, 'Quantity must be at least 1']
   },
+  // Unit price of the variant plus selected modifiers in the delivery state
   price: {
     type: Number,
     required: true,
     min: [0, 'Price cannot be negative']
-  }
+  },
+  // Unit price before the scheduled price rule, if one applied
+  originalPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  priceRule: appliedPriceRuleSchema
 });
 
 const orderSchema = new mongoose.Schema({
@@ -51,6 +107,33 @@ const orderSchema = new mongoose.Schema({
       trim: true,
       maxlength: [500, 'Address cannot exceed 500 characters']
     },
+    // Where order confirmations and updates are sent
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    // Language for order emails
+    locale: {
+      type: String,
+      enum: ['en', 'pcm', 'yo', 'ha', 'ig']
+    },
+    // Where order updates go; empty means email when there is an address, otherwise SMS
+    notificationChannels: [{
+      type: String,
+      enum: ['email', 'sms', 'whatsapp']
+    }],
+    // City and LGA select the delivery zone within the state
+    city: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'City cannot exceed 100 characters']
+    },
+    lga: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'LGA cannot exceed 100 characters']
+    },
     state: {
       type: String,
       required: [true, 'State is required'],
@@ -70,14 +153,87 @@ const orderSchema = new mongoose.Schema({
     required: true,
     min: [0, 'Subtotal cannot be negative']
   },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  // Promotions applied to the order; totalAmount = subtotal + deliveryFee - discountTotal (+ exclusive tax)
+  discounts: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed_amount', 'buy_x_get_y', 'free_delivery']
+    },
+    description: String,
+    amount: {
+      type: Number,
+      min: [0, 'Discount cannot be negative']
+    }
+  }],
+  discountTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount total cannot be negative']
+  },
+  // VAT per tax category, see services/taxService.js. Exclusive tax is added
+  // to totalAmount; inclusive tax is already part of the item prices.
+  taxLines: [{
+    category: {
+      type: String,
+      enum: ['alcoholic', 'non_alcoholic']
+    },
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number,
+    inclusive: Boolean
+  }],
+  taxTotal: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax total cannot be negative']
+  },
+  // Assigned the first time an invoice is generated, see services/invoiceService.js
+  invoice: {
+    number: String,
+    issuedAt: Date,
+    // Set while a request takes the next invoice number for the order
+    claimedAt: Date
+  },
+  // How the delivery fee was priced, see services/deliveryPricingService.js
+  feeBreakdown: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    zoneName: String,
+    pricing: {
+      type: String,
+      enum: ['flat', 'quantity', 'weight']
+    },
+    units: Number,
+    baseFee: Number,
+    remoteSurcharge: Number,
+    freeDeliveryApplied: Boolean,
+    deliveryFee: Number
+  },
   totalAmount: {
     type: Number,
     required: true,
     min: [0, 'Total amount cannot be negative']
   },
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'bank_transfer', 'cash_on_delivery'],
+    default: 'card'
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'abandoned', 'needs_review'],
     default: 'pending'
   },
   fulfillmentStatus: {
@@ -89,10 +245,128 @@ const orderSchema = new mongoose.Schema({
     type: String,
     sparse: true
   },
+  // Money taken by the rider for pay-on-delivery orders
+  cashCollection: {
+    collectedBy: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Collector name cannot exceed 100 characters']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Amount cannot be negative']
+    },
+    collectedAt: {
+      type: Date
+    },
+    recordedBy: {
+      type: String
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  // Legal drinking age check for orders containing alcohol, kept for compliance
+  ageVerification: {
+    containsAlcohol: {
+      type: Boolean,
+      default: false
+    },
+    // account: date of birth on the customer's profile; attestation: given at checkout
+    method: {
+      type: String,
+      enum: ['account', 'attestation']
+    },
+    dateOfBirth: {
+      type: Date
+    },
+    minimumAge: {
+      type: Number
+    },
+    verifiedAt: {
+      type: Date
+    },
+    ipAddress: {
+      type: String
+    },
+    userAgent: {
+      type: String
+    },
+    // ID shown to delivery staff at the door
+    idCheck: {
+      isRequired: {
+        type: Boolean,
+        default: false
+      },
+      verified: {
+        type: Boolean
+      },
+      idType: {
+        type: String,
+        enum: ID_TYPES
+      },
+      checkedBy: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Checker name cannot exceed 100 characters']
+      },
+      checkedAt: {
+        type: Date
+      },
+      recordedBy: {
+        type: String
+      },
+      note: {
+        type: String,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+      }
+    }
+  },
+  // Set when a cancellation claims the order, so only one of two racing
+  // cancellations refunds, see services/orderCancellationService.js
+  cancellationRequestedAt: {
+    type: Date
+  },
+  // Set when the order confirmation email is claimed, so it goes out once
+  confirmationSentAt: {
+    type: Date
+  },
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
+  statusHistory: [{
+    type: {
+      type: String,
+      enum: ['fulfillment', 'payment'],
+      default: 'fulfillment'
+    },
+    from: {
+      type: String
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: String,
+      required: true
+    },
+    actorRole: {
+      type: String,
+      enum: ['admin', 'customer', 'system'],
+      default: 'system'
+    },
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   adminNotes: [{
     note: {
       type: String,
@@ -109,6 +383,36 @@ const orderSchema = new mongoose.Schema({
   }],
   estimatedDeliveryTime: {
     type: Date
+  },
+  inventoryReservation: {
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'released'],
+      default: 'none'
+    },
+    items: [{
+      cocktail: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Cocktail'
+      },
+      inventory: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Inventory'
+      },
+      quantity: {
+        type: Number,
+        min: [1, 'Quantity must be at least 1']
+      }
+    }],
+    reservedAt: {
+      type: Date
+    },
+    releasedAt: {
+      type: Date
+    },
+    releaseReason: {
+      type: String
+    }
   }
 }, {
   timestamps: true
@@ -116,16 +420,74 @@ const orderSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 orderSchema.index({ 'customer.state': 1, createdAt: -1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
 orderSchema.index({ paymentStatus: 1, fulfillmentStatus: 1 });
 orderSchema.index({ user: 1, createdAt: -1 }); // For user order history
+orderSchema.index({ 'inventoryReservation.status': 1 });
+orderSchema.index({ 'cashCollection.collectedAt': -1 });
+
+// Virtual for whether the customer pays the rider instead of paying online
+orderSchema.virtual('paysOnDelivery').get(function() {
+  return PAY_ON_DELIVERY_METHODS.includes(this.paymentMethod);
+});
 
-// Generate order number before saving
+// Virtual for whether the customer's ID still has to be confirmed at the door,
+// either because the check is required or because a check failed
+orderSchema.virtual('awaitingIdCheck').get(function() {
+  const idCheck = this.ageVerification && this.ageVerification.idCheck;
+  return Boolean(idCheck && (idCheck.verified === false || (idCheck.isRequired && !idCheck.verified)));
+});
+
+/**
+ * The order as shown on public customer endpoints. The status history and
+ * admin notes, with staff emails and internal notes, are left out; customers
+ * get the filtered timeline from services/orderTimelineService.js instead.
+ * The age check keeps only whether it applies and the ID check outcome; the
+ * date of birth, IP address and user agent stay with admins.
+ */
+orderSchema.methods.toCustomerJSON = function() {
+  const { ageVerification, statusHistory, adminNotes, ...order } = this.toJSON();
+  const idCheck = (ageVerification && ageVerification.idCheck) || {};
+
+  return {
+    ...order,
+    ageVerification: {
+      containsAlcohol: Boolean(ageVerification && ageVerification.containsAlcohol),
+      idCheck: {
+        isRequired: Boolean(idCheck.isRequired),
+        verified: idCheck.verified
+      }
+    }
+  };
+};
+
+// Allocate a sequential order number before saving
 orderSchema.pre('save', async function(next) {
   if (this.isNew && !this.orderNumber) {
-    const count = await this.constructor.countDocuments();
-    this.orderNumber = `ORD-${String(count + 1).padStart(6, '0')}`;
+    try {
+      this.orderNumber = await orderNumberService.generate(this.customer.state);
+    } catch (error) {
+      return next(error);
+    }
   }
   next();
 });
 
+// Start the status history with the initial status
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      type: 'fulfillment',
+      to: this.fulfillmentStatus,
+      actor: this.user ? this.user.toString() : (this.customer.phone || 'guest'),
+      actorRole: 'customer',
+      note: 'Order placed',
+      at: new Date()
+    });
+  }
+  next();
+});
+
+orderSchema.statics.ID_TYPES = ID_TYPES;
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// An email waiting to be sent by the outbox worker, see
+// services/emailOutboxService.js. Failed sends are retried with backoff until
+// `maxAttempts`, after which the email is dead-lettered for an admin to retry.
+const outboxEmailSchema = new mongoose.Schema({
+  // What the email is about, e.g. order_confirmation or otp
+  type: {
+    type: String,
+    required: true
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  mail: {
+    from: mongoose.Schema.Types.Mixed,
+    html: String,
+    text: String,
+    headers: mongoose.Schema.Types.Mixed,
+    attachments: [{
+      _id: false,
+      filename: String,
+      content: Buffer,
+      contentType: String
+    }]
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Emails that are useless once late (OTPs) are dead-lettered after this
+  expiresAt: {
+    type: Date
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  messageId: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  retriedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the worker and the admin listing
+outboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxEmailSchema.index({ status: 1, createdAt: -1 });
+outboxEmailSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxEmail', outboxEmailSchema);
@@ -6,6 +6,11 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  provider: {
+    type: String,
+    default: 'paystack'
+  },
+  // Transaction reference sent to the provider (named for the original Paystack integration)
   paystackReference: {
     type: String,
     required: true,
@@ -22,7 +27,7 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'success', 'failed', 'abandoned'],
+    enum: ['pending', 'success', 'failed', 'abandoned', 'needs_review'],
     default: 'pending'
   },
   gatewayResponse: {
@@ -36,7 +41,98 @@ const paymentSchema = new mongoose.Schema({
   },
   failureReason: {
     type: String
-  }
+  },
+  // Result of comparing what the gateway charged with what the order expected
+  reconciliation: {
+    discrepancies: [{
+      field: {
+        type: String,
+        enum: ['amount', 'currency', 'orderTotal']
+      },
+      expected: mongoose.Schema.Types.Mixed,
+      received: mongoose.Schema.Types.Mixed
+    }],
+    checkedAt: {
+      type: Date
+    },
+    resolution: {
+      type: String,
+      enum: ['accepted', 'rejected']
+    },
+    resolvedBy: {
+      type: String
+    },
+    resolvedAt: {
+      type: Date
+    },
+    resolutionNote: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+  },
+  amountRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Refund amount must be positive']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processed', 'failed'],
+      default: 'pending'
+    },
+    providerReference: {
+      type: String
+    },
+    initiatedBy: {
+      type: String,
+      required: true
+    },
+    gatewayResponse: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: {
+      type: Date
+    }
+  }],
+  disputes: [{
+    providerReference: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String
+    },
+    category: {
+      type: String
+    },
+    amount: {
+      type: Number
+    },
+    dueAt: {
+      type: Date
+    },
+    gatewayResponse: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -44,5 +140,11 @@ const paymentSchema = new mongoose.Schema({
 // Indexes for efficient querying
 paymentSchema.index({ order: 1 });
 paymentSchema.index({ status: 1, createdAt: -1 });
+paymentSchema.index({ 'refunds.providerReference': 1 }, { sparse: true });
+
+// Virtual for the amount (in kobo) that can still be refunded
+paymentSchema.virtual('refundableAmount').get(function() {
+  return this.status === 'success' ? Math.max(this.amount - (this.amountRefunded || 0), 0) : 0;
+});
 
 module.exports = mongoose.model('Payment', paymentSchema);
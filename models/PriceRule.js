@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const priceRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // percentage: percent off; fixed_amount: NGN off; fixed_price: sell the
+  // cocktail at `value`, with its variants reduced by the same amount
+  type: {
+    type: String,
+    required: [true, 'Rule type is required'],
+    enum: ['percentage', 'fixed_amount', 'fixed_price']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Value is required'],
+    min: [0, 'Value cannot be negative']
+  },
+  // Date range of a campaign; open-ended when empty
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  // Days of the week the rule runs, 0 = Sunday; every day when empty
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // Time of day window in Africa/Lagos time, HH:mm. A window ending before it
+  // starts runs past midnight and belongs to the day it starts on.
+  startTime: {
+    type: String,
+    match: [TIME_PATTERN, 'Start time must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_PATTERN, 'End time must be HH:mm']
+  },
+  // Restrict the rule to these cocktails or categories; empty applies to all
+  cocktails: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cocktail'
+  }],
+  categories: [{
+    type: String,
+    enum: ['classic', 'signature', 'mocktail', 'shots']
+  }],
+  // Restrict the rule to deliveries in these states; empty applies everywhere
+  states: [{
+    type: String,
+    enum: [
+      'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
+      'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
+      'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
+      'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
+      'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
+      'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
+    ]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+priceRuleSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model('PriceRule', priceRuleSchema);
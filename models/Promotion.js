@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Promotion type is required'],
+    enum: ['percentage', 'fixed_amount', 'buy_x_get_y', 'free_delivery']
+  },
+  // Percent off for percentage promotions, NGN off for fixed_amount
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+  // Largest discount in NGN a percentage promotion can give
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // buy_x_get_y: every `buyQuantity` units of a cocktail earn `getQuantity` more of it free
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  startsAt: {
+    type: Date
+  },
+  endsAt: {
+    type: Date
+  },
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order value cannot be negative']
+  },
+  // Total redemptions allowed across all customers; unlimited when empty
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Redemptions allowed per customer; unlimited when empty
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per user limit must be at least 1']
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  // Restrict the promotion to these cocktails; empty applies to the whole order
+  cocktails: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cocktail'
+  }],
+  // Restrict the promotion to deliveries in these states; empty applies everywhere
+  states: [{
+    type: String,
+    enum: [
+      'Abia', 'Adamawa', 'Akwa Ibom', 'Anambra', 'Bauchi', 'Bayelsa',
+      'Benue', 'Borno', 'Cross River', 'Delta', 'Ebonyi', 'Edo',
+      'Ekiti', 'Enugu', 'FCT', 'Gombe', 'Imo', 'Jigawa',
+      'Kaduna', 'Kano', 'Katsina', 'Kebbi', 'Kogi', 'Kwara',
+      'Lagos', 'Nasarawa', 'Niger', 'Ogun', 'Ondo', 'Osun',
+      'Oyo', 'Plateau', 'Rivers', 'Sokoto', 'Taraba', 'Yobe', 'Zamfara'
+    ]
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+promotionSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One use of a promo code by an order. Released redemptions no longer count
+// towards the promotion's usage caps.
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  phone: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Per-customer usage counters claimed for this redemption
+  customerKeys: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active'
+  },
+  releasedAt: {
+    type: Date
+  },
+  releaseReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for usage checks
+promotionRedemptionSchema.index({ promotion: 1, user: 1, status: 1 });
+promotionRedemptionSchema.index({ promotion: 1, phone: 1, status: 1 });
+promotionRedemptionSchema.index({ order: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
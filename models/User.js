@@ -1,6 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const NOTIFICATION_EVENTS = ['orderUpdates', 'promotions', 'newsletters'];
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// One on/off switch per channel for an event
+const channelPreferences = defaults => ({
+  email: { type: Boolean, default: defaults.email },
+  sms: { type: Boolean, default: defaults.sms },
+  whatsapp: { type: Boolean, default: defaults.whatsapp }
+});
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -33,6 +43,14 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Checked against the legal drinking age when ordering alcohol
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: value => !value || value < new Date(),
+      message: 'Date of birth must be in the past'
+    }
+  },
   address: {
     street: { type: String, trim: true },
     city: { type: String, trim: true },
@@ -49,6 +67,19 @@ const userSchema = new mongoose.Schema({
     },
     postalCode: { type: String, trim: true }
   },
+  // Language for emails
+  locale: {
+    type: String,
+    enum: ['en', 'pcm', 'yo', 'ha', 'ig'],
+    default: 'en'
+  },
+  // Which notifications the user wants, per event and channel. Marketing is
+  // opt-in; order updates go by email until the user picks other channels.
+  notificationPreferences: {
+    orderUpdates: channelPreferences({ email: true, sms: false, whatsapp: false }),
+    promotions: channelPreferences({ email: false, sms: false, whatsapp: false }),
+    newsletters: channelPreferences({ email: false, sms: false, whatsapp: false })
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -75,4 +106,18 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the user wants `event` notifications on `channel`
+userSchema.methods.wantsNotification = function(event, channel) {
+  const preferences = this.notificationPreferences && this.notificationPreferences[event];
+  return Boolean(preferences && preferences[channel]);
+};
+
+// Channels the user wants `event` notifications on
+userSchema.methods.getNotificationChannels = function(event) {
+  return NOTIFICATION_CHANNELS.filter(channel => this.wantsNotification(event, channel));
+};
+
+userSchema.statics.NOTIFICATION_EVENTS = NOTIFICATION_EVENTS;
+userSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'paystack'
+  },
+  // Deduplication key built by the provider, unique per provider. Retries
+  // resend the same event and map to the same key.
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  reference: {
+    type: String
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  deliveries: {
+    type: Number,
+    default: 1
+  },
+  lastError: {
+    type: String
+  },
+  // When processing last started; stale claims can be taken over
+  claimedAt: {
+    type: Date
+  },
+  processedAt: {
+    type: Date
+  },
+  replayedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient querying
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ reference: 1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
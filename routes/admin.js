@@ -1,10 +1,61 @@
 const express = require('express');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const {
+  validateAdminOrderCancellation,
+  validateCashCollection,
+  validateIdCheck,
+  validateDeliveryZone,
+  validateDeliveryZoneUpdate,
+  validatePromotion,
+  validatePromotionUpdate,
+  validatePriceRule,
+  validatePriceRuleUpdate
+} = require('../middleware/validation');
 const emailService = require('../services/emailService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const orderTimelineService = require('../services/orderTimelineService');
+const orderCancellationService = require('../services/orderCancellationService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+const deliveryPricingService = require('../services/deliveryPricingService');
+const promotionService = require('../services/promotionService');
+const priceRuleService = require('../services/priceRuleService');
+const emailOutboxService = require('../services/emailOutboxService');
+const emailTemplateService = require('../services/emailTemplateService');
+const notificationService = require('../services/notificationService');
+const invoiceService = require('../services/invoiceService');
 
 const router = express.Router();
 
+const DELIVERY_ZONE_FIELDS = [
+  'name', 'state', 'cities', 'lgas', 'pricing', 'baseFee',
+  'tiers', 'freeDeliveryThreshold', 'remoteSurcharge', 'isActive'
+];
+
+// $dateToString formats for report periods
+const REPORT_PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const PROMOTION_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'startsAt', 'endsAt', 'minimumOrderValue', 'usageLimit', 'perUserLimit',
+  'cocktails', 'states', 'isActive'
+];
+
+const PRICE_RULE_FIELDS = [
+  'name', 'description', 'type', 'value', 'startsAt', 'endsAt', 'daysOfWeek',
+  'startTime', 'endTime', 'cocktails', 'categories', 'states', 'isActive'
+];
+
+// Copy the editable fields from a request body
+const pickFields = (body, fields) => fields
+  .filter(field => body[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: body[field] }), {});
+
 /**
  * @swagger
  * /admin/dashboard:
@@ -37,7 +88,10 @@ const router = express.Router();
  *                       description: Number of paid orders
  *                     totalRevenue:
  *                       type: number
- *                       description: Total revenue in NGN
+ *                       description: Total revenue in NGN (online payments net of refunds, plus payments collected on delivery)
+ *                     paymentsNeedingReview:
+ *                       type: integer
+ *                       description: Payments whose charged amount or currency did not match the order
  *                     totalCocktails:
  *                       type: integer
  *                       description: Total number of cocktails
@@ -53,6 +107,22 @@ const router = express.Router();
  *                             type: string
  *                           count:
  *                             type: integer
+ *                     riderSettlements:
+ *                       type: array
+ *                       description: Pay-on-delivery money collected per rider per day (Lagos time) over the last 7 days
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           date:
+ *                             type: string
+ *                             example: "2026-10-18"
+ *                           rider:
+ *                             type: string
+ *                           orders:
+ *                             type: integer
+ *                           total:
+ *                             type: number
+ *                             description: Amount collected in NGN
  *                     recentOrders:
  *                       type: array
  *                       items:
@@ -78,7 +148,9 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       paidOrders,
       totalCocktails,
       activeCocktails,
-      totalRevenue
+      totalRevenue,
+      cashRevenue,
+      paymentsNeedingReview
     ] = await Promise.all([
       Order.countDocuments(),
       Order.countDocuments({ fulfillmentStatus: 'new' }),
@@ -87,8 +159,44 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       Cocktail.countDocuments({ isActive: true }),
       Payment.aggregate([
         { $match: { status: 'success' } },
-        { $group: { _id: null, total: { $sum: '$amount' } } }
-      ])
+        { $group: { _id: null, total: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountRefunded', 0] }] } } } }
+      ]),
+      Order.aggregate([
+        { $match: { 'cashCollection.collectedAt': { $exists: true } } },
+        { $group: { _id: null, total: { $sum: '$cashCollection.amount' } } }
+      ]),
+      Payment.countDocuments({ status: 'needs_review' })
+    ]);
+
+    // Cash and transfers collected by each rider per day (Lagos time) over the last week
+    const riderSettlements = await Order.aggregate([
+      {
+        $match: {
+          'cashCollection.collectedAt': { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            date: { $dateToString: { format: '%Y-%m-%d', date: '$cashCollection.collectedAt', timezone: 'Africa/Lagos' } },
+            rider: '$cashCollection.collectedBy'
+          },
+          orders: { $sum: 1 },
+          total: { $sum: '$cashCollection.amount' }
+        }
+      },
+      {
+        $sort: { '_id.date': -1, total: -1 }
+      },
+      {
+        $project: {
+          date: '$_id.date',
+          rider: '$_id.rider',
+          orders: 1,
+          total: 1,
+          _id: 0
+        }
+      }
     ]);
 
     // Get orders by state
@@ -119,16 +227,19 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
       .populate('items.cocktail', 'name')
       .sort({ createdAt: -1 })
       .limit(10)
-      .select('orderNumber customer totalAmount paymentStatus fulfillmentStatus createdAt');
+      .select('orderNumber customer totalAmount paymentMethod paymentStatus fulfillmentStatus createdAt');
 
     const dashboardStats = {
       totalOrders,
       pendingOrders,
       paidOrders,
-      totalRevenue: totalRevenue.length > 0 ? totalRevenue[0].total / 100 : 0, // Convert from kobo to NGN
+      totalRevenue: (totalRevenue.length > 0 ? totalRevenue[0].total / 100 : 0) + // Convert from kobo to NGN
+        (cashRevenue.length > 0 ? cashRevenue[0].total : 0),
+      paymentsNeedingReview,
       totalCocktails,
       activeCocktails,
       ordersByState,
+      riderSettlements,
       recentOrders
     };
 
@@ -145,6 +256,210 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /admin/reports/tax:
+ *   get:
+ *     summary: VAT summary grouped by period and state (Admin only)
+ *     description: Covers paid and partially refunded orders, dated by when the order was placed (Lagos time).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: month
+ *         description: Reporting period; weeks are ISO weeks (e.g. 2026-W42)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Include orders placed on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Include orders placed before this date
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Only report one state
+ *     responses:
+ *       200:
+ *         description: Tax report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 report:
+ *                   type: object
+ *                   properties:
+ *                     period:
+ *                       type: string
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           period:
+ *                             type: string
+ *                             example: "2026-10"
+ *                           state:
+ *                             type: string
+ *                           orders:
+ *                             type: integer
+ *                           taxableAmount:
+ *                             type: number
+ *                           taxTotal:
+ *                             type: number
+ *                           categories:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 category:
+ *                                   type: string
+ *                                 rate:
+ *                                   type: number
+ *                                 orders:
+ *                                   type: integer
+ *                                 taxableAmount:
+ *                                   type: number
+ *                                 taxTotal:
+ *                                   type: number
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         taxableAmount:
+ *                           type: number
+ *                         taxTotal:
+ *                           type: number
+ *       400:
+ *         description: Invalid period or date
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/reports/tax', authenticateToken, requireAdmin, [
+  query('period')
+    .optional()
+    .isIn(Object.keys(REPORT_PERIOD_FORMATS))
+    .withMessage('Period must be day, week or month'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be ISO 8601 dates')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const Order = require('../models/Order');
+    const { period = 'month', from, to, state } = req.query;
+
+    const match = {
+      paymentStatus: { $in: ['paid', 'partially_refunded'] },
+      'taxLines.0': { $exists: true }
+    };
+    if (state) match['customer.state'] = state;
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = new Date(from);
+      if (to) match.createdAt.$lt = new Date(to);
+    }
+
+    const rows = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$taxLines' },
+      {
+        $group: {
+          _id: {
+            period: { $dateToString: { format: REPORT_PERIOD_FORMATS[period], date: '$createdAt', timezone: 'Africa/Lagos' } },
+            state: '$customer.state',
+            category: '$taxLines.category',
+            rate: '$taxLines.rate'
+          },
+          orderIds: { $addToSet: '$_id' },
+          taxableAmount: { $sum: '$taxLines.taxableAmount' },
+          taxTotal: { $sum: '$taxLines.amount' }
+        }
+      },
+      {
+        $group: {
+          _id: { period: '$_id.period', state: '$_id.state' },
+          orderIdSets: { $push: '$orderIds' },
+          taxableAmount: { $sum: '$taxableAmount' },
+          taxTotal: { $sum: '$taxTotal' },
+          categories: {
+            $push: {
+              category: '$_id.category',
+              rate: '$_id.rate',
+              orders: { $size: '$orderIds' },
+              taxableAmount: '$taxableAmount',
+              taxTotal: '$taxTotal'
+            }
+          }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          period: '$_id.period',
+          state: '$_id.state',
+          orders: {
+            $size: {
+              $reduce: { input: '$orderIdSets', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } }
+            }
+          },
+          taxableAmount: { $round: ['$taxableAmount', 2] },
+          taxTotal: { $round: ['$taxTotal', 2] },
+          categories: 1
+        }
+      },
+      { $sort: { period: -1, state: 1 } }
+    ]);
+
+    const totals = rows.reduce((sum, row) => ({
+      taxableAmount: Math.round((sum.taxableAmount + row.taxableAmount) * 100) / 100,
+      taxTotal: Math.round((sum.taxTotal + row.taxTotal) * 100) / 100
+    }), { taxableAmount: 0, taxTotal: 0 });
+
+    res.json({
+      success: true,
+      report: {
+        period,
+        from,
+        to,
+        rows,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Tax report error:', error);
+    res.status(500).json({
+      error: 'Failed to generate tax report',
+      message: 'Unable to generate tax report at this time'
+    });
+  }
+});
+
 /**
  * @swagger
  * /admin/orders:
@@ -163,13 +478,19 @@ router.get('/dashboard', authenticateToken, requireAdmin, async (req, res) => {
  *         name: paymentStatus
  *         schema:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, refunded, partially_refunded, abandoned, needs_review]
  *         description: Filter by payment status
  *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *           enum: [card, bank_transfer, cash_on_delivery]
+ *         description: Filter by payment method
+ *       - in: query
  *         name: fulfillmentStatus
  *         schema:
  *           type: string
- *           enum: [new, preparing, delivered, cancelled]
+ *           enum: [new, preparing, in_route, delivered, cancelled]
  *         description: Filter by fulfillment status
  *       - in: query
  *         name: startDate
@@ -242,6 +563,7 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
     const {
       state,
       paymentStatus,
+      paymentMethod,
       fulfillmentStatus,
       startDate,
       endDate,
@@ -260,6 +582,10 @@ router.get('/orders', authenticateToken, requireAdmin, async (req, res) => {
     if (paymentStatus) {
       filter.paymentStatus = paymentStatus;
     }
+
+    if (paymentMethod) {
+      filter.paymentMethod = paymentMethod;
+    }
     
     if (fulfillmentStatus) {
       filter.fulfillmentStatus = fulfillmentStatus;
@@ -465,7 +791,7 @@ router.get('/cocktails', authenticateToken, requireAdmin, async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, abandoned]
+ *           enum: [pending, success, failed, abandoned, needs_review]
  *         description: Filter by payment status
  *       - in: query
  *         name: startDate
@@ -592,9 +918,13 @@ router.get('/payments', authenticateToken, requireAdmin, async (req, res) => {
 
 /**
  * @swagger
- * /admin/orders/{id}/status:
- *   patch:
- *     summary: Update order status with email notifications (Admin only)
+ * /admin/payments/{id}/review:
+ *   post:
+ *     summary: Accept or reject a payment held for review (Admin only)
+ *     description: |
+ *       Payments whose charged amount or currency did not match the order are
+ *       held in needs_review. Accepting marks the order paid; rejecting marks
+ *       the payment and order failed.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -604,7 +934,7 @@ router.get('/payments', authenticateToken, requireAdmin, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Order ID
+ *         description: Payment ID
  *     requestBody:
  *       required: true
  *       content:
@@ -612,27 +942,17 @@ router.get('/payments', authenticateToken, requireAdmin, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - fulfillmentStatus
+ *               - resolution
  *             properties:
- *               fulfillmentStatus:
- *                 type: string
- *                 enum: [new, preparing, in_route, delivered, cancelled]
- *                 description: New fulfillment status
- *               adminNote:
+ *               resolution:
  *                 type: string
- *                 maxLength: 500
- *                 description: Admin note for the status update
- *               sendEmailNotification:
- *                 type: boolean
- *                 default: true
- *                 description: Whether to send email notification to customer
- *               estimatedDeliveryTime:
+ *                 enum: [accepted, rejected]
+ *               note:
  *                 type: string
- *                 format: date-time
- *                 description: Estimated delivery time (optional)
+ *                 example: "Customer topped up the difference by transfer"
  *     responses:
  *       200:
- *         description: Order status updated successfully
+ *         description: Review resolved
  *         content:
  *           application/json:
  *             schema:
@@ -640,21 +960,8 @@ router.get('/payments', authenticateToken, requireAdmin, async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 order:
- *                   $ref: '#/components/schemas/Order'
- *                 emailSent:
- *                   type: boolean
- *                   description: Whether email notification was sent
- *                 statusUpdate:
- *                   type: object
- *                   properties:
- *                     previousStatus:
- *                       type: string
- *                     newStatus:
- *                       type: string
- *                     updatedAt:
- *                       type: string
- *                       format: date-time
+ *                 payment:
+ *                   $ref: '#/components/schemas/Payment'
  *       400:
  *         description: Validation error
  *       401:
@@ -662,26 +969,20 @@ router.get('/payments', authenticateToken, requireAdmin, async (req, res) => {
  *       403:
  *         description: Admin access required
  *       404:
- *         description: Order not found
+ *         description: Payment not found
+ *       409:
+ *         description: Payment is not awaiting review, or accepting it for a cancelled order
  *       500:
  *         description: Internal server error
  */
-router.patch('/orders/:id/status', authenticateToken, requireAdmin, [
-  body('fulfillmentStatus')
-    .isIn(['new', 'preparing', 'in_route', 'delivered', 'cancelled'])
-    .withMessage('Invalid fulfillment status'),
-  body('adminNote')
+router.post('/payments/:id/review', authenticateToken, requireAdmin, [
+  body('resolution')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('Resolution must be accepted or rejected'),
+  body('note')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Admin note cannot exceed 500 characters'),
-  body('sendEmailNotification')
-    .optional()
-    .isBoolean()
-    .withMessage('sendEmailNotification must be a boolean'),
-  body('estimatedDeliveryTime')
-    .optional()
-    .isISO8601()
-    .withMessage('Invalid estimated delivery time format')
+    .withMessage('Note cannot exceed 500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -692,115 +993,98 @@ router.patch('/orders/:id/status', authenticateToken, requireAdmin, [
       });
     }
 
-    const Order = require('../models/Order');
-    const { id } = req.params;
-    const { 
-      fulfillmentStatus, 
-      adminNote = '', 
-      sendEmailNotification = true,
-      estimatedDeliveryTime 
-    } = req.body;
+    const Payment = require('../models/Payment');
+    const { resolution, note } = req.body;
 
-    // Find the order
-    const order = await Order.findById(id);
-    if (!order) {
+    const payment = await Payment.findById(req.params.id).populate('order');
+    if (!payment) {
       return res.status(404).json({
-        error: 'Order not found',
-        message: 'The order you are trying to update does not exist'
+        error: 'Payment not found',
+        message: 'The requested payment does not exist'
       });
     }
 
-    const previousStatus = order.fulfillmentStatus;
-
-    // Update order status
-    order.fulfillmentStatus = fulfillmentStatus;
-    
-    // Add admin note if provided
-    if (adminNote) {
-      order.adminNotes = order.adminNotes || [];
-      order.adminNotes.push({
-        note: adminNote,
-        addedBy: req.user.email,
-        addedAt: new Date()
+    if (payment.status !== 'needs_review') {
+      return res.status(409).json({
+        error: 'Payment not under review',
+        message: `Only payments awaiting review can be resolved; this payment is ${payment.status}`
       });
     }
 
-    // Add estimated delivery time if provided
-    if (estimatedDeliveryTime) {
-      order.estimatedDeliveryTime = new Date(estimatedDeliveryTime);
+    if (resolution === 'accepted' && payment.order.fulfillmentStatus === 'cancelled') {
+      return res.status(409).json({
+        error: 'Order cancelled',
+        message: 'The order was cancelled before this payment arrived. Refund the payment and reject it instead'
+      });
     }
 
-    await order.save();
-    await order.populate('items.cocktail', 'name description image');
-
-    let emailSent = false;
-    
-    // Send email notification if requested
-    if (sendEmailNotification) {
-      try {
-        // Add customer email to order if not present (for demo purposes)
-        const customerEmail = order.customer.email || `${order.customer.phone.replace(/\D/g, '')}@example.com`;
-        
-        const emailResult = await emailService.sendOrderStatusUpdateEmail(
-          { ...order.toObject(), customer: { ...order.customer, email: customerEmail } },
-          fulfillmentStatus,
-          adminNote
-        );
-        
-        emailSent = emailResult.success;
-      } catch (emailError) {
-        console.error('Email notification failed:', emailError);
-        // Don't fail the request if email fails
-      }
-    }
+    await paymentReconciliationService.resolve(payment, {
+      resolution,
+      note,
+      resolvedBy: req.user.email
+    });
 
     res.json({
       success: true,
-      order,
-      emailSent,
-      statusUpdate: {
-        previousStatus,
-        newStatus: fulfillmentStatus,
-        updatedAt: order.updatedAt,
-        adminNote,
-        estimatedDeliveryTime: order.estimatedDeliveryTime
-      }
+      payment
     });
-
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(404).json({
-        error: 'Invalid order ID',
-        message: 'The provided order ID is not valid'
+        error: 'Invalid payment ID',
+        message: 'The provided payment ID is not valid'
       });
     }
 
-    console.error('Update order status error:', error);
+    console.error('Resolve payment review error:', error);
     res.status(500).json({
-      error: 'Failed to update order status',
-      message: 'Unable to update order status at this time'
+      error: 'Failed to resolve payment review',
+      message: 'Unable to resolve payment review at this time'
     });
   }
 });
 
 /**
  * @swagger
- * /admin/orders/{id}/track:
+ * /admin/webhooks:
  *   get:
- *     summary: Get detailed order tracking information (Admin only)
+ *     summary: List received payment webhook events (Admin only)
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: status
  *         schema:
  *           type: string
- *         description: Order ID
+ *           enum: [received, processing, processed, ignored, failed]
+ *         description: Filter by processing status
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by event type (e.g., charge.success)
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Filter by transaction reference
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
  *     responses:
  *       200:
- *         description: Order tracking information retrieved successfully
+ *         description: Webhook events retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -808,156 +1092,2286 @@ router.patch('/orders/:id/status', authenticateToken, requireAdmin, [
  *               properties:
  *                 success:
  *                   type: boolean
- *                 order:
- *                   $ref: '#/components/schemas/Order'
- *                 trackingInfo:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEvent'
+ *                 pagination:
  *                   type: object
- *                   properties:
- *                     orderNumber:
- *                       type: string
- *                     status:
- *                       type: string
- *                     paymentStatus:
- *                       type: string
- *                     timeline:
- *                       type: array
- *                       items:
- *                         type: object
- *                     adminNotes:
- *                       type: array
- *                       items:
- *                         type: object
- *                     estimatedDelivery:
- *                       type: string
- *                       format: date-time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/webhooks', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const WebhookEvent = require('../models/WebhookEvent');
+
+    const { status, event, reference, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (reference) filter.reference = reference;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const pageNum = Math.max(parseInt(page), 1);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      events,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch webhook events',
+      message: 'Unable to retrieve webhook events at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/webhooks/{id}/replay:
+ *   post:
+ *     summary: Replay a failed webhook event (Admin only)
+ *     description: |
+ *       Re-runs an event that failed, or one left in processing for more than
+ *       ten minutes by a process that stopped while handling it.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook event ID
+ *     responses:
+ *       200:
+ *         description: Event replayed; check the returned status for the outcome
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 event:
+ *                   $ref: '#/components/schemas/WebhookEvent'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
  *       404:
- *         description: Order not found
+ *         description: Webhook event not found
+ *       409:
+ *         description: Only failed events and events stuck in processing can be replayed
  *       500:
  *         description: Internal server error
  */
-router.get('/orders/:id/track', authenticateToken, requireAdmin, async (req, res) => {
+router.post('/webhooks/:id/replay', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const Order = require('../models/Order');
-    const { id } = req.params;
+    const WebhookEvent = require('../models/WebhookEvent');
 
-    const order = await Order.findById(id)
-      .populate('items.cocktail', 'name description image');
+    const webhookEvent = await WebhookEvent.findById(req.params.id);
+    if (!webhookEvent) {
+      return res.status(404).json({
+        error: 'Webhook event not found',
+        message: 'The requested webhook event does not exist'
+      });
+    }
 
-    if (!order) {
+    if (!paymentWebhookService.isReplayable(webhookEvent)) {
+      return res.status(409).json({
+        error: 'Replay not allowed',
+        message: `Only failed events and events stuck in processing can be replayed; this event is ${webhookEvent.status}`
+      });
+    }
+
+    const result = await paymentWebhookService.process(webhookEvent._id, { replayedBy: req.user.email });
+
+    if (!result.claimed) {
+      return res.status(409).json({
+        error: 'Replay not allowed',
+        message: `Event is already ${result.webhookEvent.status}`
+      });
+    }
+
+    res.json({
+      success: result.webhookEvent.status !== 'failed',
+      event: result.webhookEvent
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
       return res.status(404).json({
-        error: 'Order not found',
-        message: 'The requested order does not exist'
+        error: 'Invalid webhook event ID',
+        message: 'The provided webhook event ID is not valid'
       });
     }
 
-    // Create detailed timeline
-    const timeline = [
-      {
-        status: 'placed',
-        timestamp: order.createdAt,
-        description: 'Order placed successfully',
-        icon: '📝'
+    console.error('Replay webhook event error:', error);
+    res.status(500).json({
+      error: 'Failed to replay webhook event',
+      message: 'Unable to replay webhook event at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OutboxEmail:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           description: What the email is about, e.g. order_confirmation, order_status_update, otp or low_stock_alert
+ *         to:
+ *           type: string
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, sending, sent, dead]
+ *           description: Dead emails ran out of attempts or expired and need an admin to retry them
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         messageId:
+ *           type: string
+ *           description: SMTP message ID once sent
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *         retriedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/outbox:
+ *   get:
+ *     summary: List queued, sent and dead-lettered emails (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, dead]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by email type (e.g., order_confirmation)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Filter by recipient
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: Emails retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 emails:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OutboxEmail'
+ *                 pagination:
+ *                   type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/outbox', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const OutboxEmail = require('../models/OutboxEmail');
+
+    const { status, type, to, limit = 20, page = 1 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (to) filter.to = to;
+
+    const limitNum = Math.min(parseInt(limit), 100);
+    const pageNum = Math.max(parseInt(page), 1);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Message bodies and attachments are left out of the listing
+    const [emails, total] = await Promise.all([
+      OutboxEmail.find(filter)
+        .select('-mail')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      OutboxEmail.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      emails,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
       }
-    ];
+    });
+  } catch (error) {
+    console.error('Get outbox emails error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch outbox emails',
+      message: 'Unable to retrieve outbox emails at this time'
+    });
+  }
+});
 
-    if (order.paymentStatus === 'paid') {
-      timeline.push({
-        status: 'payment_confirmed',
-        timestamp: order.updatedAt,
-        description: 'Payment confirmed',
-        icon: '💳'
-      });
-    }
-
-    // Add status-specific timeline entries
-    switch (order.fulfillmentStatus) {
-      case 'preparing':
-        timeline.push({
-          status: 'preparing',
-          timestamp: order.updatedAt,
-          description: 'Order is being prepared',
-          icon: '👨‍🍳'
-        });
-        break;
-      case 'in_route':
-        timeline.push(
-          {
-            status: 'preparing',
-            timestamp: order.updatedAt,
-            description: 'Order prepared',
-            icon: '✅'
-          },
-          {
-            status: 'in_route',
-            timestamp: order.updatedAt,
-            description: 'Order is on the way',
-            icon: '🚚'
-          }
-        );
-        break;
-      case 'delivered':
-        timeline.push(
-          {
-            status: 'preparing',
-            timestamp: order.updatedAt,
-            description: 'Order prepared',
-            icon: '✅'
-          },
-          {
-            status: 'in_route',
-            timestamp: order.updatedAt,
-            description: 'Order delivered',
-            icon: '🚚'
-          },
-          {
-            status: 'delivered',
-            timestamp: order.updatedAt,
-            description: 'Order delivered successfully',
-            icon: '🎉'
-          }
-        );
-        break;
-      case 'cancelled':
-        timeline.push({
-          status: 'cancelled',
-          timestamp: order.updatedAt,
-          description: 'Order cancelled',
-          icon: '❌'
+/**
+ * @swagger
+ * /admin/outbox/{id}/retry:
+ *   post:
+ *     summary: Queue a dead-lettered email again (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Outbox email ID
+ *     responses:
+ *       200:
+ *         description: Email queued with a fresh set of attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 email:
+ *                   $ref: '#/components/schemas/OutboxEmail'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Outbox email not found
+ *       409:
+ *         description: Only dead emails can be retried
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/outbox/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const OutboxEmail = require('../models/OutboxEmail');
+
+    const email = await emailOutboxService.retry(req.params.id, { retriedBy: req.user.email });
+
+    if (!email) {
+      const existing = await OutboxEmail.findById(req.params.id).select('status');
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Outbox email not found',
+          message: 'The requested email does not exist'
         });
-        break;
-    }
-
-    const trackingInfo = {
-      orderNumber: order.orderNumber,
-      status: order.fulfillmentStatus,
-      paymentStatus: order.paymentStatus,
-      timeline,
-      adminNotes: order.adminNotes || [],
-      estimatedDelivery: order.estimatedDeliveryTime || (() => {
-        const estimated = new Date(order.createdAt);
-        estimated.setHours(estimated.getHours() + 3);
-        return estimated;
-      })()
-    };
+      }
+
+      return res.status(409).json({
+        error: 'Retry not allowed',
+        message: `Only dead emails can be retried; this email is ${existing.status}`
+      });
+    }
 
     res.json({
       success: true,
-      order,
-      trackingInfo
+      email
     });
-
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(404).json({
-        error: 'Invalid order ID',
-        message: 'The provided order ID is not valid'
+        error: 'Invalid outbox email ID',
+        message: 'The provided outbox email ID is not valid'
+      });
+    }
+
+    console.error('Retry outbox email error:', error);
+    res.status(500).json({
+      error: 'Failed to retry outbox email',
+      message: 'Unable to retry outbox email at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/email-templates:
+ *   get:
+ *     summary: List email templates and the locales they can be rendered in (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 templates:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 locales:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/email-templates', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      templates: emailTemplateService.listTemplates(),
+      locales: emailTemplateService.getLocales()
+    });
+  } catch (error) {
+    console.error('Get email templates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email templates',
+      message: 'Unable to retrieve email templates at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/email-templates/{name}/preview:
+ *   get:
+ *     summary: Render an email template against an order or sample data (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Template name, e.g. order_confirmation
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           enum: [en, pcm, yo, ha, ig]
+ *         description: Locale to render in (defaults to the order's locale, then English)
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *         description: Order to render order emails against (defaults to a sample order)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, text]
+ *           default: json
+ *         description: Return the rendered email as JSON, or only its HTML or plain-text body
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preview:
+ *                   type: object
+ *                   properties:
+ *                     template:
+ *                       type: string
+ *                     locale:
+ *                       type: string
+ *                     subject:
+ *                       type: string
+ *                     html:
+ *                       type: string
+ *                     text:
+ *                       type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Template or order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/email-templates/:name/preview', authenticateToken, requireAdmin, [
+  query('locale')
+    .optional()
+    .isIn(emailTemplateService.getLocales())
+    .withMessage('Locale must be one of en, pcm, yo, ha or ig'),
+  query('format')
+    .optional()
+    .isIn(['json', 'html', 'text'])
+    .withMessage('Format must be json, html or text')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    const { locale, orderId, format = 'json' } = req.query;
+
+    if (!emailTemplateService.exists(name)) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `There is no email template named ${name}`
+      });
+    }
+
+    let order;
+    if (orderId) {
+      const Order = require('../models/Order');
+      order = await Order.findById(orderId).populate('items.cocktail', 'name');
+      if (!order) {
+        return res.status(404).json({
+          error: 'Order not found',
+          message: 'The requested order does not exist'
+        });
+      }
+    }
+
+    const preview = emailService.preview(name, { order, locale });
+
+    if (format === 'html') {
+      return res.type('html').send(preview.html);
+    }
+    if (format === 'text') {
+      return res.type('text').send(preview.text);
+    }
+
+    res.json({
+      success: true,
+      preview: {
+        template: name,
+        ...preview
+      }
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Preview email template error:', error);
+    res.status(500).json({
+      error: 'Failed to preview email template',
+      message: 'Unable to render the email template at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/status:
+ *   patch:
+ *     summary: Update order status with email notifications (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fulfillmentStatus
+ *             properties:
+ *               fulfillmentStatus:
+ *                 type: string
+ *                 enum: [new, preparing, in_route, delivered, cancelled]
+ *                 description: New fulfillment status
+ *               adminNote:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Admin note for the status update
+ *               notifyCustomer:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether to notify the customer on their preferred channels (email, SMS, WhatsApp)
+ *               sendEmailNotification:
+ *                 type: boolean
+ *                 deprecated: true
+ *                 description: Older name for notifyCustomer
+ *               estimatedDeliveryTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Estimated delivery time (optional)
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 emailSent:
+ *                   type: boolean
+ *                   description: Whether the email notification was queued; false when the order has no customer email
+ *                 notifications:
+ *                   type: object
+ *                   description: Outcome per channel the customer was notified on
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       success:
+ *                         type: boolean
+ *                       provider:
+ *                         type: string
+ *                       messageId:
+ *                         type: string
+ *                       error:
+ *                         type: string
+ *                 statusUpdate:
+ *                   type: object
+ *                   properties:
+ *                     previousStatus:
+ *                       type: string
+ *                     newStatus:
+ *                       type: string
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Illegal status transition for the order's current state, or cancelling a paid order (use the cancel endpoint, which refunds it)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusTransitionError'
+ *       500:
+ *         description: Internal server error
+ */
+router.patch('/orders/:id/status', authenticateToken, requireAdmin, [
+  body('fulfillmentStatus')
+    .isIn(['new', 'preparing', 'in_route', 'delivered', 'cancelled'])
+    .withMessage('Invalid fulfillment status'),
+  body('adminNote')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Admin note cannot exceed 500 characters'),
+  body('notifyCustomer')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyCustomer must be a boolean'),
+  body('sendEmailNotification')
+    .optional()
+    .isBoolean()
+    .withMessage('sendEmailNotification must be a boolean'),
+  body('estimatedDeliveryTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid estimated delivery time format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const Order = require('../models/Order');
+    const { id } = req.params;
+    const { 
+      fulfillmentStatus, 
+      adminNote = '', 
+      sendEmailNotification = true,
+      notifyCustomer = sendEmailNotification,
+      estimatedDeliveryTime 
+    } = req.body;
+
+    // Find the order
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The order you are trying to update does not exist'
+      });
+    }
+
+    // Move the order through the lifecycle so illegal jumps are rejected
+    const transition = await orderLifecycleService.transition(order, fulfillmentStatus, {
+      actor: req.user.email,
+      actorRole: 'admin',
+      note: adminNote || undefined
+    });
+
+    if (!transition.success) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: transition.reason,
+        currentStatus: order.fulfillmentStatus,
+        requestedStatus: fulfillmentStatus,
+        allowedTransitions: transition.allowedTransitions
+      });
+    }
+
+    const { previousStatus } = transition;
+    
+    // Add admin note if provided
+    if (adminNote) {
+      order.adminNotes = order.adminNotes || [];
+      order.adminNotes.push({
+        note: adminNote,
+        addedBy: req.user.email,
+        addedAt: new Date()
+      });
+    }
+
+    // Add estimated delivery time if provided
+    if (estimatedDeliveryTime) {
+      order.estimatedDeliveryTime = new Date(estimatedDeliveryTime);
+    }
+
+    await order.save();
+    await order.populate('items.cocktail', 'name description image');
+
+    let notifications = {};
+    
+    // Notify the customer on their preferred channels
+    if (notifyCustomer) {
+      try {
+        notifications = await notificationService.sendOrderStatusUpdate(order, fulfillmentStatus, adminNote);
+      } catch (notificationError) {
+        console.error('Customer notification failed:', notificationError);
+        // Don't fail the request if notifications fail
+      }
+    }
+
+    res.json({
+      success: true,
+      order,
+      emailSent: Boolean(notifications.email && notifications.email.success),
+      notifications,
+      statusUpdate: {
+        previousStatus,
+        newStatus: fulfillmentStatus,
+        updatedAt: order.updatedAt,
+        adminNote,
+        estimatedDeliveryTime: order.estimatedDeliveryTime
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Update order status error:', error);
+    res.status(500).json({
+      error: 'Failed to update order status',
+      message: 'Unable to update order status at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/cancel:
+ *   post:
+ *     summary: Cancel an order and refund the customer (Admin only)
+ *     description: |
+ *       Cancels the order, refunds its payment through Paystack and returns the
+ *       reserved stock. Omit refundAmount to refund everything still refundable.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Out of stock on a key ingredient"
+ *               refundAmount:
+ *                 type: number
+ *                 description: Amount to refund in NGN for a partial refund
+ *                 example: 2500
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 refund:
+ *                   $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Validation error or refund larger than the refundable balance
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled, or another cancellation of it is in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusTransitionError'
+ *       502:
+ *         description: Paystack refused the refund; the order was not cancelled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders/:id/cancel', authenticateToken, requireAdmin, validateAdminOrderCancellation, async (req, res) => {
+  try {
+    const Order = require('../models/Order');
+    const { reason, refundAmount } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The order you are trying to cancel does not exist'
+      });
+    }
+
+    if (reason) {
+      order.adminNotes.push({
+        note: `Cancelled: ${reason}`,
+        addedBy: req.user.email,
+        addedAt: new Date()
+      });
+    }
+
+    const result = await orderCancellationService.cancelOrder(order, {
+      actor: req.user.email,
+      actorRole: 'admin',
+      reason,
+      refundAmount: refundAmount !== undefined ? parseFloat(refundAmount) : undefined
+    });
+
+    if (!result.success) {
+      const { success, status, ...errorBody } = result;
+      return res.status(status).json(errorBody);
+    }
+
+    await result.order.populate('items.cocktail', 'name description image');
+
+    res.json({
+      success: true,
+      message: result.refund ? 'Order cancelled and refund initiated' : 'Order cancelled',
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Admin cancel order error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel order',
+      message: 'Unable to cancel order at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/cash-collected:
+ *   post:
+ *     summary: Record payment collected by the rider for a pay-on-delivery order (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - collectedBy
+ *               - amount
+ *             properties:
+ *               collectedBy:
+ *                 type: string
+ *                 description: Name of the rider who collected the payment
+ *                 example: "Musa Ibrahim"
+ *               amount:
+ *                 type: number
+ *                 description: Amount collected in NGN
+ *                 example: 7500
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment recorded and the order marked as paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error, not a pay-on-delivery order, or amount below the order total
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is cancelled or already paid
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders/:id/cash-collected', authenticateToken, requireAdmin, validateCashCollection, async (req, res) => {
+  try {
+    const Order = require('../models/Order');
+    const { collectedBy, amount, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The requested order does not exist'
+      });
+    }
+
+    if (!order.paysOnDelivery) {
+      return res.status(400).json({
+        error: 'Not a pay-on-delivery order',
+        message: `This order is paid by ${order.paymentMethod}`
+      });
+    }
+
+    if (order.fulfillmentStatus === 'cancelled') {
+      return res.status(409).json({
+        error: 'Order cancelled',
+        message: 'Payment cannot be recorded for a cancelled order'
+      });
+    }
+
+    if (order.paymentStatus === 'paid') {
+      return res.status(409).json({
+        error: 'Order already paid',
+        message: 'Payment has already been recorded for this order'
+      });
+    }
+
+    const collected = parseFloat(amount);
+    if (collected < order.totalAmount) {
+      return res.status(400).json({
+        error: 'Amount too low',
+        message: `The rider must collect the order total of ₦${order.totalAmount}`
+      });
+    }
+
+    order.cashCollection = {
+      collectedBy,
+      amount: collected,
+      collectedAt: new Date(),
+      recordedBy: req.user.email,
+      note
+    };
+    orderLifecycleService.recordPaymentEvent(order, 'paid', {
+      actor: req.user.email,
+      actorRole: 'admin',
+      note: `₦${collected} collected by ${collectedBy} (${order.paymentMethod})`
+    });
+
+    await order.save();
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Record cash collection error:', error);
+    res.status(500).json({
+      error: 'Failed to record payment',
+      message: 'Unable to record payment at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/id-check:
+ *   post:
+ *     summary: Record the customer's ID check at delivery of an order containing alcohol (Admin only)
+ *     description: >
+ *       Orders placed while AGE_ID_CHECK_REQUIRED is on cannot be marked as delivered until the
+ *       check is recorded as verified. A failed check blocks delivery of any order.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - checkedBy
+ *               - verified
+ *             properties:
+ *               checkedBy:
+ *                 type: string
+ *                 description: Name of the rider who checked the ID
+ *                 example: "Musa Ibrahim"
+ *               verified:
+ *                 type: boolean
+ *                 description: Whether the ID showed the customer is of legal drinking age
+ *               idType:
+ *                 type: string
+ *                 enum: [national_id, drivers_license, passport, voters_card, other]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: ID check recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error or the order contains no alcohol
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is cancelled or already delivered
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/orders/:id/id-check', authenticateToken, requireAdmin, validateIdCheck, async (req, res) => {
+  try {
+    const Order = require('../models/Order');
+    const { checkedBy, verified, idType, note } = req.body;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The requested order does not exist'
+      });
+    }
+
+    if (!order.ageVerification || !order.ageVerification.containsAlcohol) {
+      return res.status(400).json({
+        error: 'No age check needed',
+        message: 'This order contains no alcoholic drinks'
+      });
+    }
+
+    if (['cancelled', 'delivered'].includes(order.fulfillmentStatus)) {
+      return res.status(409).json({
+        error: `Order ${order.fulfillmentStatus}`,
+        message: `An ID check cannot be recorded for a ${order.fulfillmentStatus} order`
+      });
+    }
+
+    order.ageVerification.idCheck = {
+      isRequired: order.ageVerification.idCheck.isRequired,
+      verified: verified === true || verified === 'true',
+      idType,
+      checkedBy,
+      checkedAt: new Date(),
+      recordedBy: req.user.email,
+      note
+    };
+
+    await order.save();
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Record ID check error:', error);
+    res.status(500).json({
+      error: 'Failed to record ID check',
+      message: 'Unable to record the ID check at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/invoice:
+ *   get:
+ *     summary: Download an order's invoice (Admin only)
+ *     description: Returns a PDF invoice, or a receipt once the order is paid. The invoice number is assigned on first download and stays the same afterwards.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/orders/:id/invoice', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const Order = require('../models/Order');
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The requested order does not exist'
+      });
+    }
+
+    const invoice = await invoiceService.generate(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.filename}"`
+    });
+    res.send(invoice.buffer);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Get admin invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to generate invoice',
+      message: 'Unable to generate invoice at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/orders/{id}/track:
+ *   get:
+ *     summary: Get detailed order tracking information (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order tracking information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 trackingInfo:
+ *                   type: object
+ *                   properties:
+ *                     orderNumber:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     paymentStatus:
+ *                       type: string
+ *                     timeline:
+ *                       type: array
+ *                       description: Every persisted status and payment event, including actor, role and note
+ *                       items:
+ *                         type: object
+ *                     payments:
+ *                       type: array
+ *                       description: Payment attempts for the order
+ *                       items:
+ *                         type: object
+ *                     adminNotes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     estimatedDelivery:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/orders/:id/track', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const Order = require('../models/Order');
+    const { id } = req.params;
+
+    const order = await Order.findById(id)
+      .populate('items.cocktail', 'name description image');
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'The requested order does not exist'
+      });
+    }
+
+    // Admins see every persisted status and payment event with actors and notes
+    const trackingInfo = await orderTimelineService.buildTracking(order, 'admin');
+
+    res.json({
+      success: true,
+      order,
+      trackingInfo
+    });
+
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
       });
     }
 
     console.error('Get order tracking error:', error);
     res.status(500).json({
-      error: 'Failed to get order tracking',
-      message: 'Unable to retrieve order tracking information at this time'
+      error: 'Failed to get order tracking',
+      message: 'Unable to retrieve order tracking information at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryZone:
+ *       type: object
+ *       required:
+ *         - name
+ *         - state
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *           example: "Lagos Island"
+ *         state:
+ *           type: string
+ *           enum: [Abia, Adamawa, Akwa Ibom, Anambra, Bauchi, Bayelsa, Benue, Borno, Cross River, Delta, Ebonyi, Edo, Ekiti, Enugu, FCT, Gombe, Imo, Jigawa, Kaduna, Kano, Katsina, Kebbi, Kogi, Kwara, Lagos, Nasarawa, Niger, Ogun, Ondo, Osun, Oyo, Plateau, Rivers, Sokoto, Taraba, Yobe, Zamfara]
+ *         cities:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Cities covered by the zone (case-insensitive). Leave cities and lgas empty to cover the whole state
+ *         lgas:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: LGAs covered by the zone (case-insensitive). An LGA match takes priority over a city match
+ *         pricing:
+ *           type: string
+ *           enum: [flat, quantity, weight]
+ *           default: flat
+ *         baseFee:
+ *           type: number
+ *           minimum: 0
+ *           description: Fee in NGN for flat pricing
+ *         tiers:
+ *           type: array
+ *           description: Required for quantity and weight pricing. The first tier whose upTo covers the order's item count (or kg) applies; larger orders pay the largest tier
+ *           items:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: number
+ *                 minimum: 0
+ *               fee:
+ *                 type: number
+ *                 minimum: 0
+ *         freeDeliveryThreshold:
+ *           type: number
+ *           minimum: 0
+ *           description: Subtotal in NGN at or above which the base fee is waived
+ *         remoteSurcharge:
+ *           type: number
+ *           minimum: 0
+ *           description: Extra charge in NGN for remote zones, applied even when delivery is free
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/delivery-zones:
+ *   get:
+ *     summary: Get delivery zones (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Filter by state
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *     responses:
+ *       200:
+ *         description: Delivery zones retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 zones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DeliveryZone'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/delivery-zones', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const DeliveryZone = require('../models/DeliveryZone');
+
+    const { state, isActive } = req.query;
+
+    const filter = {};
+    if (state) filter.state = state;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const zones = await DeliveryZone.find(filter).sort({ state: 1, name: 1 });
+
+    res.json({
+      success: true,
+      zones
+    });
+  } catch (error) {
+    console.error('Get delivery zones error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch delivery zones',
+      message: 'Unable to retrieve delivery zones at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/delivery-zones:
+ *   post:
+ *     summary: Create a delivery zone (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *           example:
+ *             name: "Lekki"
+ *             state: "Lagos"
+ *             lgas: ["Eti-Osa", "Ibeju-Lekki"]
+ *             pricing: "quantity"
+ *             tiers: [{ upTo: 3, fee: 1500 }, { upTo: 10, fee: 2500 }]
+ *             freeDeliveryThreshold: 50000
+ *             remoteSurcharge: 0
+ *     responses:
+ *       201:
+ *         description: Delivery zone created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 zone:
+ *                   $ref: '#/components/schemas/DeliveryZone'
+ *       400:
+ *         description: Validation error or tiered pricing without tiers
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/delivery-zones', authenticateToken, requireAdmin, validateDeliveryZone, async (req, res) => {
+  try {
+    const DeliveryZone = require('../models/DeliveryZone');
+
+    const zone = new DeliveryZone(pickFields(req.body, DELIVERY_ZONE_FIELDS));
+
+    const configurationError = deliveryPricingService.getConfigurationError(zone);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid delivery zone',
+        message: configurationError
+      });
+    }
+
+    await zone.save();
+
+    res.status(201).json({
+      success: true,
+      zone
+    });
+  } catch (error) {
+    console.error('Create delivery zone error:', error);
+    res.status(500).json({
+      error: 'Failed to create delivery zone',
+      message: 'Unable to create delivery zone at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/delivery-zones/{id}:
+ *   put:
+ *     summary: Update a delivery zone (Admin only)
+ *     description: Only the fields provided are changed. Existing orders keep the fee they were quoted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery zone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryZone'
+ *     responses:
+ *       200:
+ *         description: Delivery zone updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 zone:
+ *                   $ref: '#/components/schemas/DeliveryZone'
+ *       400:
+ *         description: Validation error or tiered pricing without tiers
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Delivery zone not found
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/delivery-zones/:id', authenticateToken, requireAdmin, validateDeliveryZoneUpdate, async (req, res) => {
+  try {
+    const DeliveryZone = require('../models/DeliveryZone');
+
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Delivery zone not found',
+        message: 'The specified delivery zone does not exist'
+      });
+    }
+
+    Object.assign(zone, pickFields(req.body, DELIVERY_ZONE_FIELDS));
+
+    const configurationError = deliveryPricingService.getConfigurationError(zone);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid delivery zone',
+        message: configurationError
+      });
+    }
+
+    await zone.save();
+
+    res.json({
+      success: true,
+      zone
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid delivery zone ID',
+        message: 'The provided delivery zone ID is not valid'
+      });
+    }
+
+    console.error('Update delivery zone error:', error);
+    res.status(500).json({
+      error: 'Failed to update delivery zone',
+      message: 'Unable to update delivery zone at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/delivery-zones/{id}:
+ *   delete:
+ *     summary: Delete a delivery zone (Admin only)
+ *     description: Addresses the zone covered fall back to a broader zone in the same state, or the default delivery fee.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery zone ID
+ *     responses:
+ *       200:
+ *         description: Delivery zone deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Delivery zone not found
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/delivery-zones/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const DeliveryZone = require('../models/DeliveryZone');
+
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Delivery zone not found',
+        message: 'The specified delivery zone does not exist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone deleted successfully'
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid delivery zone ID',
+        message: 'The provided delivery zone ID is not valid'
+      });
+    }
+
+    console.error('Delete delivery zone error:', error);
+    res.status(500).json({
+      error: 'Failed to delete delivery zone',
+      message: 'Unable to delete delivery zone at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           maxLength: 30
+ *           description: Stored in upper case; customers can enter it in any case
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, buy_x_get_y, free_delivery]
+ *         value:
+ *           type: number
+ *           description: Percent off for percentage promotions, NGN off for fixed_amount
+ *         maxDiscount:
+ *           type: number
+ *           description: Largest discount in NGN a percentage promotion can give
+ *         buyQuantity:
+ *           type: integer
+ *           description: buy_x_get_y - units of a cocktail to buy
+ *         getQuantity:
+ *           type: integer
+ *           description: buy_x_get_y - units of the same cocktail given free for each buyQuantity bought
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         minimumOrderValue:
+ *           type: number
+ *           description: Smallest subtotal in NGN the code can be used on
+ *         usageLimit:
+ *           type: integer
+ *           description: Total redemptions allowed; unlimited when empty
+ *         perUserLimit:
+ *           type: integer
+ *           description: Redemptions allowed per customer (account or phone); unlimited when empty
+ *         usageCount:
+ *           type: integer
+ *           readOnly: true
+ *           description: Redemptions held by orders that were not cancelled or expired
+ *         cocktails:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only discount these cocktails; empty applies to the whole order
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only valid for deliveries to these states; empty applies everywhere
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /admin/promotions:
+ *   get:
+ *     summary: Get promotions (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [percentage, fixed_amount, buy_x_get_y, free_delivery]
+ *         description: Filter by promotion type
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 promotions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/promotions', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const Promotion = require('../models/Promotion');
+
+    const { isActive, type } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (type) filter.type = type;
+
+    const promotions = await Promotion.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      promotions
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotions',
+      message: 'Unable to retrieve promotions at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promotions:
+ *   post:
+ *     summary: Create a promotion (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *           example:
+ *             code: "WELCOME10"
+ *             description: "10% off your first order"
+ *             type: "percentage"
+ *             value: 10
+ *             maxDiscount: 5000
+ *             perUserLimit: 1
+ *             minimumOrderValue: 10000
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       400:
+ *         description: Validation error or incomplete promotion settings
+ *       409:
+ *         description: A promotion with this code already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/promotions', authenticateToken, requireAdmin, validatePromotion, async (req, res) => {
+  try {
+    const Promotion = require('../models/Promotion');
+
+    const promotion = new Promotion({
+      ...pickFields(req.body, PROMOTION_FIELDS),
+      createdBy: req.user.email
+    });
+
+    const configurationError = promotionService.getConfigurationError(promotion);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid promotion',
+        message: configurationError
+      });
+    }
+
+    await promotion.save();
+
+    res.status(201).json({
+      success: true,
+      promotion
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate promo code',
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to create promotion',
+      message: 'Unable to create promotion at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion (Admin only)
+ *     description: Only the fields provided are changed. Set isActive to false to retire a code; orders that already used it keep their discount.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       400:
+ *         description: Validation error or incomplete promotion settings
+ *       404:
+ *         description: Promotion not found
+ *       409:
+ *         description: A promotion with this code already exists
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/promotions/:id', authenticateToken, requireAdmin, validatePromotionUpdate, async (req, res) => {
+  try {
+    const Promotion = require('../models/Promotion');
+
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        error: 'Promotion not found',
+        message: 'The specified promotion does not exist'
+      });
+    }
+
+    Object.assign(promotion, pickFields(req.body, PROMOTION_FIELDS));
+
+    const configurationError = promotionService.getConfigurationError(promotion);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid promotion',
+        message: configurationError
+      });
+    }
+
+    await promotion.save();
+
+    res.json({
+      success: true,
+      promotion
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid promotion ID',
+        message: 'The provided promotion ID is not valid'
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate promo code',
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      error: 'Failed to update promotion',
+      message: 'Unable to update promotion at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PriceRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - type
+ *         - value
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         description:
+ *           type: string
+ *           maxLength: 200
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, fixed_price]
+ *         value:
+ *           type: number
+ *           description: Percent off for percentage rules, NGN off for fixed_amount, the price to sell the cocktail at for fixed_price (variants are reduced by the same amount, keeping their price difference)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start of a campaign; open-ended when empty
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: End of a campaign; open-ended when empty
+ *         daysOfWeek:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Days the rule runs, 0 = Sunday; every day when empty
+ *         startTime:
+ *           type: string
+ *           example: "17:00"
+ *           description: Start of the daily window, HH:mm in Lagos time
+ *         endTime:
+ *           type: string
+ *           example: "19:00"
+ *           description: End of the daily window; a window ending before it starts runs past midnight
+ *         cocktails:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only price these cocktails; empty applies to all
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [classic, signature, mocktail, shots]
+ *           description: Only price cocktails in these categories; empty applies to all
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Only applies to deliveries in these states; empty applies everywhere
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *         isRunning:
+ *           type: boolean
+ *           readOnly: true
+ *           description: Whether the rule's window includes the current time
+ */
+
+/**
+ * @swagger
+ * /admin/price-rules:
+ *   get:
+ *     summary: Get scheduled price rules (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: Filter by active status
+ *       - in: query
+ *         name: running
+ *         schema:
+ *           type: boolean
+ *         description: Only return active rules whose window includes the current time
+ *     responses:
+ *       200:
+ *         description: Price rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 priceRules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceRule'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/price-rules', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const PriceRule = require('../models/PriceRule');
+
+    const { isActive, running } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (running === 'true') filter.isActive = true;
+
+    const now = new Date();
+    const priceRules = (await PriceRule.find(filter).sort({ createdAt: -1 }))
+      .map(rule => ({ ...rule.toJSON(), isRunning: rule.isActive && priceRuleService.isInWindow(rule, now) }))
+      .filter(rule => running !== 'true' || rule.isRunning);
+
+    res.json({
+      success: true,
+      priceRules
+    });
+  } catch (error) {
+    console.error('Get price rules error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch price rules',
+      message: 'Unable to retrieve price rules at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/price-rules:
+ *   post:
+ *     summary: Create a scheduled price rule (Admin only)
+ *     description: Rules lower the price of matching cocktails while their window runs. When several apply, customers get the lowest price.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceRule'
+ *           example:
+ *             name: "Friday happy hour"
+ *             type: "percentage"
+ *             value: 20
+ *             daysOfWeek: [5]
+ *             startTime: "17:00"
+ *             endTime: "19:00"
+ *             states: ["Lagos"]
+ *     responses:
+ *       201:
+ *         description: Price rule created successfully
+ *       400:
+ *         description: Validation error or incomplete rule settings
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/price-rules', authenticateToken, requireAdmin, validatePriceRule, async (req, res) => {
+  try {
+    const PriceRule = require('../models/PriceRule');
+
+    const priceRule = new PriceRule({
+      ...pickFields(req.body, PRICE_RULE_FIELDS),
+      createdBy: req.user.email
+    });
+
+    const configurationError = priceRuleService.getConfigurationError(priceRule);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid price rule',
+        message: configurationError
+      });
+    }
+
+    await priceRule.save();
+
+    res.status(201).json({
+      success: true,
+      priceRule
+    });
+  } catch (error) {
+    console.error('Create price rule error:', error);
+    res.status(500).json({
+      error: 'Failed to create price rule',
+      message: 'Unable to create price rule at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/price-rules/{id}:
+ *   put:
+ *     summary: Update a scheduled price rule (Admin only)
+ *     description: Only the fields provided are changed. Set isActive to false to stop a rule; orders already placed keep their prices.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Price rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PriceRule'
+ *     responses:
+ *       200:
+ *         description: Price rule updated successfully
+ *       400:
+ *         description: Validation error or incomplete rule settings
+ *       404:
+ *         description: Price rule not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/price-rules/:id', authenticateToken, requireAdmin, validatePriceRuleUpdate, async (req, res) => {
+  try {
+    const PriceRule = require('../models/PriceRule');
+
+    const priceRule = await PriceRule.findById(req.params.id);
+    if (!priceRule) {
+      return res.status(404).json({
+        error: 'Price rule not found',
+        message: 'The specified price rule does not exist'
+      });
+    }
+
+    Object.assign(priceRule, pickFields(req.body, PRICE_RULE_FIELDS));
+
+    const configurationError = priceRuleService.getConfigurationError(priceRule);
+    if (configurationError) {
+      return res.status(400).json({
+        error: 'Invalid price rule',
+        message: configurationError
+      });
+    }
+
+    await priceRule.save();
+
+    res.json({
+      success: true,
+      priceRule
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid price rule ID',
+        message: 'The provided price rule ID is not valid'
+      });
+    }
+
+    console.error('Update price rule error:', error);
+    res.status(500).json({
+      error: 'Failed to update price rule',
+      message: 'Unable to update price rule at this time'
     });
   }
 });
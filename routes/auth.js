@@ -260,6 +260,13 @@ router.get('/me', async (req, res) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens issued for a single purpose (e.g. unsubscribe links) never log in
+    if (decoded.purpose) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid token'
+      });
+    }
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user || !user.isActive) {
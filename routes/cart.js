@@ -3,9 +3,92 @@ const { body, validationResult } = require('express-validator');
 const Cart = require('../models/Cart');
 const Cocktail = require('../models/Cocktail');
 const { authenticateToken, requireCustomer } = require('../middleware/auth');
+const deliveryPricingService = require('../services/deliveryPricingService');
+const promotionService = require('../services/promotionService');
+const taxService = require('../services/taxService');
+const priceRuleService = require('../services/priceRuleService');
 
 const router = express.Router();
 
+// Cocktail fields needed to price cart lines
+const PRICING_FIELDS = 'price category variants modifierGroups statePrices weight taxCategory';
+
+// Two lines hold the same selection when cocktail, variant and options match
+const selectionKey = ({ cocktail, variant, modifiers = [] }) => [
+  (cocktail._id || cocktail).toString(),
+  variant ? variant.toString() : '',
+  modifiers.map(modifier => modifier.option.toString()).sort().join(',')
+].join('|');
+
+// A cart line is addressed by its own id, or by cocktail id for older clients
+const matchesLine = (item, id) => item._id.toString() === id || item.cocktail.toString() === id;
+
+/**
+ * Price a populated cart for the signed-in customer at the current prices of
+ * their saved address's state, including the delivery fee for that address,
+ * the cart's promo code if it still applies and VAT.
+ * Returns `{ pricing, promoRejection }`; the rejection explains why the promo
+ * code was left out.
+ */
+const priceCart = async (cart, user) => {
+  // Without a saved address the delivery fee is only known at checkout
+  const address = user.address || {};
+  const rules = await priceRuleService.getActiveRules();
+  const items = cart.items
+    .filter(item => item.cocktail)
+    .map(item => {
+      const variant = item.cocktail.findVariant(item.variant);
+      const { price, originalPrice } = priceRuleService.priceLine(rules, item.cocktail, {
+        variant: item.variant,
+        modifiers: item.modifiers,
+        state: address.state
+      });
+      return {
+        cocktail: item.cocktail._id,
+        price,
+        originalPrice,
+        quantity: item.quantity,
+        weight: variant && variant.weight !== undefined ? variant.weight : item.cocktail.weight,
+        taxCategory: item.cocktail.taxCategory
+      };
+    });
+  const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+  const originalSubtotal = items.reduce((total, item) => total + item.originalPrice * item.quantity, 0);
+
+  const { deliveryFee } = address.state
+    ? await deliveryPricingService.quote({ state: address.state, city: address.city, lga: address.lga, items, subtotal })
+    : { deliveryFee: 0 };
+
+  const pricing = { subtotal, originalSubtotal, deliveryFee, discounts: [], discountTotal: 0, promoCode: cart.promoCode || null };
+  let promoRejection = null;
+
+  if (cart.promoCode && items.length > 0) {
+    const applied = await promotionService.applyCode(cart.promoCode, {
+      items,
+      subtotal,
+      deliveryFee,
+      state: address.state,
+      user: user._id,
+      phone: user.phone
+    });
+
+    if (applied.success) {
+      pricing.discounts.push(applied.line);
+      pricing.discountTotal = applied.line.amount;
+    } else {
+      promoRejection = applied;
+      pricing.promoError = applied.message;
+    }
+  }
+
+  const { taxLines, taxTotal, taxAdded } = taxService.calculate({ items, discounts: pricing.discounts });
+  pricing.taxLines = taxLines;
+  pricing.taxTotal = taxTotal;
+
+  pricing.total = Math.max(subtotal + deliveryFee - pricing.discountTotal, 0) + taxAdded;
+  return { pricing, promoRejection };
+};
+
 /**
  * @swagger
  * tags:
@@ -13,6 +96,42 @@ const router = express.Router();
  *   description: Shopping cart management for authenticated users
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartPricing:
+ *       type: object
+ *       properties:
+ *         subtotal:
+ *           type: number
+ *         originalSubtotal:
+ *           type: number
+ *           description: Subtotal before scheduled price rules such as happy hours
+ *         deliveryFee:
+ *           type: number
+ *           description: Fee for the customer's saved address, 0 until an address is saved
+ *         discounts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DiscountLine'
+ *         discountTotal:
+ *           type: number
+ *         promoCode:
+ *           type: string
+ *           nullable: true
+ *         promoError:
+ *           type: string
+ *           description: Why the saved promo code no longer applies to the cart
+ *         taxLines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         taxTotal:
+ *           type: number
+ *         total:
+ *           type: number
+
 /**
  * @swagger
  * /cart:
@@ -67,14 +186,35 @@ const router = express.Router();
  *                                       type: string
  *                                     isPrimary:
  *                                       type: boolean
+ *                           _id:
+ *                             type: string
+ *                             description: Line ID, used to update or remove the line
+ *                           variant:
+ *                             type: string
+ *                           variantName:
+ *                             type: string
+ *                           modifiers:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/SelectedModifier'
  *                           quantity:
  *                             type: number
  *                           price:
  *                             type: number
+ *                             description: Unit price of the variant plus selected modifiers
+ *                           originalPrice:
+ *                             type: number
+ *                             description: Unit price before the scheduled price rule
+ *                           priceRule:
+ *                             $ref: '#/components/schemas/AppliedPriceRule'
  *                     totalItems:
  *                       type: number
  *                     totalAmount:
  *                       type: number
+ *                     promoCode:
+ *                       type: string
+ *                 pricing:
+ *                   $ref: '#/components/schemas/CartPricing'
  *       401:
  *         description: Unauthorized
  *       500:
@@ -83,7 +223,7 @@ const router = express.Router();
 router.get('/', authenticateToken, requireCustomer, async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.cocktail', 'name price description image images availableStates');
+      .populate('items.cocktail', `name description image images availableStates ${PRICING_FIELDS}`);
 
     if (!cart) {
       // Create empty cart if it doesn't exist
@@ -97,16 +237,21 @@ router.get('/', authenticateToken, requireCustomer, async (req, res) => {
       cart.items = cart.items.filter(item => 
         item.cocktail && item.cocktail.availableStates.includes(userState)
       );
+    }
+
+    if (cart.isModified('items') || cart.items.length > 0) {
+      // Saving also re-prices the lines for the current price schedule
       await cart.save();
       
       // Re-populate after filtering
       cart = await Cart.findById(cart._id)
-        .populate('items.cocktail', 'name price description image images availableStates');
+        .populate('items.cocktail', `name description image images availableStates ${PRICING_FIELDS}`);
     }
 
     res.json({
       success: true,
-      cart
+      cart,
+      pricing: (await priceCart(cart, req.user)).pricing
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -138,6 +283,14 @@ router.get('/', authenticateToken, requireCustomer, async (req, res) => {
  *               cocktailId:
  *                 type: string
  *                 description: Cocktail ID to add
+ *               variantId:
+ *                 type: string
+ *                 description: Size to add; required when the cocktail has variants and none is the default
+ *               modifiers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Modifier option IDs, within each group's min/max selections
  *               quantity:
  *                 type: integer
  *                 minimum: 1
@@ -147,7 +300,7 @@ router.get('/', authenticateToken, requireCustomer, async (req, res) => {
  *       200:
  *         description: Item added to cart successfully
  *       400:
- *         description: Validation error or cocktail not available
+ *         description: Validation error, invalid variant or modifier selection, or cocktail not available
  *       401:
  *         description: Unauthorized
  *       500:
@@ -155,6 +308,9 @@ router.get('/', authenticateToken, requireCustomer, async (req, res) => {
  */
 router.post('/', authenticateToken, requireCustomer, [
   body('cocktailId').isMongoId().withMessage('Invalid cocktail ID'),
+  body('variantId').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('modifiers').optional().isArray().withMessage('Modifiers must be an array of option IDs'),
+  body('modifiers.*').isMongoId().withMessage('Invalid modifier option ID'),
   body('quantity').isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99')
 ], async (req, res) => {
   try {
@@ -163,7 +319,7 @@ router.post('/', authenticateToken, requireCustomer, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { cocktailId, quantity } = req.body;
+    const { cocktailId, variantId, modifiers = [], quantity } = req.body;
 
     // Verify cocktail exists and is active
     const cocktail = await Cocktail.findOne({ _id: cocktailId, isActive: true });
@@ -183,15 +339,32 @@ router.post('/', authenticateToken, requireCustomer, [
       });
     }
 
+    const selection = cocktail.resolveSelection({ variantId, optionIds: modifiers, state: userState });
+    if (selection.error) {
+      return res.status(400).json({
+        error: 'Invalid selection',
+        message: selection.error
+      });
+    }
+
+    const line = {
+      cocktail: cocktailId,
+      variant: selection.variant ? selection.variant._id : undefined,
+      variantName: selection.variant ? selection.variant.name : undefined,
+      modifiers: selection.modifiers,
+      quantity,
+      price: selection.unitPrice
+    };
+
     // Find or create cart
     let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
       cart = new Cart({ user: req.user._id, items: [] });
     }
 
-    // Check if item already exists in cart
+    // Check if the same selection is already in the cart
     const existingItemIndex = cart.items.findIndex(
-      item => item.cocktail.toString() === cocktailId
+      item => selectionKey(item) === selectionKey(line)
     );
 
     if (existingItemIndex > -1) {
@@ -202,14 +375,14 @@ router.post('/', authenticateToken, requireCustomer, [
       }
     } else {
       // Add new item
-      cart.items.push({ cocktail: cocktailId, quantity, price: cocktail.price });
+      cart.items.push(line);
     }
 
     await cart.save();
     
     // Get fresh cart with populated data
     const populatedCart = await Cart.findById(cart._id)
-      .populate('items.cocktail', 'name price description image images');
+      .populate('items.cocktail', 'name price description image images variants modifierGroups');
 
     res.json({
       success: true,
@@ -227,7 +400,7 @@ router.post('/', authenticateToken, requireCustomer, [
 
 /**
  * @swagger
- * /cart/{cocktailId}:
+ * /cart/{itemId}:
  *   put:
  *     summary: Update item quantity in cart
  *     tags: [Cart]
@@ -235,11 +408,11 @@ router.post('/', authenticateToken, requireCustomer, [
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: cocktailId
+ *         name: itemId
  *         required: true
  *         schema:
  *           type: string
- *         description: Cocktail ID
+ *         description: Cart line ID, or a cocktail ID to update its first line
  *     requestBody:
  *       required: true
  *       content:
@@ -266,7 +439,7 @@ router.post('/', authenticateToken, requireCustomer, [
  *       500:
  *         description: Internal server error
  */
-router.put('/:cocktailId', authenticateToken, requireCustomer, [
+router.put('/:itemId', authenticateToken, requireCustomer, [
   body('quantity').isInt({ min: 1, max: 99 }).withMessage('Quantity must be between 1 and 99')
 ], async (req, res) => {
   try {
@@ -275,7 +448,7 @@ router.put('/:cocktailId', authenticateToken, requireCustomer, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { cocktailId } = req.params;
+    const { itemId } = req.params;
     const { quantity } = req.body;
 
     const cart = await Cart.findOne({ user: req.user._id });
@@ -286,9 +459,11 @@ router.put('/:cocktailId', authenticateToken, requireCustomer, [
       });
     }
 
-    const itemIndex = cart.items.findIndex(
-      item => item.cocktail.toString() === cocktailId
-    );
+    let itemIndex = cart.items.findIndex(item => item._id.toString() === itemId);
+    if (itemIndex === -1) {
+      // A cocktail ID updates the first line of that cocktail
+      itemIndex = cart.items.findIndex(item => matchesLine(item, itemId));
+    }
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -302,7 +477,7 @@ router.put('/:cocktailId', authenticateToken, requireCustomer, [
     
     // Get fresh cart with populated data
     const populatedCart = await Cart.findById(cart._id)
-      .populate('items.cocktail', 'name price description image images');
+      .populate('items.cocktail', 'name price description image images variants modifierGroups');
 
     res.json({
       success: true,
@@ -363,7 +538,146 @@ router.delete('/clear', authenticateToken, requireCustomer, async (req, res) =>
 
 /**
  * @swagger
- * /cart/{cocktailId}:
+ * /cart/promo:
+ *   post:
+ *     summary: Apply a promo code to the cart
+ *     description: The code is checked against the current cart and saved on it. It is checked again when the order is placed.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "WELCOME10"
+ *     responses:
+ *       200:
+ *         description: Promo code applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 cart:
+ *                   type: object
+ *                 pricing:
+ *                   $ref: '#/components/schemas/CartPricing'
+ *       400:
+ *         description: Validation error, empty cart or promo code not applicable to the cart
+ *       404:
+ *         description: Promo code does not exist
+ *       409:
+ *         description: Promo code usage limit reached
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/promo', authenticateToken, requireCustomer, [
+  body('code').trim().isLength({ min: 1, max: 30 }).withMessage('Promo code must be between 1 and 30 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.cocktail', `name description image images ${PRICING_FIELDS}`);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        error: 'Empty cart',
+        message: 'Add items to your cart before applying a promo code'
+      });
+    }
+
+    cart.promoCode = req.body.code.toUpperCase();
+    const { pricing, promoRejection } = await priceCart(cart, req.user);
+
+    if (promoRejection) {
+      const { success, status, ...errorBody } = promoRejection;
+      return res.status(status).json(errorBody);
+    }
+
+    await cart.save();
+
+    const populatedCart = await Cart.findById(cart._id)
+      .populate('items.cocktail', 'name price description image images variants modifierGroups');
+
+    res.json({
+      success: true,
+      message: 'Promo code applied successfully',
+      cart: populatedCart,
+      pricing
+    });
+  } catch (error) {
+    console.error('Apply promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to apply promo code',
+      message: 'Unable to apply promo code at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /cart/promo:
+ *   delete:
+ *     summary: Remove the promo code from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Promo code removed
+ *       404:
+ *         description: Cart not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.delete('/promo', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      return res.status(404).json({
+        error: 'Cart not found',
+        message: 'No cart found for this user'
+      });
+    }
+
+    cart.promoCode = undefined;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Promo code removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove promo code error:', error);
+    res.status(500).json({
+      error: 'Failed to remove promo code',
+      message: 'Unable to remove promo code at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /cart/{itemId}:
  *   delete:
  *     summary: Remove item from cart
  *     tags: [Cart]
@@ -371,11 +685,11 @@ router.delete('/clear', authenticateToken, requireCustomer, async (req, res) =>
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: cocktailId
+ *         name: itemId
  *         required: true
  *         schema:
  *           type: string
- *         description: Cocktail ID to remove
+ *         description: Cart line ID, or a cocktail ID to remove all of its lines
  *     responses:
  *       200:
  *         description: Item removed from cart successfully
@@ -386,9 +700,9 @@ router.delete('/clear', authenticateToken, requireCustomer, async (req, res) =>
  *       500:
  *         description: Internal server error
  */
-router.delete('/:cocktailId', authenticateToken, requireCustomer, async (req, res) => {
+router.delete('/:itemId', authenticateToken, requireCustomer, async (req, res) => {
   try {
-    const { cocktailId } = req.params;
+    const { itemId } = req.params;
 
     const cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
@@ -399,9 +713,7 @@ router.delete('/:cocktailId', authenticateToken, requireCustomer, async (req, re
     }
 
     const initialLength = cart.items.length;
-    cart.items = cart.items.filter(
-      item => item.cocktail.toString() !== cocktailId
-    );
+    cart.items = cart.items.filter(item => !matchesLine(item, itemId));
 
     if (cart.items.length === initialLength) {
       return res.status(404).json({
@@ -414,7 +726,7 @@ router.delete('/:cocktailId', authenticateToken, requireCustomer, async (req, re
     
     // Get fresh cart with populated data
     const populatedCart = await Cart.findById(cart._id)
-      .populate('items.cocktail', 'name price description image images');
+      .populate('items.cocktail', 'name price description image images variants modifierGroups');
 
     res.json({
       success: true,
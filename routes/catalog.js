@@ -1,15 +1,137 @@
 const express = require('express');
 const Cocktail = require('../models/Cocktail');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validateCocktail } = require('../middleware/validation');
+const { validateCocktail, validateCocktailUpdate, validateCatalogSearch } = require('../middleware/validation');
 const { upload, uploadToCloudinary, uploadMultipleToCloudinary } = require('../middleware/upload');
+const catalogSearchService = require('../services/catalogSearchService');
+const priceRuleService = require('../services/priceRuleService');
 
 const router = express.Router();
 
+const DETAIL_FIELDS = [
+  'category', 'tags', 'ingredients', 'spiritBase', 'abv', 'allergens', 'servingSize',
+  'variants', 'modifierGroups', 'statePrices'
+];
+
+// Category, ingredient, serving, option and state price fields given in the request, already
+// parsed by the validators
+const pickCocktailDetails = body => DETAIL_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((details, field) => ({ ...details, [field]: body[field] }), {});
+
 /**
  * @swagger
  * components:
  *   schemas:
+ *     Ingredient:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 100
+ *         amount:
+ *           type: number
+ *           minimum: 0
+ *         unit:
+ *           type: string
+ *           enum: [ml, cl, oz, dash, piece, tsp, tbsp]
+ *         abv:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Alcohol by volume of the ingredient, in percent
+ *     StatePrice:
+ *       type: object
+ *       required:
+ *         - state
+ *         - price
+ *       properties:
+ *         state:
+ *           type: string
+ *           example: Borno
+ *         variant:
+ *           type: string
+ *           description: Variant the price is for; leave out for the cocktail's own price
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *     Variant:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Send back to keep the ID of an existing variant
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           example: Pitcher
+ *         price:
+ *           type: number
+ *           minimum: 0
+ *         inventory:
+ *           type: string
+ *           description: Inventory record the variant is sold from; defaults to the cocktail's
+ *         stockUnits:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *           description: Stock units used per variant sold
+ *         weight:
+ *           type: number
+ *           description: Shipping weight in kg; defaults to the cocktail's
+ *         isDefault:
+ *           type: boolean
+ *           description: Used when an order or cart line names no variant
+ *         isActive:
+ *           type: boolean
+ *           default: true
+ *     ModifierGroup:
+ *       type: object
+ *       required:
+ *         - name
+ *         - options
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Send back to keep the ID of an existing group
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           example: Spirit upgrade
+ *         minSelections:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         maxSelections:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         options:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: Premium rum
+ *               price:
+ *                 type: number
+ *                 minimum: 0
+ *                 default: 0
+ *                 description: Added to the unit price when selected
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
  *     Cocktail:
  *       type: object
  *       required:
@@ -33,6 +155,85 @@ const router = express.Router();
  *           type: number
  *           description: The cocktail price in NGN
  *           minimum: 0
+ *         weight:
+ *           type: number
+ *           description: Shipping weight per unit in kg, used for weight-based delivery fees
+ *           minimum: 0
+ *         taxCategory:
+ *           type: string
+ *           enum: [alcoholic, non_alcoholic]
+ *           default: alcoholic
+ *           description: Selects the VAT rate applied to the cocktail
+ *         category:
+ *           type: string
+ *           enum: [classic, signature, mocktail, shots]
+ *           description: Catalog category
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Free-form tags, stored in lower case
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Ingredient'
+ *         spiritBase:
+ *           type: string
+ *           enum: [gin, vodka, rum, tequila, whiskey, brandy, palm_wine, wine, beer, liqueur, none]
+ *           description: Main spirit, or none for mocktails
+ *         abv:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Alcohol by volume of the finished drink, in percent
+ *         allergens:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [celery, gluten, crustaceans, eggs, fish, lupin, milk, molluscs, mustard, tree_nuts, peanuts, sesame, soy, sulphites]
+ *         servingSize:
+ *           type: object
+ *           properties:
+ *             amount:
+ *               type: number
+ *             unit:
+ *               type: string
+ *               enum: [ml, cl, oz]
+ *         listPrice:
+ *           type: number
+ *           readOnly: true
+ *           description: Price before state overrides, returned when prices are shown for a state
+ *         originalPrice:
+ *           type: number
+ *           readOnly: true
+ *           description: State price before scheduled price rules, returned when prices are shown for a state
+ *         priceRule:
+ *           type: object
+ *           readOnly: true
+ *           nullable: true
+ *           description: Scheduled price rule applied to `price`, e.g. a happy hour
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         statePrices:
+ *           type: array
+ *           description: Prices charged in particular states instead of the list price
+ *           items:
+ *             $ref: '#/components/schemas/StatePrice'
+ *         variants:
+ *           type: array
+ *           description: Sizes sold at their own price; `price` is the price without a variant
+ *           items:
+ *             $ref: '#/components/schemas/Variant'
+ *         modifierGroups:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ModifierGroup'
+ *         salesCount:
+ *           type: integer
+ *           description: Units sold on delivered orders, used to sort by popularity
  *         images:
  *           type: array
  *           items:
@@ -75,11 +276,56 @@ const router = express.Router();
  *           format: date-time
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FacetCount:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: string
+ *         count:
+ *           type: integer
+ *     CatalogFacets:
+ *       type: object
+ *       description: Counts for a filter sidebar. Each facet is counted with every other filter applied but not its own.
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         spiritBases:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         tags:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         ingredients:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/FacetCount'
+ *         price:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: number
+ *             max:
+ *               type: number
+ */
+
 /**
  * @swagger
  * /catalog:
  *   get:
- *     summary: Get cocktails by state (Public endpoint)
+ *     summary: Search cocktails available in a state (Public endpoint)
+ *     description: |
+ *       Full-text search over cocktail names and descriptions with filters,
+ *       sorting and facet counts. Several categories match any of them; several
+ *       tags or ingredients must all be present. List filters accept repeated
+ *       or comma-separated values.
  *     tags: [Catalog]
  *     parameters:
  *       - in: query
@@ -90,6 +336,55 @@ const router = express.Router();
  *           enum: [Abia, Adamawa, Akwa Ibom, Anambra, Bauchi, Bayelsa, Benue, Borno, Cross River, Delta, Ebonyi, Edo, Ekiti, Enugu, FCT, Gombe, Imo, Jigawa, Kaduna, Kano, Katsina, Kebbi, Kogi, Kwara, Lagos, Nasarawa, Niger, Ogun, Ondo, Osun, Oyo, Plateau, Rivers, Sokoto, Taraba, Yobe, Zamfara]
  *         description: Nigerian state to filter cocktails
  *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         description: Text to search for in cocktail names and descriptions
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category, or comma-separated categories
+ *       - in: query
+ *         name: spiritBase
+ *         schema:
+ *           type: string
+ *         description: Spirit base, or comma-separated spirit bases
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tags the cocktail must all have
+ *       - in: query
+ *         name: ingredients
+ *         schema:
+ *           type: string
+ *         description: Comma-separated ingredients the cocktail must all contain
+ *       - in: query
+ *         name: excludeAllergens
+ *         schema:
+ *           type: string
+ *         description: Comma-separated allergens the cocktail must not contain
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Lowest price in NGN, after the scheduled price rules running now
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Highest price in NGN, after the scheduled price rules running now
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, price_asc, price_desc, popularity, newest]
+ *         description: Result order. Defaults to relevance for text searches and newest otherwise
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -118,6 +413,11 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Cocktail'
+ *                 sort:
+ *                   type: string
+ *                   description: The order the results are in
+ *                 facets:
+ *                   $ref: '#/components/schemas/CatalogFacets'
  *                 pagination:
  *                   type: object
  *                   properties:
@@ -130,13 +430,16 @@ const router = express.Router();
  *                     pages:
  *                       type: integer
  *       400:
- *         description: Invalid state parameter
+ *         description: Invalid state or search parameters
  *       500:
  *         description: Internal server error
  */
-router.get('/', async (req, res) => {
+router.get('/', validateCatalogSearch, async (req, res) => {
   try {
-    const { state, limit = 20, page = 1 } = req.query;
+    const {
+      state, limit = 20, page = 1, q, sort,
+      category, spiritBase, tags, ingredients, excludeAllergens, minPrice, maxPrice
+    } = req.query;
 
     if (!state) {
       return res.status(400).json({
@@ -164,24 +467,27 @@ router.get('/', async (req, res) => {
 
     const limitNum = Math.min(parseInt(limit), 100);
     const pageNum = Math.max(parseInt(page), 1);
-    const skip = (pageNum - 1) * limitNum;
 
-    const filter = {
-      availableStates: state,
-      isActive: true
-    };
-
-    const [cocktails, total] = await Promise.all([
-      Cocktail.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limitNum),
-      Cocktail.countDocuments(filter)
-    ]);
+    const { cocktails, total, sort: appliedSort, facets } = await catalogSearchService.search({
+      state,
+      q,
+      sort,
+      category,
+      spiritBase,
+      tags,
+      ingredients,
+      excludeAllergens,
+      minPrice,
+      maxPrice,
+      page: pageNum,
+      limit: limitNum
+    });
 
     res.json({
       success: true,
       cocktails,
+      sort: appliedSort,
+      facets,
       pagination: {
         page: pageNum,
         limit: limitNum,
@@ -198,6 +504,58 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /catalog/categories:
+ *   get:
+ *     summary: List cocktail categories (Public endpoint)
+ *     tags: [Catalog]
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Only count cocktails available in this state
+ *     responses:
+ *       200:
+ *         description: Categories with the number of active cocktails in each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                         enum: [classic, signature, mocktail, shots]
+ *                       count:
+ *                         type: integer
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/categories', async (req, res) => {
+  try {
+    const categories = await catalogSearchService.getCategories({ state: req.query.state });
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch categories',
+      message: 'Unable to retrieve categories at this time'
+    });
+  }
+});
+
 /**
  * @swagger
  * /catalog/{id}:
@@ -211,6 +569,11 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Cocktail ID
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *         description: Show prices for this state after scheduled price rules, with the state price in originalPrice and list prices in listPrice
  *     responses:
  *       200:
  *         description: Cocktail retrieved successfully
@@ -223,6 +586,8 @@ router.get('/', async (req, res) => {
  *                   type: boolean
  *                 cocktail:
  *                   $ref: '#/components/schemas/Cocktail'
+ *       400:
+ *         description: Invalid state
  *       404:
  *         description: Cocktail not found
  *       500:
@@ -230,6 +595,14 @@ router.get('/', async (req, res) => {
  */
 router.get('/:id', async (req, res) => {
   try {
+    const { state } = req.query;
+    if (state && !Cocktail.STATES.includes(state)) {
+      return res.status(400).json({
+        error: 'Invalid state',
+        message: 'Please provide a valid Nigerian state'
+      });
+    }
+
     const cocktail = await Cocktail.findById(req.params.id);
 
     if (!cocktail || !cocktail.isActive) {
@@ -239,9 +612,19 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    if (!state) {
+      return res.json({
+        success: true,
+        cocktail
+      });
+    }
+
+    const rules = await priceRuleService.getActiveRules();
+    const [pricedCocktail] = priceRuleService.priceCatalog(rules, [cocktail.toStateJSON(state)], state);
+
     res.json({
       success: true,
-      cocktail
+      cocktail: pricedCocktail
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -292,6 +675,53 @@ router.get('/:id', async (req, res) => {
  *                 type: number
  *                 minimum: 0
  *                 example: 2500
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 0.75
+ *                 description: Shipping weight per unit in kg
+ *               taxCategory:
+ *                 type: string
+ *                 enum: [alcoholic, non_alcoholic]
+ *                 default: alcoholic
+ *               category:
+ *                 type: string
+ *                 enum: [classic, signature, mocktail, shots]
+ *               tags:
+ *                 type: string
+ *                 description: JSON array or comma-separated list of tags
+ *                 example: "tropical,sweet"
+ *               ingredients:
+ *                 type: string
+ *                 description: JSON array of ingredients, see Ingredient
+ *                 example: '[{"name":"Gin","amount":50,"unit":"ml","abv":40},{"name":"Lime juice","amount":25,"unit":"ml"}]'
+ *               spiritBase:
+ *                 type: string
+ *                 enum: [gin, vodka, rum, tequila, whiskey, brandy, palm_wine, wine, beer, liqueur, none]
+ *               abv:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               allergens:
+ *                 type: string
+ *                 description: JSON array or comma-separated list of allergens
+ *                 example: "milk,tree_nuts"
+ *               servingSize:
+ *                 type: string
+ *                 description: JSON object with amount and unit (ml, cl or oz)
+ *                 example: '{"amount":300,"unit":"ml"}'
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of variants, see Variant
+ *                 example: '[{"name":"Single","price":3500,"isDefault":true},{"name":"Pitcher","price":12000,"stockUnits":4}]'
+ *               modifierGroups:
+ *                 type: string
+ *                 description: JSON array of modifier groups, see ModifierGroup
+ *                 example: '[{"name":"Ice","maxSelections":1,"options":[{"name":"Extra ice"},{"name":"No ice"}]}]'
+ *               statePrices:
+ *                 type: string
+ *                 description: JSON array of state price overrides, see StatePrice
+ *                 example: '[{"state":"Borno","price":4200}]'
  *               availableStates:
  *                 type: array
  *                 items:
@@ -365,9 +795,12 @@ router.post('/', authenticateToken, requireAdmin, upload.fields([
       name: req.body.name,
       description: req.body.description,
       price: parseFloat(req.body.price),
+      weight: req.body.weight !== undefined ? parseFloat(req.body.weight) : undefined,
+      taxCategory: req.body.taxCategory,
       availableStates: Array.isArray(req.body.availableStates) 
         ? req.body.availableStates 
         : JSON.parse(req.body.availableStates),
+      ...pickCocktailDetails(req.body),
       images: uploadedImages
     };
 
@@ -418,6 +851,50 @@ router.post('/', authenticateToken, requireAdmin, upload.fields([
  *               price:
  *                 type: number
  *                 minimum: 0
+ *               weight:
+ *                 type: number
+ *                 minimum: 0
+ *               taxCategory:
+ *                 type: string
+ *                 enum: [alcoholic, non_alcoholic]
+ *               category:
+ *                 type: string
+ *                 enum: [classic, signature, mocktail, shots]
+ *               tags:
+ *                 type: string
+ *                 description: JSON array or comma-separated list of tags
+ *                 example: "tropical,sweet"
+ *               ingredients:
+ *                 type: string
+ *                 description: JSON array of ingredients, see Ingredient
+ *                 example: '[{"name":"Gin","amount":50,"unit":"ml","abv":40},{"name":"Lime juice","amount":25,"unit":"ml"}]'
+ *               spiritBase:
+ *                 type: string
+ *                 enum: [gin, vodka, rum, tequila, whiskey, brandy, palm_wine, wine, beer, liqueur, none]
+ *               abv:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               allergens:
+ *                 type: string
+ *                 description: JSON array or comma-separated list of allergens
+ *                 example: "milk,tree_nuts"
+ *               servingSize:
+ *                 type: string
+ *                 description: JSON object with amount and unit (ml, cl or oz)
+ *                 example: '{"amount":300,"unit":"ml"}'
+ *               variants:
+ *                 type: string
+ *                 description: JSON array of variants, see Variant
+ *                 example: '[{"name":"Single","price":3500,"isDefault":true},{"name":"Pitcher","price":12000,"stockUnits":4}]'
+ *               modifierGroups:
+ *                 type: string
+ *                 description: JSON array of modifier groups, see ModifierGroup
+ *                 example: '[{"name":"Ice","maxSelections":1,"options":[{"name":"Extra ice"},{"name":"No ice"}]}]'
+ *               statePrices:
+ *                 type: string
+ *                 description: JSON array of state price overrides, see StatePrice
+ *                 example: '[{"state":"Borno","price":4200}]'
  *               availableStates:
  *                 type: array
  *                 items:
@@ -458,7 +935,7 @@ router.post('/', authenticateToken, requireAdmin, upload.fields([
 router.put('/:id', authenticateToken, requireAdmin, upload.fields([
   { name: 'images', maxCount: 10 },
   { name: 'image', maxCount: 1 }
-]), async (req, res) => {
+]), validateCocktailUpdate, async (req, res) => {
   try {
     const cocktail = await Cocktail.findById(req.params.id);
     if (!cocktail) {
@@ -472,11 +949,14 @@ router.put('/:id', authenticateToken, requireAdmin, upload.fields([
       name: req.body.name || cocktail.name,
       description: req.body.description || cocktail.description,
       price: req.body.price ? parseFloat(req.body.price) : cocktail.price,
+      weight: req.body.weight !== undefined ? parseFloat(req.body.weight) : cocktail.weight,
+      taxCategory: req.body.taxCategory || cocktail.taxCategory,
       availableStates: req.body.availableStates 
         ? (Array.isArray(req.body.availableStates) 
           ? req.body.availableStates 
           : JSON.parse(req.body.availableStates))
-        : cocktail.availableStates
+        : cocktail.availableStates,
+      ...pickCocktailDetails(req.body)
     };
 
     // Handle image updates if provided
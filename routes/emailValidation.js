@@ -62,6 +62,11 @@ const router = express.Router();
  *                 enum: [email_verification, password_reset, admin_registration]
  *                 default: email_verification
  *                 description: Purpose of the OTP
+ *               locale:
+ *                 type: string
+ *                 enum: [en, pcm, yo, ha, ig]
+ *                 default: en
+ *                 description: Language of the OTP email (English, Pidgin, Yoruba, Hausa or Igbo)
  *     responses:
  *       200:
  *         description: OTP sent successfully
@@ -90,7 +95,11 @@ router.post('/send-otp', [
   body('purpose')
     .optional()
     .isIn(['email_verification', 'password_reset', 'admin_registration'])
-    .withMessage('Invalid purpose specified')
+    .withMessage('Invalid purpose specified'),
+  body('locale')
+    .optional()
+    .isIn(['en', 'pcm', 'yo', 'ha', 'ig'])
+    .withMessage('Locale must be one of en, pcm, yo, ha or ig')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -101,7 +110,7 @@ router.post('/send-otp', [
       });
     }
 
-    const { email, purpose = 'email_verification' } = req.body;
+    const { email, purpose = 'email_verification', locale } = req.body;
 
     // Check if there's already an unused OTP for this email
     const existingOTP = await OTP.findOne({
@@ -134,7 +143,7 @@ router.post('/send-otp', [
     await otpRecord.save();
 
     // Send OTP via email
-    const emailResult = await emailService.sendOTPEmail(email, token);
+    const emailResult = await emailService.sendOTPEmail(email, token, { locale });
 
     if (!emailResult.success) {
       // Remove OTP record if email failed
@@ -315,6 +324,11 @@ router.post('/verify-otp', [
  *                 type: string
  *                 enum: [email_verification, password_reset, admin_registration]
  *                 default: email_verification
+ *               locale:
+ *                 type: string
+ *                 enum: [en, pcm, yo, ha, ig]
+ *                 default: en
+ *                 description: Language of the OTP email (English, Pidgin, Yoruba, Hausa or Igbo)
  *     responses:
  *       200:
  *         description: OTP resent successfully
@@ -340,7 +354,11 @@ router.post('/resend-otp', [
   body('purpose')
     .optional()
     .isIn(['email_verification', 'password_reset', 'admin_registration'])
-    .withMessage('Invalid purpose specified')
+    .withMessage('Invalid purpose specified'),
+  body('locale')
+    .optional()
+    .isIn(['en', 'pcm', 'yo', 'ha', 'ig'])
+    .withMessage('Locale must be one of en, pcm, yo, ha or ig')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -351,7 +369,7 @@ router.post('/resend-otp', [
       });
     }
 
-    const { email, purpose = 'email_verification' } = req.body;
+    const { email, purpose = 'email_verification', locale } = req.body;
 
     // Invalidate any existing OTP for this email
     await OTP.updateMany(
@@ -374,7 +392,7 @@ router.post('/resend-otp', [
     await otpRecord.save();
 
     // Send new OTP via email
-    const emailResult = await emailService.sendOTPEmail(email, token);
+    const emailResult = await emailService.sendOTPEmail(email, token, { locale });
 
     if (!emailResult.success) {
       // Remove OTP record if email failed
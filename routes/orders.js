@@ -4,11 +4,70 @@ const Order = require('../models/Order');
 const Cocktail = require('../models/Cocktail');
 const Cart = require('../models/Cart');
 const { authenticateToken, requireAdmin, requireCustomer } = require('../middleware/auth');
-const { validateOrder, validateOrderStatusUpdate } = require('../middleware/validation');
-const inventoryAlertService = require('../services/inventoryAlertService');
+const { validateOrder, validateCartOrder, validateOrderStatusUpdate, validateOrderNumberParam, validateOrderCancellation } = require('../middleware/validation');
+const inventoryReservationService = require('../services/inventoryReservationService');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const orderTimelineService = require('../services/orderTimelineService');
+const orderCancellationService = require('../services/orderCancellationService');
+const deliveryPricingService = require('../services/deliveryPricingService');
+const promotionService = require('../services/promotionService');
+const taxService = require('../services/taxService');
+const priceRuleService = require('../services/priceRuleService');
+const ageVerificationService = require('../services/ageVerificationService');
 
 const router = express.Router();
 
+/**
+ * Price requested lines from their cocktails' current variants and modifier
+ * groups at the prices of the delivery `state`, after any scheduled price
+ * rule. Returns `{ items }` ready to store on the order, or `{ error }` when a
+ * selection is not valid (any more).
+ */
+const resolveOrderItems = async (lines, cocktails, state) => {
+  const rules = await priceRuleService.getActiveRules();
+  const items = [];
+
+  for (const line of lines) {
+    const cocktail = cocktails.find(c => c._id.equals(line.cocktail));
+    const selection = cocktail.resolveSelection({ variantId: line.variant, optionIds: line.modifiers, state });
+    if (selection.error) {
+      return { error: selection.error };
+    }
+
+    const variant = selection.variant ? selection.variant._id : undefined;
+    const { price, originalPrice, priceRule } = priceRuleService.priceLine(rules, cocktail, {
+      variant,
+      modifiers: selection.modifiers,
+      state
+    });
+
+    items.push({
+      cocktail: cocktail._id,
+      variant,
+      variantName: selection.variant ? selection.variant.name : undefined,
+      modifiers: selection.modifiers,
+      quantity: line.quantity,
+      price,
+      originalPrice,
+      priceRule
+    });
+  }
+
+  return { items };
+};
+
+// The cocktail of an order line with the weight and stock its variant uses
+const lineDetails = (item, cocktails) => {
+  const cocktail = cocktails.find(c => c._id.equals(item.cocktail));
+  const variant = cocktail.findVariant(item.variant);
+  return {
+    cocktail,
+    weight: variant && variant.weight !== undefined ? variant.weight : cocktail.weight,
+    inventory: variant ? variant.inventory : undefined,
+    stockUnits: variant ? variant.stockUnits : 1
+  };
+};
+
 /**
  * @swagger
  * components:
@@ -23,6 +82,19 @@ const router = express.Router();
  *         cocktail:
  *           type: string
  *           description: Cocktail ID
+ *         variant:
+ *           type: string
+ *           description: Variant (size) ID; required when the cocktail has variants and none is the default
+ *         variantName:
+ *           type: string
+ *           readOnly: true
+ *         modifiers:
+ *           type: array
+ *           description: Modifier option IDs when ordering; the selected options when returned
+ *           items:
+ *             oneOf:
+ *               - type: string
+ *               - $ref: '#/components/schemas/SelectedModifier'
  *         quantity:
  *           type: integer
  *           minimum: 1
@@ -30,7 +102,38 @@ const router = express.Router();
  *         price:
  *           type: number
  *           minimum: 0
- *           description: Price of the cocktail at time of order
+ *           description: Unit price of the variant plus selected modifiers in the delivery state at time of order
+ *         originalPrice:
+ *           type: number
+ *           readOnly: true
+ *           description: Unit price before the scheduled price rule
+ *         priceRule:
+ *           $ref: '#/components/schemas/AppliedPriceRule'
+ *     AppliedPriceRule:
+ *       type: object
+ *       readOnly: true
+ *       description: Scheduled price rule (e.g. a happy hour) the line was priced with
+ *       properties:
+ *         rule:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Friday happy hour
+ *     SelectedModifier:
+ *       type: object
+ *       properties:
+ *         group:
+ *           type: string
+ *         groupName:
+ *           type: string
+ *         option:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: Premium rum
+ *         price:
+ *           type: number
+ *           description: Added to the unit price
  *     Customer:
  *       type: object
  *       required:
@@ -51,10 +154,98 @@ const router = express.Router();
  *           type: string
  *           maxLength: 500
  *           description: Customer address
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Where the order confirmation is sent; filled in from the account for cart orders
+ *         locale:
+ *           type: string
+ *           enum: [en, pcm, yo, ha, ig]
+ *           description: Language for order emails (English, Pidgin, Yoruba, Hausa or Igbo); filled in from the account for cart orders
+ *         notificationChannels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, sms, whatsapp]
+ *           description: Where order updates are sent. Defaults to email when an email is given, otherwise SMS to the customer's phone
+ *         city:
+ *           type: string
+ *           maxLength: 100
+ *           description: City, used to pick the delivery zone
+ *         lga:
+ *           type: string
+ *           maxLength: 100
+ *           description: Local government area, used to pick the delivery zone
  *         state:
  *           type: string
  *           enum: [Abia, Adamawa, Akwa Ibom, Anambra, Bauchi, Bayelsa, Benue, Borno, Cross River, Delta, Ebonyi, Edo, Ekiti, Enugu, FCT, Gombe, Imo, Jigawa, Kaduna, Kano, Katsina, Kebbi, Kogi, Kwara, Lagos, Nasarawa, Niger, Ogun, Ondo, Osun, Oyo, Plateau, Rivers, Sokoto, Taraba, Yobe, Zamfara]
  *           description: Customer state
+ *     TaxLine:
+ *       type: object
+ *       description: VAT charged on one tax category of the order
+ *       properties:
+ *         category:
+ *           type: string
+ *           enum: [alcoholic, non_alcoholic]
+ *         rate:
+ *           type: number
+ *           description: Rate in percent
+ *         taxableAmount:
+ *           type: number
+ *           description: Value of the category's items after discounts, net of tax, in NGN
+ *         amount:
+ *           type: number
+ *           description: Tax in NGN
+ *         inclusive:
+ *           type: boolean
+ *           description: Whether the tax was already included in the item prices
+ *     DiscountLine:
+ *       type: object
+ *       description: A promotion applied to an order
+ *       properties:
+ *         promotion:
+ *           type: string
+ *           description: Promotion ID
+ *         code:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, buy_x_get_y, free_delivery]
+ *         description:
+ *           type: string
+ *         amount:
+ *           type: number
+ *           description: Amount taken off in NGN
+ *     FeeBreakdown:
+ *       type: object
+ *       description: How the delivery fee was priced
+ *       properties:
+ *         zone:
+ *           type: string
+ *           nullable: true
+ *           description: Delivery zone ID, or null when no zone covers the address and the default fee applies
+ *         zoneName:
+ *           type: string
+ *           nullable: true
+ *         pricing:
+ *           type: string
+ *           enum: [flat, quantity, weight]
+ *         units:
+ *           type: number
+ *           nullable: true
+ *           description: Item count or total kg the fee tiers were matched against
+ *         baseFee:
+ *           type: number
+ *           description: Zone fee in NGN, 0 when free delivery applied
+ *         remoteSurcharge:
+ *           type: number
+ *           description: Remote zone surcharge in NGN
+ *         freeDeliveryApplied:
+ *           type: boolean
+ *           description: Whether the subtotal reached the zone's free delivery threshold
+ *         deliveryFee:
+ *           type: number
+ *           description: Base fee plus surcharge in NGN
  *     Order:
  *       type: object
  *       required:
@@ -67,7 +258,7 @@ const router = express.Router();
  *           description: The auto-generated id of the order
  *         orderNumber:
  *           type: string
- *           description: Auto-generated order number
+ *           description: Sequential order number ending in a check digit, e.g. ORD-2026-000042-1 with yearly reset
  *         idempotencyKey:
  *           type: string
  *           description: Unique key to prevent duplicate orders
@@ -80,17 +271,60 @@ const router = express.Router();
  *         subtotal:
  *           type: number
  *           description: Subtotal amount
+ *         deliveryFee:
+ *           type: number
+ *           description: Delivery fee in NGN
+ *         feeBreakdown:
+ *           $ref: '#/components/schemas/FeeBreakdown'
+ *         discounts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/DiscountLine'
+ *         discountTotal:
+ *           type: number
+ *           description: Sum of the discount lines in NGN
+ *         taxLines:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxLine'
+ *         taxTotal:
+ *           type: number
+ *           description: VAT on the order in NGN
  *         totalAmount:
  *           type: number
- *           description: Total amount including any fees
+ *           description: Subtotal plus delivery fee minus discountTotal, plus taxTotal when prices exclude tax
+ *         paymentMethod:
+ *           type: string
+ *           enum: [card, bank_transfer, cash_on_delivery]
+ *           description: How the customer pays; bank_transfer and cash_on_delivery are paid to the rider
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, refunded, partially_refunded, abandoned, needs_review]
  *           description: Payment status
+ *         cashCollection:
+ *           type: object
+ *           description: Payment taken by the rider for pay-on-delivery orders
+ *           properties:
+ *             collectedBy:
+ *               type: string
+ *             amount:
+ *               type: number
+ *             collectedAt:
+ *               type: string
+ *               format: date-time
+ *             recordedBy:
+ *               type: string
+ *         ageVerification:
+ *           $ref: '#/components/schemas/AgeVerification'
  *         fulfillmentStatus:
  *           type: string
- *           enum: [new, preparing, delivered, cancelled]
+ *           enum: [new, preparing, in_route, delivered, cancelled]
  *           description: Order fulfillment status
+ *         statusHistory:
+ *           type: array
+ *           description: Every status change with who made it and when. Admin responses only; customers get the filtered tracking timeline
+ *           items:
+ *             $ref: '#/components/schemas/StatusHistoryEntry'
  *         paymentReference:
  *           type: string
  *           description: Payment reference from gateway
@@ -104,6 +338,137 @@ const router = express.Router();
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     AgeAttestation:
+ *       type: object
+ *       description: >
+ *         Required when the order contains alcoholic drinks, unless the account has a date of
+ *         birth on its profile. The customer must be of legal drinking age (LEGAL_DRINKING_AGE, 18 by default).
+ *       properties:
+ *         confirmed:
+ *           type: boolean
+ *           description: The customer confirms they are of legal drinking age
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *           example: "1995-04-12"
+ *     AgeVerification:
+ *       type: object
+ *       readOnly: true
+ *       description: |
+ *         Legal drinking age check kept for compliance. Public order endpoints
+ *         only return containsAlcohol and idCheck.isRequired/verified.
+ *       properties:
+ *         containsAlcohol:
+ *           type: boolean
+ *         method:
+ *           type: string
+ *           enum: [account, attestation]
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *         minimumAge:
+ *           type: integer
+ *         verifiedAt:
+ *           type: string
+ *           format: date-time
+ *         idCheck:
+ *           type: object
+ *           description: ID shown to delivery staff at the door
+ *           properties:
+ *             isRequired:
+ *               type: boolean
+ *               description: The order cannot be marked as delivered until the ID is verified
+ *             verified:
+ *               type: boolean
+ *             idType:
+ *               type: string
+ *               enum: [national_id, drivers_license, passport, voters_card, other]
+ *             checkedBy:
+ *               type: string
+ *             checkedAt:
+ *               type: string
+ *               format: date-time
+ *     StatusHistoryEntry:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [fulfillment, payment]
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         actor:
+ *           type: string
+ *           description: Email, user ID or phone of whoever made the change, or "system"
+ *         actorRole:
+ *           type: string
+ *           enum: [admin, customer, system]
+ *         note:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
+ *     StatusTransitionError:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *           example: Invalid status transition
+ *         message:
+ *           type: string
+ *           example: Cannot move an order from delivered to new
+ *         currentStatus:
+ *           type: string
+ *         requestedStatus:
+ *           type: string
+ *         allowedTransitions:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         amount:
+ *           type: number
+ *           description: Refunded amount in kobo
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, processed, failed]
+ *         providerReference:
+ *           type: string
+ *         initiatedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *     StockShortage:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: string
+ *           example: Insufficient stock
+ *         message:
+ *           type: string
+ *         shortages:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               cocktail:
+ *                 type: string
+ *                 description: Cocktail ID
+ *               name:
+ *                 type: string
+ *               requested:
+ *                 type: integer
+ *               available:
+ *                 type: integer
  */
 
 /**
@@ -153,6 +518,16 @@ const router = express.Router();
  *                 maxLength: 500
  *                 example: "Please call before delivery"
  *                 description: Additional delivery instructions
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [card, bank_transfer, cash_on_delivery]
+ *                 default: card
+ *                 description: card is paid online; bank_transfer and cash_on_delivery are paid to the rider on delivery
+ *               promoCode:
+ *                 type: string
+ *                 example: "WELCOME10"
+ *               ageAttestation:
+ *                 $ref: '#/components/schemas/AgeAttestation'
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -176,12 +551,12 @@ const router = express.Router();
  *                   properties:
  *                     payment:
  *                       type: string
- *                       description: Next step - initialize payment
+ *                       description: Next step - initialize payment, or pay the rider for pay-on-delivery orders
  *                     tracking:
  *                       type: string
  *                       description: How to track your order
  *       400:
- *         description: Validation error or duplicate order
+ *         description: Validation error, duplicate order, promo code not applicable or missing age attestation
  *         content:
  *           application/json:
  *             schema:
@@ -195,6 +570,16 @@ const router = express.Router();
  *                   type: array
  *                   items:
  *                     type: object
+ *       403:
+ *         description: Customer is under the legal drinking age
+ *       404:
+ *         description: Promo code does not exist
+ *       409:
+ *         description: Insufficient stock for one or more items, or promo code usage limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortage'
  *       500:
  *         description: Internal server error
  */
@@ -222,6 +607,9 @@ const router = express.Router();
  *                   city:
  *                     type: string
  *                     example: "Lagos"
+ *                   lga:
+ *                     type: string
+ *                     example: "Eti-Osa"
  *                   state:
  *                     type: string
  *                     enum: [Abia, Adamawa, Akwa Ibom, Anambra, Bauchi, Bayelsa, Benue, Borno, Cross River, Delta, Ebonyi, Edo, Ekiti, Enugu, FCT, Gombe, Imo, Jigawa, Kaduna, Kano, Katsina, Kebbi, Kogi, Kwara, Lagos, Nasarawa, Niger, Ogun, Ondo, Osun, Oyo, Plateau, Rivers, Sokoto, Taraba, Yobe, Zamfara]
@@ -233,19 +621,39 @@ const router = express.Router();
  *                 type: string
  *                 maxLength: 500
  *                 example: "Please call before delivery"
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [card, bank_transfer, cash_on_delivery]
+ *                 default: card
+ *                 description: card is paid online; bank_transfer and cash_on_delivery are paid to the rider on delivery
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to apply; defaults to the code saved with POST /cart/promo
+ *               ageAttestation:
+ *                 $ref: '#/components/schemas/AgeAttestation'
  *     responses:
  *       201:
  *         description: Order created successfully from cart
  *       400:
- *         description: Validation error or empty cart
+ *         description: Validation error, empty cart, promo code not applicable or missing age attestation
+ *       403:
+ *         description: Customer is under the legal drinking age
+ *       404:
+ *         description: Promo code does not exist
+ *       409:
+ *         description: Insufficient stock for one or more cart items, or promo code usage limit reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortage'
  *       401:
  *         description: Unauthorized
  *       500:
  *         description: Internal server error
  */
-router.post('/from-cart', authenticateToken, requireCustomer, async (req, res) => {
+router.post('/from-cart', authenticateToken, requireCustomer, validateCartOrder, async (req, res) => {
   try {
-    const { deliveryAddress, notes } = req.body;
+    const { deliveryAddress, notes, paymentMethod, promoCode, ageAttestation } = req.body;
 
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user._id })
@@ -268,7 +676,8 @@ router.post('/from-cart', authenticateToken, requireCustomer, async (req, res) =
     }
 
     // Validate cocktails are still available
-    const cocktailIds = cart.items.map(item => item.cocktail._id);
+    // A cocktail can be on several lines with different selections
+    const cocktailIds = [...new Set(cart.items.map(item => item.cocktail._id.toString()))];
     const cocktails = await Cocktail.find({ 
       _id: { $in: cocktailIds }, 
       isActive: true 
@@ -292,25 +701,97 @@ router.post('/from-cart', authenticateToken, requireCustomer, async (req, res) =
       }
     }
 
-    // Calculate totals
-    let subtotal = 0;
-    const orderItems = [];
+    // Alcohol is only sold to customers of legal drinking age
+    const ageCheck = ageVerificationService.verify(cocktails, {
+      user: req.user,
+      attestation: ageAttestation,
+      req
+    });
+    if (!ageCheck.success) {
+      const { success, status, ...errorBody } = ageCheck;
+      return res.status(status).json(errorBody);
+    }
 
-    for (const item of cart.items) {
-      const cocktail = cocktails.find(c => c._id.toString() === item.cocktail._id.toString());
-      const itemTotal = cocktail.price * item.quantity;
-      subtotal += itemTotal;
+    // Re-check the saved selections against today's variants and modifiers
+    const { items: orderItems, error: selectionError } = await resolveOrderItems(
+      cart.items.map(item => ({
+        cocktail: item.cocktail._id,
+        variant: item.variant,
+        modifiers: item.modifiers.map(modifier => modifier.option),
+        quantity: item.quantity
+      })),
+      cocktails,
+      address.state
+    );
+    if (selectionError) {
+      return res.status(400).json({
+        error: 'Invalid selection',
+        message: `${selectionError}. Please update your cart.`
+      });
+    }
+
+    // Calculate totals
+    const subtotal = orderItems.reduce((total, item) => total + item.price * item.quantity, 0);
 
-      orderItems.push({
-        cocktail: cocktail._id,
+    const { deliveryFee, breakdown } = await deliveryPricingService.quote({
+      state: address.state,
+      city: address.city,
+      lga: address.lga,
+      items: orderItems.map(item => ({
         quantity: item.quantity,
-        price: cocktail.price
+        weight: lineDetails(item, cocktails).weight
+      })),
+      subtotal
+    });
+
+    // The code saved with POST /cart/promo applies unless another one is given
+    let promotion = null;
+    const discounts = [];
+    const code = promoCode || cart.promoCode;
+    if (code) {
+      const applied = await promotionService.applyCode(code, {
+        items: orderItems,
+        subtotal,
+        deliveryFee,
+        state: address.state,
+        user: req.user._id,
+        phone: req.user.phone
       });
+      if (!applied.success) {
+        const { success, status, ...errorBody } = applied;
+        return res.status(status).json(errorBody);
+      }
+      promotion = applied.promotion;
+      discounts.push(applied.line);
     }
 
-    const totalAmount = subtotal;
+    const discountTotal = discounts.reduce((total, line) => total + line.amount, 0);
+    const { taxLines, taxTotal, taxAdded } = taxService.calculate({
+      items: orderItems.map(item => ({
+        price: item.price,
+        quantity: item.quantity,
+        taxCategory: cocktails.find(c => c._id.equals(item.cocktail)).taxCategory
+      })),
+      discounts
+    });
+    const totalAmount = Math.max(subtotal + deliveryFee - discountTotal, 0) + taxAdded;
     const idempotencyKey = `user-${req.user._id}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+    // Reserve stock before the order exists so it can never be oversold
+    const reservation = await inventoryReservationService.reserveItems(
+      orderItems.map(item => {
+        const { cocktail, inventory, stockUnits } = lineDetails(item, cocktails);
+        return { cocktail, inventory, stockUnits, quantity: item.quantity };
+      })
+    );
+    if (!reservation.success) {
+      return res.status(409).json({
+        error: 'Insufficient stock',
+        message: 'Some items in your cart are not available in the requested quantity',
+        shortages: reservation.shortages
+      });
+    }
+
     // Create order
     const order = new Order({
       user: req.user._id,
@@ -319,37 +800,68 @@ router.post('/from-cart', authenticateToken, requireCustomer, async (req, res) =
         name: `${req.user.firstName} ${req.user.lastName}`,
         phone: req.user.phone || '',
         address: `${address.street}, ${address.city}, ${address.state}`,
+        city: address.city,
+        lga: address.lga,
         state: address.state,
-        email: req.user.email
+        email: req.user.email,
+        locale: req.user.locale
       },
       items: orderItems,
       subtotal,
+      deliveryFee,
+      feeBreakdown: breakdown,
+      discounts,
+      discountTotal,
+      taxLines,
+      taxTotal,
       totalAmount,
-      notes
+      notes,
+      paymentMethod,
+      ageVerification: ageCheck.ageVerification,
+      inventoryReservation: inventoryReservationService.buildReservation(reservation.items)
     });
 
-    await order.save();
+    if (promotion) {
+      const redemption = await promotionService.redeem(promotion, discounts[0], {
+        order,
+        user: req.user._id,
+        phone: req.user.phone
+      });
+      if (!redemption.success) {
+        await inventoryReservationService.releaseItems(reservation.items);
+        const { success, status, ...errorBody } = redemption;
+        return res.status(status).json(errorBody);
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      await inventoryReservationService.releaseItems(reservation.items);
+      if (promotion) {
+        await promotionService.releaseOrderRedemptions(order, 'Order could not be saved');
+      }
+      throw saveError;
+    }
     await order.populate('items.cocktail', 'name description image images');
+    await ageVerificationService.saveAttestedDateOfBirth(req.user, ageCheck.ageVerification);
 
     // Clear cart
     cart.items = [];
+    cart.promoCode = undefined;
     await cart.save();
 
-    // Process inventory
-    try {
-      await inventoryAlertService.processOrderInventory(order);
-      console.log(`✅ Inventory processed for order ${order.orderNumber}`);
-    } catch (inventoryError) {
-      console.error('Inventory processing failed:', inventoryError);
-    }
+    inventoryReservationService.scheduleLevelCheck();
 
     res.status(201).json({
       success: true,
-      order,
+      order: order.toCustomerJSON(),
       orderNumber: order.orderNumber,
       trackingUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/orders/${order.orderNumber}`,
       nextSteps: {
-        payment: `POST ${process.env.BASE_URL || 'http://localhost:3000'}/payments/initialize with orderId: ${order._id}`,
+        payment: order.paysOnDelivery
+          ? 'Pay the rider when your order arrives'
+          : `POST ${process.env.BASE_URL || 'http://localhost:3000'}/payments/initialize with orderId: ${order._id}`,
         tracking: `GET ${process.env.BASE_URL || 'http://localhost:3000'}/orders/${order.orderNumber} to track your order`
       }
     });
@@ -364,7 +876,7 @@ router.post('/from-cart', authenticateToken, requireCustomer, async (req, res) =
 
 router.post('/', validateOrder, async (req, res) => {
   try {
-    const { customer, items, idempotencyKey, notes } = req.body;
+    const { customer, items, idempotencyKey, notes, paymentMethod, promoCode, ageAttestation } = req.body;
 
     // Check for duplicate order using idempotency key
     const existingOrder = await Order.findOne({ idempotencyKey });
@@ -377,7 +889,8 @@ router.post('/', validateOrder, async (req, res) => {
     }
 
     // Validate and fetch cocktails
-    const cocktailIds = items.map(item => item.cocktail);
+    // A cocktail can be on several lines with different selections
+    const cocktailIds = [...new Set(items.map(item => item.cocktail))];
     const cocktails = await Cocktail.find({ 
       _id: { $in: cocktailIds }, 
       isActive: true 
@@ -390,32 +903,87 @@ router.post('/', validateOrder, async (req, res) => {
       });
     }
 
-    // Validate items and calculate totals
-    let subtotal = 0;
-    const validatedItems = [];
-
-    for (const item of items) {
-      const cocktail = cocktails.find(c => c._id.toString() === item.cocktail);
-      
-      // Check if cocktail is available in customer's state
+    // Check if each cocktail is available in customer's state
+    for (const cocktail of cocktails) {
       if (!cocktail.availableStates.includes(customer.state)) {
         return res.status(400).json({
           error: 'Cocktail not available',
           message: `${cocktail.name} is not available in ${customer.state}`
         });
       }
+    }
+
+    // Guests attest their age for orders containing alcohol
+    const ageCheck = ageVerificationService.verify(cocktails, { attestation: ageAttestation, req });
+    if (!ageCheck.success) {
+      const { success, status, ...errorBody } = ageCheck;
+      return res.status(status).json(errorBody);
+    }
 
-      const itemTotal = cocktail.price * item.quantity;
-      subtotal += itemTotal;
+    // Validate variant and modifier selections and calculate totals
+    const { items: validatedItems, error: selectionError } = await resolveOrderItems(items, cocktails, customer.state);
+    if (selectionError) {
+      return res.status(400).json({
+        error: 'Invalid selection',
+        message: selectionError
+      });
+    }
+    const subtotal = validatedItems.reduce((total, item) => total + item.price * item.quantity, 0);
 
-      validatedItems.push({
-        cocktail: cocktail._id,
+    const { deliveryFee, breakdown } = await deliveryPricingService.quote({
+      state: customer.state,
+      city: customer.city,
+      lga: customer.lga,
+      items: validatedItems.map(item => ({
         quantity: item.quantity,
-        price: cocktail.price
+        weight: lineDetails(item, cocktails).weight
+      })),
+      subtotal
+    });
+
+    let promotion = null;
+    const discounts = [];
+    if (promoCode) {
+      const applied = await promotionService.applyCode(promoCode, {
+        items: validatedItems,
+        subtotal,
+        deliveryFee,
+        state: customer.state,
+        phone: customer.phone
       });
+      if (!applied.success) {
+        const { success, status, ...errorBody } = applied;
+        return res.status(status).json(errorBody);
+      }
+      promotion = applied.promotion;
+      discounts.push(applied.line);
     }
 
-    const totalAmount = subtotal; // No additional fees for now
+    const discountTotal = discounts.reduce((total, line) => total + line.amount, 0);
+    const { taxLines, taxTotal, taxAdded } = taxService.calculate({
+      items: validatedItems.map(item => ({
+        price: item.price,
+        quantity: item.quantity,
+        taxCategory: cocktails.find(c => c._id.equals(item.cocktail)).taxCategory
+      })),
+      discounts
+    });
+    const totalAmount = Math.max(subtotal + deliveryFee - discountTotal, 0) + taxAdded;
+
+    // Reserve stock before the order exists so it can never be oversold
+    const reservation = await inventoryReservationService.reserveItems(
+      validatedItems.map(item => {
+        const { cocktail, inventory, stockUnits } = lineDetails(item, cocktails);
+        return { cocktail, inventory, stockUnits, quantity: item.quantity };
+      })
+    );
+    if (!reservation.success) {
+      return res.status(409).json({
+        error: 'Insufficient stock',
+        message: 'Some items are not available in the requested quantity',
+        shortages: reservation.shortages
+      });
+    }
 
     // Create order
     const order = new Order({
@@ -423,32 +991,56 @@ router.post('/', validateOrder, async (req, res) => {
       customer,
       items: validatedItems,
       subtotal,
+      deliveryFee,
+      feeBreakdown: breakdown,
+      discounts,
+      discountTotal,
+      taxLines,
+      taxTotal,
       totalAmount,
-      notes
+      notes,
+      paymentMethod,
+      ageVerification: ageCheck.ageVerification,
+      inventoryReservation: inventoryReservationService.buildReservation(reservation.items)
     });
 
-    await order.save();
+    if (promotion) {
+      const redemption = await promotionService.redeem(promotion, discounts[0], {
+        order,
+        phone: customer.phone
+      });
+      if (!redemption.success) {
+        await inventoryReservationService.releaseItems(reservation.items);
+        const { success, status, ...errorBody } = redemption;
+        return res.status(status).json(errorBody);
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      // Give the stock back if the order could not be persisted (e.g. a racing duplicate)
+      await inventoryReservationService.releaseItems(reservation.items);
+      if (promotion) {
+        await promotionService.releaseOrderRedemptions(order, 'Order could not be saved');
+      }
+      throw saveError;
+    }
 
     // Populate cocktail details for response
     await order.populate('items.cocktail', 'name description image images');
 
-    // Process inventory (reduce stock levels)
-    try {
-      await inventoryAlertService.processOrderInventory(order);
-      console.log(`✅ Inventory processed for order ${order.orderNumber}`);
-    } catch (inventoryError) {
-      console.error('Inventory processing failed:', inventoryError);
-      // Don't fail the order if inventory processing fails
-      // This allows the order to be created but alerts admin about inventory issues
-    }
+    inventoryReservationService.scheduleLevelCheck();
 
     res.status(201).json({
       success: true,
-      order,
+      order: order.toCustomerJSON(),
       orderNumber: order.orderNumber,
       trackingUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/orders/${order.orderNumber}`,
       nextSteps: {
-        payment: `POST ${process.env.BASE_URL || 'http://localhost:3000'}/payments/initialize with orderId: ${order._id}`,
+        payment: order.paysOnDelivery
+          ? 'Pay the rider when your order arrives'
+          : `POST ${process.env.BASE_URL || 'http://localhost:3000'}/payments/initialize with orderId: ${order._id}`,
         tracking: `GET ${process.env.BASE_URL || 'http://localhost:3000'}/orders/${order.orderNumber} to track your order`,
         phoneTracking: `GET ${process.env.BASE_URL || 'http://localhost:3000'}/orders/track/phone/${customer.phone} to see all your orders`
       }
@@ -474,8 +1066,8 @@ router.post('/', validateOrder, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Order number (e.g., ORD-000001)
- *         example: "ORD-000001"
+ *         description: Order number including its check digit (e.g., ORD-000001-4)
+ *         example: "ORD-000001-4"
  *     responses:
  *       200:
  *         description: Order retrieved successfully
@@ -489,41 +1081,15 @@ router.post('/', validateOrder, async (req, res) => {
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *                 trackingInfo:
- *                   type: object
- *                   properties:
- *                     orderNumber:
- *                       type: string
- *                     status:
- *                       type: string
- *                       enum: [new, preparing, delivered, cancelled]
- *                     paymentStatus:
- *                       type: string
- *                       enum: [pending, paid, failed, refunded]
- *                     estimatedDelivery:
- *                       type: string
- *                       format: date-time
- *                       description: Estimated delivery time
- *                     orderProgress:
- *                       type: object
- *                       properties:
- *                         placed:
- *                           type: boolean
- *                           description: Order has been placed
- *                         confirmed:
- *                           type: boolean
- *                           description: Order has been confirmed
- *                         preparing:
- *                           type: boolean
- *                           description: Order is being prepared
- *                         delivered:
- *                           type: boolean
- *                           description: Order has been delivered
+ *                   $ref: '#/components/schemas/OrderTracking'
+ *       400:
+ *         description: Malformed order number or check digit mismatch
  *       404:
  *         description: Order not found
  *       500:
  *         description: Internal server error
  */
-router.get('/:orderNumber', async (req, res) => {
+router.get('/:orderNumber', validateOrderNumberParam, async (req, res) => {
   try {
     const order = await Order.findOne({ orderNumber: req.params.orderNumber })
       .populate('items.cocktail', 'name description image images');
@@ -535,30 +1101,11 @@ router.get('/:orderNumber', async (req, res) => {
       });
     }
 
-    // Calculate estimated delivery time (2-4 hours from order time)
-    const estimatedDelivery = new Date(order.createdAt);
-    estimatedDelivery.setHours(estimatedDelivery.getHours() + 3); // 3 hours from order
-
-    // Generate order progress tracking
-    const orderProgress = {
-      placed: true, // Always true if order exists
-      confirmed: order.paymentStatus === 'paid',
-      preparing: ['preparing'].includes(order.fulfillmentStatus),
-      delivered: ['delivered'].includes(order.fulfillmentStatus)
-    };
-
-    const trackingInfo = {
-      orderNumber: order.orderNumber,
-      status: order.fulfillmentStatus,
-      paymentStatus: order.paymentStatus,
-      estimatedDelivery: estimatedDelivery.toISOString(),
-      orderProgress,
-      lastUpdated: order.updatedAt
-    };
+    const trackingInfo = await orderTimelineService.buildTracking(order, 'customer');
 
     res.json({
       success: true,
-      order,
+      order: order.toCustomerJSON(),
       trackingInfo
     });
   } catch (error) {
@@ -570,6 +1117,108 @@ router.get('/:orderNumber', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /orders/{orderNumber}/cancel:
+ *   post:
+ *     summary: Cancel an order (Public endpoint)
+ *     description: |
+ *       Customers can cancel an order until preparation starts. Paid orders are
+ *       refunded in full through Paystack and the reserved stock is returned.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "ORD-000001-4"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 description: Phone number the order was placed with
+ *                 example: "+2348012345678"
+ *               reason:
+ *                 type: string
+ *                 example: "Ordered by mistake"
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 refund:
+ *                   $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled, or another cancellation of it is in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusTransitionError'
+ *       502:
+ *         description: Paystack refused the refund; the order was not cancelled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/:orderNumber/cancel', validateOrderNumberParam, validateOrderCancellation, async (req, res) => {
+  try {
+    const { phone, reason } = req.body;
+    const order = await Order.findOne({ orderNumber: req.params.orderNumber });
+
+    // Report a phone mismatch as not found so order numbers cannot be probed
+    if (!order || order.customer.phone !== phone) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'No order matches this order number and phone number'
+      });
+    }
+
+    const result = await orderCancellationService.cancelOrder(order, {
+      actor: order.user ? order.user.toString() : phone,
+      actorRole: 'customer',
+      reason
+    });
+
+    if (!result.success) {
+      const { success, status, ...errorBody } = result;
+      return res.status(status).json(errorBody);
+    }
+
+    res.json({
+      success: true,
+      message: result.refund ? 'Order cancelled and refund initiated' : 'Order cancelled',
+      order: result.order.toCustomerJSON(),
+      refund: result.refund
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel order',
+      message: 'Unable to cancel order at this time'
+    });
+  }
+});
+
 /**
  * @swagger
  * /orders/track/phone/{phone}:
@@ -597,7 +1246,23 @@ router.get('/:orderNumber', async (req, res) => {
  *                 orders:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Order'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Order'
+ *                       - type: object
+ *                         properties:
+ *                           timeline:
+ *                             type: array
+ *                             description: Customer tracking timeline built from the status history
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 status:
+ *                                   type: string
+ *                                 timestamp:
+ *                                   type: string
+ *                                   format: date-time
+ *                                 description:
+ *                                   type: string
  *                 customerInfo:
  *                   type: object
  *                   properties:
@@ -637,7 +1302,10 @@ router.get('/track/phone/:phone', async (req, res) => {
 
     res.json({
       success: true,
-      orders,
+      orders: orders.map(order => ({
+        ...order.toCustomerJSON(),
+        timeline: orderTimelineService.buildTimeline(order, 'customer')
+      })),
       customerInfo
     });
   } catch (error) {
@@ -668,13 +1336,13 @@ router.get('/track/phone/:phone', async (req, res) => {
  *         name: paymentStatus
  *         schema:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, refunded, partially_refunded, abandoned, needs_review]
  *         description: Filter by payment status
  *       - in: query
  *         name: fulfillmentStatus
  *         schema:
  *           type: string
- *           enum: [new, preparing, delivered, cancelled]
+ *           enum: [new, preparing, in_route, delivered, cancelled]
  *         description: Filter by fulfillment status
  *       - in: query
  *         name: startDate
@@ -833,8 +1501,12 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
  *             properties:
  *               fulfillmentStatus:
  *                 type: string
- *                 enum: [new, preparing, delivered, cancelled]
+ *                 enum: [new, preparing, in_route, delivered, cancelled]
  *                 description: New fulfillment status
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Note stored with the status history entry
  *     responses:
  *       200:
  *         description: Order status updated successfully
@@ -855,12 +1527,18 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
  *         description: Admin access required
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Illegal status transition for the order's current state, or cancelling a paid order (use the cancel endpoint, which refunds it)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StatusTransitionError'
  *       500:
  *         description: Internal server error
  */
 router.patch('/:id/status', authenticateToken, requireAdmin, validateOrderStatusUpdate, async (req, res) => {
   try {
-    const { fulfillmentStatus } = req.body;
+    const { fulfillmentStatus, note } = req.body;
 
     const order = await Order.findById(req.params.id);
     if (!order) {
@@ -870,7 +1548,22 @@ router.patch('/:id/status', authenticateToken, requireAdmin, validateOrderStatus
       });
     }
 
-    order.fulfillmentStatus = fulfillmentStatus;
+    const transition = await orderLifecycleService.transition(order, fulfillmentStatus, {
+      actor: req.user.email,
+      actorRole: 'admin',
+      note
+    });
+
+    if (!transition.success) {
+      return res.status(409).json({
+        error: 'Invalid status transition',
+        message: transition.reason,
+        currentStatus: order.fulfillmentStatus,
+        requestedStatus: fulfillmentStatus,
+        allowedTransitions: transition.allowedTransitions
+      });
+    }
+
     await order.save();
 
     await order.populate('items.cocktail', 'name description image images');
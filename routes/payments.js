@@ -1,9 +1,11 @@
 const express = require('express');
-const axios = require('axios');
-const crypto = require('crypto');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const orderLifecycleService = require('../services/orderLifecycleService');
+const paymentWebhookService = require('../services/paymentWebhookService');
+const paymentReconciliationService = require('../services/paymentReconciliationService');
+const paymentProviders = require('../services/payments');
 
 const router = express.Router();
 
@@ -24,9 +26,13 @@ const router = express.Router();
  *         order:
  *           type: string
  *           description: Order ID
+ *         provider:
+ *           type: string
+ *           enum: [paystack, mock]
+ *           description: Payment provider that took the payment
  *         paystackReference:
  *           type: string
- *           description: Paystack payment reference
+ *           description: Transaction reference sent to the payment provider
  *         amount:
  *           type: number
  *           description: Payment amount in kobo
@@ -35,7 +41,7 @@ const router = express.Router();
  *           description: Payment currency
  *         status:
  *           type: string
- *           enum: [pending, success, failed, abandoned]
+ *           enum: [pending, success, failed, abandoned, needs_review]
  *           description: Payment status
  *         gatewayResponse:
  *           type: object
@@ -50,17 +56,68 @@ const router = express.Router();
  *         failureReason:
  *           type: string
  *           description: Reason for payment failure
+ *         amountRefunded:
+ *           type: number
+ *           description: Total refunded in kobo
+ *         refunds:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Refund'
+ *         disputes:
+ *           type: array
+ *           description: Chargeback disputes opened by the customer
+ *           items:
+ *             type: object
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     WebhookEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: paystack
+ *         eventId:
+ *           type: string
+ *           description: Deduplication key for the event
+ *           example: "charge.success:302961"
+ *         event:
+ *           type: string
+ *           example: charge.success
+ *         reference:
+ *           type: string
+ *           description: Transaction reference the event is about
+ *         payload:
+ *           type: object
+ *           description: Event body as received
+ *         status:
+ *           type: string
+ *           enum: [received, processing, processed, ignored, failed]
+ *         attempts:
+ *           type: integer
+ *           description: Times the event has been processed
+ *         deliveries:
+ *           type: integer
+ *           description: Times the provider has delivered the event
+ *         lastError:
+ *           type: string
+ *         processedAt:
+ *           type: string
+ *           format: date-time
+ *         replayedBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     PaymentRequest:
  *       type: object
  *       required:
  *         - orderId
- *         - email
  *       properties:
  *         orderId:
  *           type: string
@@ -68,10 +125,14 @@ const router = express.Router();
  *         email:
  *           type: string
  *           format: email
- *           description: Customer email for payment
+ *           description: Customer email for payment; defaults to the order's customer email and is saved on orders without one
  *         callbackUrl:
  *           type: string
  *           description: Callback URL for payment completion
+ *         provider:
+ *           type: string
+ *           enum: [paystack, mock]
+ *           description: Payment provider to use (defaults to PAYMENT_PROVIDER)
  */
 
 /**
@@ -88,7 +149,6 @@ const router = express.Router();
  *             type: object
  *             required:
  *               - orderId
- *               - email
  *             properties:
  *               orderId:
  *                 type: string
@@ -96,10 +156,14 @@ const router = express.Router();
  *               email:
  *                 type: string
  *                 format: email
- *                 description: Customer email for payment
+ *                 description: Customer email for payment; defaults to the order's customer email and is saved on orders without one
  *               callbackUrl:
  *                 type: string
  *                 description: Callback URL for payment completion
+ *               provider:
+ *                 type: string
+ *                 enum: [paystack, mock]
+ *                 description: Payment provider to use (defaults to PAYMENT_PROVIDER). The mock provider needs PAYMENT_MOCK_ENABLED=true and is unavailable in production
  *     responses:
  *       200:
  *         description: Payment initialized successfully
@@ -113,6 +177,8 @@ const router = express.Router();
  *                 payment:
  *                   type: object
  *                   properties:
+ *                     provider:
+ *                       type: string
  *                     authorizationUrl:
  *                       type: string
  *                       description: URL to redirect customer for payment
@@ -123,7 +189,7 @@ const router = express.Router();
  *                       type: string
  *                       description: Payment reference
  *       400:
- *         description: Invalid order or order already paid
+ *         description: Invalid order, order already paid, order expired/cancelled, or the provider rejected the request
  *       404:
  *         description: Order not found
  *       500:
@@ -131,12 +197,12 @@ const router = express.Router();
  */
 router.post('/initialize', async (req, res) => {
   try {
-    const { orderId, email, callbackUrl } = req.body;
+    const { orderId, callbackUrl, provider: providerName } = req.body;
 
-    if (!orderId || !email) {
+    if (!orderId) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'Order ID and email are required'
+        message: 'Order ID is required'
       });
     }
 
@@ -149,6 +215,14 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
+    const email = req.body.email || order.customer.email;
+    if (!email) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'An email is required when the order has no customer email'
+      });
+    }
+
     // Check if order is already paid
     if (order.paymentStatus === 'paid') {
       return res.status(400).json({
@@ -157,6 +231,22 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
+    // A charge that did not match the order is waiting on an admin decision
+    if (order.paymentStatus === 'needs_review') {
+      return res.status(400).json({
+        error: 'Payment under review',
+        message: 'A payment for this order is being reviewed. Please contact support'
+      });
+    }
+
+    // Expired or cancelled orders no longer hold stock and cannot be paid for
+    if (order.paymentStatus === 'abandoned' || order.fulfillmentStatus === 'cancelled') {
+      return res.status(400).json({
+        error: 'Order no longer payable',
+        message: 'This order has expired or been cancelled. Please place a new order'
+      });
+    }
+
     // Check if payment already exists for this order
     let payment = await Payment.findOne({ order: orderId });
     
@@ -167,55 +257,39 @@ router.post('/initialize', async (req, res) => {
       });
     }
 
-    // Prepare Paystack payment data
+    const provider = paymentProviders.get(providerName);
     const amountInKobo = Math.round(order.totalAmount * 100); // Convert NGN to kobo
     const reference = `PAY_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    const paymentData = {
-      email: email,
+    const checkout = await provider.initialize({
+      reference,
       amount: amountInKobo,
       currency: 'NGN',
-      reference: reference,
-      callback_url: callbackUrl || `${process.env.BASE_URL}/payments/callback`,
+      email,
+      callbackUrl: callbackUrl || `${process.env.BASE_URL}/payments/callback`,
       metadata: {
         orderId: order._id.toString(),
         orderNumber: order.orderNumber,
         customerName: order.customer.name
       }
-    };
-
-    // Initialize payment with Paystack
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      paymentData,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
-    if (paystackResponse.data.status !== true) {
-      throw new Error('Paystack initialization failed');
-    }
-
-    const paystackData = paystackResponse.data.data;
+    });
 
     // Create or update payment record
     if (payment) {
+      payment.provider = provider.name;
       payment.paystackReference = reference;
       payment.amount = amountInKobo;
-      payment.gatewayResponse = paystackData;
+      payment.gatewayResponse = checkout.raw;
       payment.status = 'pending';
       await payment.save();
     } else {
       payment = new Payment({
         order: order._id,
+        provider: provider.name,
         paystackReference: reference,
         amount: amountInKobo,
         currency: 'NGN',
-        gatewayResponse: paystackData,
+        gatewayResponse: checkout.raw,
         status: 'pending'
       });
       await payment.save();
@@ -223,24 +297,31 @@ router.post('/initialize', async (req, res) => {
 
     // Update order with payment reference
     order.paymentReference = reference;
-    order.paymentStatus = 'pending';
+    // Guests who left out their email at checkout get the confirmation here
+    if (!order.customer.email) {
+      order.customer.email = email;
+    }
+    orderLifecycleService.recordPaymentEvent(order, 'pending', {
+      note: `Payment initialized (${reference})`
+    });
     await order.save();
 
     res.json({
       success: true,
       payment: {
-        authorizationUrl: paystackData.authorization_url,
-        accessCode: paystackData.access_code,
+        provider: provider.name,
+        authorizationUrl: checkout.authorizationUrl,
+        accessCode: checkout.accessCode,
         reference: reference
       }
     });
   } catch (error) {
     console.error('Payment initialization error:', error);
     
-    if (error.response && error.response.data) {
+    if (error.isProviderError) {
       return res.status(400).json({
         error: 'Payment initialization failed',
-        message: error.response.data.message || 'Unable to initialize payment'
+        message: error.message || 'Unable to initialize payment'
       });
     }
 
@@ -279,7 +360,10 @@ router.post('/initialize', async (req, res) => {
  *                   properties:
  *                     status:
  *                       type: string
- *                       enum: [pending, success, failed, abandoned]
+ *                       enum: [pending, success, failed, abandoned, needs_review]
+ *                     reviewRequired:
+ *                       type: boolean
+ *                       description: True when the charged amount or currency did not match the order and an admin must review it
  *                     amount:
  *                       type: number
  *                     reference:
@@ -301,22 +385,6 @@ router.get('/verify/:reference', async (req, res) => {
   try {
     const { reference } = req.params;
 
-    // Verify payment with Paystack
-    const paystackResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
-
-    if (paystackResponse.data.status !== true) {
-      throw new Error('Paystack verification failed');
-    }
-
-    const paystackData = paystackResponse.data.data;
-
     // Find payment record
     const payment = await Payment.findOne({ paystackReference: reference })
       .populate('order');
@@ -328,45 +396,50 @@ router.get('/verify/:reference', async (req, res) => {
       });
     }
 
-    // Update payment status based on Paystack response
-    const isSuccessful = paystackData.status === 'success';
-    const newStatus = isSuccessful ? 'success' : 
-                     paystackData.status === 'failed' ? 'failed' : 'pending';
+    // Verify payment with the provider that took it
+    const charge = await paymentProviders.get(payment.provider).verify(reference);
 
-    payment.status = newStatus;
-    payment.webhookData = paystackData;
-    
-    if (isSuccessful) {
-      payment.paidAt = new Date(paystackData.paid_at);
-    } else if (paystackData.status === 'failed') {
-      payment.failureReason = paystackData.gateway_response || 'Payment failed';
-    }
+    const order = payment.order;
+    const note = `Verified with ${payment.provider} (${reference})`;
 
-    await payment.save();
+    if (charge.status === 'success') {
+      // Only mark the order paid when the charged amount and currency match it
+      if (!['success', 'needs_review'].includes(payment.status)) {
+        await paymentReconciliationService.settleSuccessfulCharge(payment, charge, { note });
+      }
+    } else if (payment.status === 'pending') {
+      payment.status = charge.status;
+      payment.webhookData = charge.raw;
+      if (charge.status === 'failed') {
+        payment.failureReason = charge.gatewayResponse || 'Payment failed';
+      }
+      await payment.save();
 
-    // Update order status
-    const order = payment.order;
-    order.paymentStatus = isSuccessful ? 'paid' : 
-                         paystackData.status === 'failed' ? 'failed' : 'pending';
-    await order.save();
+      // An abandoned checkout leaves the order waiting for another attempt
+      if (charge.status === 'failed') {
+        orderLifecycleService.recordPaymentEvent(order, 'failed', { note });
+        await order.save();
+      }
+    }
 
     res.json({
       success: true,
       payment: {
         status: payment.status,
+        reviewRequired: payment.status === 'needs_review',
         amount: payment.amount,
         reference: payment.paystackReference,
         paidAt: payment.paidAt,
-        order: order
+        order: order.toCustomerJSON()
       }
     });
   } catch (error) {
     console.error('Payment verification error:', error);
     
-    if (error.response && error.response.data) {
+    if (error.isProviderError) {
       return res.status(400).json({
         error: 'Payment verification failed',
-        message: error.response.data.message || 'Unable to verify payment'
+        message: error.message || 'Unable to verify payment'
       });
     }
 
@@ -377,11 +450,58 @@ router.get('/verify/:reference', async (req, res) => {
   }
 });
 
+/**
+ * Verify, record and apply a provider webhook
+ */
+const handleWebhook = providerName => async (req, res) => {
+  try {
+    const provider = paymentProviders.get(providerName || req.params.provider);
+
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(400).json({
+        error: 'Invalid signature',
+        message: 'Webhook signature verification failed'
+      });
+    }
+
+    const { webhookEvent, duplicate } = await paymentWebhookService.record(provider.name, req.body, req.rawBody);
+    const result = await paymentWebhookService.process(webhookEvent._id);
+
+    // A failed event is left in the ledger; a 500 makes the provider retry it
+    if (result.webhookEvent.status === 'failed') {
+      return res.status(500).json({
+        error: 'Webhook processing failed',
+        message: 'Unable to process webhook'
+      });
+    }
+
+    res.status(200).json({ received: true, duplicate });
+  } catch (error) {
+    if (error.isProviderError) {
+      return res.status(404).json({
+        error: 'Unknown payment provider',
+        message: error.message
+      });
+    }
+
+    console.error('Webhook processing error:', error);
+    res.status(500).json({
+      error: 'Webhook processing failed',
+      message: 'Unable to process webhook'
+    });
+  }
+};
+
 /**
  * @swagger
  * /payments/webhook:
  *   post:
  *     summary: Handle Paystack webhook (Internal endpoint)
+ *     description: |
+ *       Verifies the HMAC signature against the raw request body and records the
+ *       event in the webhook ledger. Redelivered events are acknowledged without
+ *       being applied again. Handles charge.success, charge.failed,
+ *       refund.processed, refund.failed and charge.dispute.create.
  *     tags: [Payments]
  *     requestBody:
  *       required: true
@@ -391,75 +511,173 @@ router.get('/verify/:reference', async (req, res) => {
  *             type: object
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed, ignored as irrelevant, or already processed
  *       400:
  *         description: Invalid webhook signature
  *       500:
- *         description: Internal server error
+ *         description: Processing failed; the event is kept in the ledger for retry or replay
+ */
+router.post('/webhook', handleWebhook('paystack'));
+
+/**
+ * @swagger
+ * /payments/webhook/{provider}:
+ *   post:
+ *     summary: Handle a webhook from a specific payment provider (Internal endpoint)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [paystack, mock]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Webhook processed, ignored as irrelevant, or already processed
+ *       400:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: Unknown or disabled payment provider
+ *       500:
+ *         description: Processing failed; the event is kept in the ledger for retry or replay
  */
-router.post('/webhook', async (req, res) => {
+router.post('/webhook/:provider', handleWebhook());
+
+/**
+ * @swagger
+ * /payments/mock/checkout/{reference}:
+ *   get:
+ *     summary: View a mock gateway transaction (Development only, needs PAYMENT_MOCK_ENABLED=true)
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transaction details and the outcomes that can be simulated
+ *       404:
+ *         description: Unknown reference, or the mock gateway is disabled
+ */
+router.get('/mock/checkout/:reference', async (req, res) => {
   try {
-    const hash = crypto
-      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
+    const provider = paymentProviders.get('mock');
+    const transaction = provider.getTransaction(req.params.reference);
 
-    if (hash !== req.headers['x-paystack-signature']) {
-      return res.status(400).json({
-        error: 'Invalid signature',
-        message: 'Webhook signature verification failed'
+    res.json({
+      success: true,
+      transaction,
+      outcomes: provider.outcomes,
+      complete: `POST ${process.env.BASE_URL || 'http://localhost:3000'}/payments/mock/checkout/${transaction.reference} with { "outcome": "success" }`
+    });
+  } catch (error) {
+    if (error.isProviderError) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: error.message
       });
     }
 
-    const event = req.body;
-    const { reference } = event.data;
-
-    if (event.event === 'charge.success') {
-      // Find payment record
-      const payment = await Payment.findOne({ paystackReference: reference })
-        .populate('order');
-      
-      if (payment && payment.status !== 'success') {
-        // Update payment status
-        payment.status = 'success';
-        payment.paidAt = new Date();
-        payment.webhookData = event.data;
-        await payment.save();
-
-        // Update order status
-        const order = payment.order;
-        order.paymentStatus = 'paid';
-        await order.save();
+    console.error('Mock checkout error:', error);
+    res.status(500).json({
+      error: 'Mock checkout failed',
+      message: 'Unable to load transaction'
+    });
+  }
+});
 
-        console.log(`Payment successful for order ${order.orderNumber}`);
-      }
-    } else if (event.event === 'charge.failed') {
-      // Find payment record
-      const payment = await Payment.findOne({ paystackReference: reference })
-        .populate('order');
-      
-      if (payment) {
-        // Update payment status
-        payment.status = 'failed';
-        payment.failureReason = event.data.gateway_response || 'Payment failed';
-        payment.webhookData = event.data;
-        await payment.save();
-
-        // Update order status
-        const order = payment.order;
-        order.paymentStatus = 'failed';
-        await order.save();
+/**
+ * @swagger
+ * /payments/mock/checkout/{reference}:
+ *   post:
+ *     summary: Complete a mock gateway transaction (Development only, needs PAYMENT_MOCK_ENABLED=true)
+ *     description: |
+ *       Simulates the customer finishing checkout. Success and failure send the
+ *       same webhook a real gateway would, so the order is updated exactly as
+ *       in production; abandonment sends nothing and is picked up by verify.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - outcome
+ *             properties:
+ *               outcome:
+ *                 type: string
+ *                 enum: [success, failed, abandoned]
+ *               amount:
+ *                 type: integer
+ *                 description: Amount charged in kobo, to simulate underpayment
+ *     responses:
+ *       200:
+ *         description: Transaction completed
+ *       400:
+ *         description: Invalid outcome or transaction already completed
+ *       404:
+ *         description: Mock gateway is disabled
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/mock/checkout/:reference', async (req, res) => {
+  let provider;
+  try {
+    provider = paymentProviders.get('mock');
+  } catch (error) {
+    return res.status(404).json({
+      error: 'Mock gateway disabled',
+      message: error.message
+    });
+  }
 
-        console.log(`Payment failed for order ${order.orderNumber}`);
-      }
+  try {
+    const { outcome, amount } = req.body;
+    const payload = provider.complete(req.params.reference, outcome, {
+      amount: amount !== undefined ? parseInt(amount) : undefined
+    });
+
+    let webhookStatus = null;
+    if (payload) {
+      const { webhookEvent } = await paymentWebhookService.record(provider.name, payload, Buffer.from(JSON.stringify(payload)));
+      const result = await paymentWebhookService.process(webhookEvent._id);
+      webhookStatus = result.webhookEvent.status;
     }
 
-    res.status(200).json({ received: true });
+    res.json({
+      success: true,
+      reference: req.params.reference,
+      outcome,
+      webhookStatus
+    });
   } catch (error) {
-    console.error('Webhook processing error:', error);
+    if (error.isProviderError) {
+      return res.status(400).json({
+        error: 'Mock checkout failed',
+        message: error.message
+      });
+    }
+
+    console.error('Mock checkout error:', error);
     res.status(500).json({
-      error: 'Webhook processing failed',
-      message: 'Unable to process webhook'
+      error: 'Mock checkout failed',
+      message: 'Unable to complete transaction'
     });
   }
 });
@@ -477,7 +695,7 @@ router.post('/webhook', async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, success, failed, abandoned]
+ *           enum: [pending, success, failed, abandoned, needs_review]
  *         description: Filter by payment status
  *       - in: query
  *         name: limit
@@ -1,5 +1,7 @@
 const express = require('express');
 const Order = require('../models/Order');
+const orderTimelineService = require('../services/orderTimelineService');
+const { validateOrderNumberParam } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -15,16 +17,21 @@ const router = express.Router();
  *           description: Order number
  *         status:
  *           type: string
- *           enum: [new, preparing, delivered, cancelled]
+ *           enum: [new, preparing, in_route, delivered, cancelled]
  *           description: Current order status
  *         paymentStatus:
  *           type: string
- *           enum: [pending, paid, failed, refunded]
+ *           enum: [pending, paid, failed, refunded, partially_refunded, abandoned, needs_review]
  *           description: Payment status
  *         estimatedDelivery:
  *           type: string
  *           format: date-time
- *           description: Estimated delivery time
+ *           nullable: true
+ *           description: Estimated delivery time (actual delivery time once delivered, null when cancelled)
+ *         estimatedDeliveryBasis:
+ *           type: string
+ *           enum: [delivered, cancelled, admin, history, default]
+ *           description: How the estimate was derived - recent delivery durations in the same state (history), an admin-set time, or the default window
  *         orderProgress:
  *           type: object
  *           properties:
@@ -36,12 +43,16 @@ const router = express.Router();
  *               description: Order has been confirmed
  *             preparing:
  *               type: boolean
- *               description: Order is being prepared
+ *               description: Order has reached preparation
+ *             inRoute:
+ *               type: boolean
+ *               description: Order has been sent out for delivery
  *             delivered:
  *               type: boolean
  *               description: Order has been delivered
  *         timeline:
  *           type: array
+ *           description: Persisted status and payment events with their real timestamps
  *           items:
  *             type: object
  *             properties:
@@ -52,6 +63,9 @@ const router = express.Router();
  *                 format: date-time
  *               description:
  *                 type: string
+ *         lastUpdated:
+ *           type: string
+ *           format: date-time
  */
 
 /**
@@ -69,8 +83,8 @@ const router = express.Router();
  *         required: true
  *         schema:
  *           type: string
- *         description: Order number (e.g., ORD-000001)
- *         example: "ORD-000001"
+ *         description: Order number including its check digit (e.g., ORD-000001-4)
+ *         example: "ORD-000001-4"
  *     responses:
  *       200:
  *         description: Order tracking information retrieved successfully
@@ -122,12 +136,14 @@ const router = express.Router();
  *                 updatedAt:
  *                   type: string
  *                   format: date-time
+ *       400:
+ *         description: Malformed order number or check digit mismatch
  *       404:
  *         description: Order not found
  *       500:
  *         description: Internal server error
  */
-router.get('/order/:orderNumber', async (req, res) => {
+router.get('/order/:orderNumber', validateOrderNumberParam, async (req, res) => {
   try {
     const order = await Order.findOne({ orderNumber: req.params.orderNumber })
       .populate('items.cocktail', 'name description image');
@@ -139,59 +155,8 @@ router.get('/order/:orderNumber', async (req, res) => {
       });
     }
 
-    // Calculate estimated delivery time
-    const estimatedDelivery = new Date(order.createdAt);
-    estimatedDelivery.setHours(estimatedDelivery.getHours() + 3);
-
-    // Generate order progress
-    const orderProgress = {
-      placed: true,
-      confirmed: order.paymentStatus === 'paid',
-      preparing: ['preparing'].includes(order.fulfillmentStatus),
-      delivered: ['delivered'].includes(order.fulfillmentStatus)
-    };
-
-    // Create timeline
-    const timeline = [
-      {
-        status: 'placed',
-        timestamp: order.createdAt,
-        description: 'Order placed successfully'
-      }
-    ];
-
-    if (order.paymentStatus === 'paid') {
-      timeline.push({
-        status: 'confirmed',
-        timestamp: order.updatedAt,
-        description: 'Payment confirmed, order being processed'
-      });
-    }
-
-    if (['preparing', 'delivered'].includes(order.fulfillmentStatus)) {
-      timeline.push({
-        status: 'preparing',
-        timestamp: order.updatedAt,
-        description: 'Order is being prepared'
-      });
-    }
-
-    if (order.fulfillmentStatus === 'delivered') {
-      timeline.push({
-        status: 'delivered',
-        timestamp: order.updatedAt,
-        description: 'Order has been delivered'
-      });
-    }
-
-    const tracking = {
-      orderNumber: order.orderNumber,
-      status: order.fulfillmentStatus,
-      paymentStatus: order.paymentStatus,
-      estimatedDelivery: estimatedDelivery.toISOString(),
-      orderProgress,
-      timeline
-    };
+    // Timeline and estimate are built from the persisted status history
+    const tracking = await orderTimelineService.buildTracking(order, 'customer');
 
     res.json({
       success: true,
@@ -5,6 +5,8 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const { authenticateToken } = require('../middleware/auth');
+const invoiceService = require('../services/invoiceService');
+const notificationPreferenceService = require('../services/notificationPreferenceService');
 
 const router = express.Router();
 
@@ -50,6 +52,15 @@ const router = express.Router();
  *               phone:
  *                 type: string
  *                 example: "+2348012345678"
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: "1995-04-12"
+ *                 description: Checked against the legal drinking age when ordering alcohol. Cannot be changed once set
+ *               locale:
+ *                 type: string
+ *                 enum: [en, pcm, yo, ha, ig]
+ *                 description: Language for emails (English, Pidgin, Yoruba, Hausa or Igbo)
  *               address:
  *                 type: object
  *                 properties:
@@ -103,10 +114,12 @@ router.post('/register', [
   body('firstName').notEmpty().withMessage('First name is required'),
   body('lastName').notEmpty().withMessage('Last name is required'),
   body('phone').optional().isString().withMessage('Invalid phone number'),
+  body('dateOfBirth').optional().isISO8601().isBefore().withMessage('Date of birth must be a past date (YYYY-MM-DD)'),
   body('address.street').optional().isString().withMessage('Invalid street address'),
   body('address.city').optional().isString().withMessage('Invalid city'),
   body('address.state').optional().isString().withMessage('Invalid state'),
-  body('address.postalCode').optional().isString().withMessage('Invalid postal code')
+  body('address.postalCode').optional().isString().withMessage('Invalid postal code'),
+  body('locale').optional().isIn(['en', 'pcm', 'yo', 'ha', 'ig']).withMessage('Invalid locale')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -114,7 +127,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, phone, address } = req.body;
+    const { email, password, firstName, lastName, phone, dateOfBirth, address, locale } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -132,7 +145,9 @@ router.post('/register', [
       firstName,
       lastName,
       phone,
+      dateOfBirth,
       address,
+      locale,
       role: 'customer'
     });
 
@@ -154,7 +169,9 @@ router.post('/register', [
         firstName: user.firstName,
         lastName: user.lastName,
         phone: user.phone,
+        dateOfBirth: user.dateOfBirth,
         address: user.address,
+        locale: user.locale,
         role: user.role,
         isActive: user.isActive,
         createdAt: user.createdAt
@@ -267,6 +284,7 @@ router.post('/login', [
         lastName: user.lastName,
         phone: user.phone,
         address: user.address,
+        locale: user.locale,
         role: user.role,
         isActive: user.isActive,
         createdAt: user.createdAt
@@ -336,6 +354,15 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *               phone:
  *                 type: string
  *                 example: "+2348012345678"
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 example: "1995-04-12"
+ *                 description: Checked against the legal drinking age when ordering alcohol. Cannot be changed once set
+ *               locale:
+ *                 type: string
+ *                 enum: [en, pcm, yo, ha, ig]
+ *                 description: Language for emails (English, Pidgin, Yoruba, Hausa or Igbo)
  *               address:
  *                 type: object
  *                 properties:
@@ -355,7 +382,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  *       200:
  *         description: Profile updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or attempt to change the date of birth
  *       401:
  *         description: Unauthorized
  *       500:
@@ -365,10 +392,12 @@ router.put('/profile', authenticateToken, [
   body('firstName').optional().isString().withMessage('Invalid first name'),
   body('lastName').optional().isString().withMessage('Invalid last name'),
   body('phone').optional().isString().withMessage('Invalid phone number'),
+  body('dateOfBirth').optional().isISO8601().isBefore().withMessage('Date of birth must be a past date (YYYY-MM-DD)'),
   body('address.street').optional().isString().withMessage('Invalid street address'),
   body('address.city').optional().isString().withMessage('Invalid city'),
   body('address.state').optional().isString().withMessage('Invalid state'),
-  body('address.postalCode').optional().isString().withMessage('Invalid postal code')
+  body('address.postalCode').optional().isString().withMessage('Invalid postal code'),
+  body('locale').optional().isIn(['en', 'pcm', 'yo', 'ha', 'ig']).withMessage('Invalid locale')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -376,6 +405,16 @@ router.put('/profile', authenticateToken, [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    // Orders rely on the date of birth for age checks, so it is set once
+    const { dateOfBirth } = req.body;
+    if (dateOfBirth && req.user.dateOfBirth &&
+        new Date(dateOfBirth).getTime() !== req.user.dateOfBirth.getTime()) {
+      return res.status(400).json({
+        error: 'Date of birth cannot be changed',
+        message: 'Please contact support to correct your date of birth'
+      });
+    }
+
     const updateData = req.body;
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -479,6 +518,245 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChannelPreferences:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: boolean
+ *         sms:
+ *           type: boolean
+ *         whatsapp:
+ *           type: boolean
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         orderUpdates:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ *         promotions:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ *         newsletters:
+ *           $ref: '#/components/schemas/ChannelPreferences'
+ */
+
+/**
+ * @swagger
+ * /users/notification-preferences:
+ *   get:
+ *     summary: Get notification preferences
+ *     description: Which notifications the user gets on email, SMS and WhatsApp. Order updates go by email by default; promotions and newsletters are off until the user opts in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/notification-preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      preferences: req.user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve notification preferences',
+      message: 'Unable to get notification preferences at this time'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /users/notification-preferences:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: Only the events and channels given are changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *           example:
+ *             orderUpdates:
+ *               sms: true
+ *             promotions:
+ *               email: false
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.put('/notification-preferences', authenticateToken, [
+  body(['orderUpdates', 'promotions', 'newsletters'])
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object of channels'),
+  body(['orderUpdates', 'promotions', 'newsletters'].flatMap(event => ['email', 'sms', 'whatsapp'].map(channel => `${event}.${channel}`)))
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Channel preferences must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await notificationPreferenceService.update(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: user.notificationPreferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      error: 'Failed to update notification preferences',
+      message: 'Unable to update notification preferences at this time'
+    });
+  }
+});
+
+// Readable names for the unsubscribe confirmation
+const EVENT_LABELS = {
+  orderUpdates: 'order update',
+  promotions: 'promotion',
+  newsletters: 'newsletter'
+};
+
+const unsubscribePage = body => `<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; text-align: center; padding: 40px;">${body}</body></html>`;
+
+/**
+ * @swagger
+ * /users/unsubscribe:
+ *   get:
+ *     summary: Unsubscribe confirmation page
+ *     description: >
+ *       Opened from the unsubscribe link in an email footer. Only shows a page asking the customer to
+ *       confirm, so link scanners and mail prefetchers do not unsubscribe anyone; the confirm button
+ *       sends the POST below.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token from the unsubscribe link
+ *     responses:
+ *       200:
+ *         description: Confirmation page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing, invalid or expired token
+ *   post:
+ *     summary: One-click unsubscribe (RFC 8058)
+ *     description: >
+ *       Turns off email for the kind of email the link came in. Sent by mail clients using the
+ *       List-Unsubscribe-Post header on our emails, and by the confirmation page (answered with a page).
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token from the List-Unsubscribe header
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *       400:
+ *         description: Missing, invalid or expired token
+ */
+router.get('/unsubscribe', (req, res) => {
+  const { token } = req.query;
+  const payload = notificationPreferenceService.verifyUnsubscribeToken(token);
+
+  if (!payload) {
+    return res.status(400).type('html').send(unsubscribePage('<p>This unsubscribe link is invalid or has expired.</p>'));
+  }
+
+  res.type('html').send(unsubscribePage(`<p>Stop receiving ${EVENT_LABELS[payload.event]} emails?</p>` +
+    `<form method="POST" action="/users/unsubscribe?token=${encodeURIComponent(token)}">` +
+    '<button type="submit">Unsubscribe</button></form>'));
+});
+
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { token } = req.query;
+    const result = token
+      ? await notificationPreferenceService.unsubscribe(token)
+      : { success: false, error: 'Unsubscribe token is required' };
+
+    // The confirmation page's form gets a page back; mail clients get JSON
+    if (req.accepts(['json', 'html']) === 'html') {
+      const message = result.success
+        ? `You will no longer receive ${EVENT_LABELS[result.event]} emails. You can turn them back on from your notification preferences.`
+        : 'This unsubscribe link is invalid or has expired.';
+      return res.status(result.success ? 200 : 400).type('html').send(unsubscribePage(`<p>${message}</p>`));
+    }
+
+    if (!result.success) {
+      return res.status(400).json({
+        error: 'Unsubscribe failed',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Unsubscribed from ${EVENT_LABELS[result.event]} emails`,
+      event: result.event
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      error: 'Failed to unsubscribe',
+      message: 'Unable to unsubscribe at this time'
+    });
+  }
+});
+
 /**
  * @swagger
  * /users/orders:
@@ -559,7 +837,7 @@ router.get('/orders', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      orders,
+      orders: orders.map(order => order.toCustomerJSON()),
       pagination: {
         page,
         limit,
@@ -619,7 +897,7 @@ router.get('/orders/:orderId', authenticateToken, async (req, res) => {
 
     res.json({
       success: true,
-      order
+      order: order.toCustomerJSON()
     });
   } catch (error) {
     console.error('Get user order error:', error);
@@ -630,4 +908,72 @@ router.get('/orders/:orderId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /users/orders/{orderId}/invoice:
+ *   get:
+ *     summary: Download the invoice for one of your orders
+ *     description: Returns a PDF invoice, or a receipt once the order is paid. The invoice number is assigned on first download and stays the same afterwards.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Order not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Internal server error
+ */
+router.get('/orders/:orderId/invoice', authenticateToken, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      user: req.user._id
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'Order not found or does not belong to you'
+      });
+    }
+
+    const invoice = await invoiceService.generate(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.filename}"`
+    });
+    res.send(invoice.buffer);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        error: 'Invalid order ID',
+        message: 'The provided order ID is not valid'
+      });
+    }
+
+    console.error('Get user invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to generate invoice',
+      message: 'Unable to generate invoice at this time'
+    });
+  }
+});
+
 module.exports = router;
@@ -13,6 +13,18 @@ const sampleCocktails = [
     name: "Nigerian Sunset",
     description: "A tropical blend of palm wine, pineapple juice, and ginger with a hint of coconut cream. Perfect for warm Nigerian evenings.",
     price: 2500,
+    category: "signature",
+    tags: ["tropical", "creamy"],
+    ingredients: [
+      { name: "Palm wine", amount: 120, unit: "ml", abv: 5 },
+      { name: "Pineapple juice", amount: 90, unit: "ml" },
+      { name: "Ginger", amount: 2, unit: "piece" },
+      { name: "Coconut cream", amount: 30, unit: "ml" }
+    ],
+    spiritBase: "palm_wine",
+    abv: 4,
+    allergens: ["tree_nuts"],
+    servingSize: { amount: 300, unit: "ml" },
     availableStates: ["Lagos", "FCT", "Rivers", "Delta", "Akwa Ibom", "Cross River"],
     images: [
       {
@@ -36,6 +48,17 @@ const sampleCocktails = [
     name: "Lagos Lagoon",
     description: "Refreshing mix of fresh lime, mint leaves, soda water, and local gin. Named after the beautiful Lagos lagoon.",
     price: 2200,
+    category: "classic",
+    tags: ["refreshing", "minty"],
+    ingredients: [
+      { name: "Gin", amount: 50, unit: "ml", abv: 40 },
+      { name: "Lime juice", amount: 25, unit: "ml" },
+      { name: "Mint", amount: 8, unit: "piece" },
+      { name: "Soda water", amount: 100, unit: "ml" }
+    ],
+    spiritBase: "gin",
+    abv: 11,
+    servingSize: { amount: 250, unit: "ml" },
     availableStates: ["Lagos", "Ogun", "Ondo", "Osun", "Oyo"],
     images: [
       {
@@ -54,6 +77,17 @@ const sampleCocktails = [
     name: "Abuja Breeze",
     description: "Premium vodka mixed with hibiscus tea, lemon, and honey. A sophisticated drink for the capital city.",
     price: 3000,
+    category: "signature",
+    tags: ["floral", "sweet"],
+    ingredients: [
+      { name: "Vodka", amount: 50, unit: "ml", abv: 40 },
+      { name: "Hibiscus tea", amount: 90, unit: "ml" },
+      { name: "Lemon juice", amount: 20, unit: "ml" },
+      { name: "Honey", amount: 15, unit: "ml" }
+    ],
+    spiritBase: "vodka",
+    abv: 12,
+    servingSize: { amount: 250, unit: "ml" },
     availableStates: ["FCT", "Niger", "Kaduna", "Kano", "Plateau"],
     images: [
       {
@@ -72,6 +106,17 @@ const sampleCocktails = [
     name: "Kano Desert Rose",
     description: "Unique blend of date syrup, rose water, vodka, and fresh mint. Inspired by the beautiful desert roses of Kano.",
     price: 2800,
+    category: "signature",
+    tags: ["floral", "minty"],
+    ingredients: [
+      { name: "Vodka", amount: 45, unit: "ml", abv: 40 },
+      { name: "Date syrup", amount: 20, unit: "ml" },
+      { name: "Rose water", amount: 1, unit: "dash" },
+      { name: "Mint", amount: 6, unit: "piece" }
+    ],
+    spiritBase: "vodka",
+    abv: 14,
+    servingSize: { amount: 200, unit: "ml" },
     availableStates: ["Kano", "Katsina", "Jigawa", "Kaduna", "Bauchi"],
     images: [
       {
@@ -95,6 +140,17 @@ const sampleCocktails = [
     name: "Calabar Coconut Punch",
     description: "Tropical cocktail with coconut rum, pineapple juice, lime, and a splash of grenadine. Perfect for the coastal city.",
     price: 2400,
+    category: "signature",
+    tags: ["tropical", "fruity"],
+    ingredients: [
+      { name: "Coconut rum", amount: 50, unit: "ml", abv: 21 },
+      { name: "Pineapple juice", amount: 90, unit: "ml" },
+      { name: "Lime juice", amount: 15, unit: "ml" },
+      { name: "Grenadine", amount: 10, unit: "ml" }
+    ],
+    spiritBase: "rum",
+    abv: 7,
+    servingSize: { amount: 300, unit: "ml" },
     availableStates: ["Cross River", "Akwa Ibom", "Rivers", "Bayelsa", "Delta"],
     images: [
       {
@@ -113,6 +169,17 @@ const sampleCocktails = [
     name: "Enugu Coal Miner",
     description: "Dark and mysterious cocktail with dark rum, cola, lime, and a hint of ginger. Named after the coal mining heritage.",
     price: 2600,
+    category: "classic",
+    tags: ["dark", "spicy"],
+    ingredients: [
+      { name: "Dark rum", amount: 50, unit: "ml", abv: 40 },
+      { name: "Cola", amount: 120, unit: "ml" },
+      { name: "Lime juice", amount: 15, unit: "ml" },
+      { name: "Ginger", amount: 1, unit: "piece" }
+    ],
+    spiritBase: "rum",
+    abv: 10,
+    servingSize: { amount: 300, unit: "ml" },
     availableStates: ["Enugu", "Anambra", "Ebonyi", "Imo", "Abia"],
     images: [
       {
@@ -131,6 +198,17 @@ const sampleCocktails = [
     name: "Jos Plateau Cooler",
     description: "Light and refreshing mix of white rum, cucumber, lime, and soda water. Perfect for the cool plateau weather.",
     price: 2300,
+    category: "signature",
+    tags: ["refreshing", "light"],
+    ingredients: [
+      { name: "White rum", amount: 45, unit: "ml", abv: 40 },
+      { name: "Cucumber", amount: 3, unit: "piece" },
+      { name: "Lime juice", amount: 20, unit: "ml" },
+      { name: "Soda water", amount: 100, unit: "ml" }
+    ],
+    spiritBase: "rum",
+    abv: 10,
+    servingSize: { amount: 250, unit: "ml" },
     availableStates: ["Plateau", "Bauchi", "Gombe", "Adamawa", "Taraba"],
     images: [
       {
@@ -154,6 +232,17 @@ const sampleCocktails = [
     name: "Ibadan Crown",
     description: "Royal cocktail with premium whiskey, honey, lemon, and a touch of cinnamon. Fit for the crown city.",
     price: 3200,
+    category: "classic",
+    tags: ["strong", "spiced"],
+    ingredients: [
+      { name: "Whiskey", amount: 60, unit: "ml", abv: 40 },
+      { name: "Honey", amount: 15, unit: "ml" },
+      { name: "Lemon juice", amount: 20, unit: "ml" },
+      { name: "Cinnamon", amount: 1, unit: "dash" }
+    ],
+    spiritBase: "whiskey",
+    abv: 22,
+    servingSize: { amount: 120, unit: "ml" },
     availableStates: ["Oyo", "Osun", "Ogun", "Lagos", "Ondo"],
     images: [
       {
@@ -172,6 +261,18 @@ const sampleCocktails = [
     name: "Kaduna Northern Star",
     description: "Elegant cocktail with gin, elderflower, lemon, and tonic water. A star among northern cocktails.",
     price: 2700,
+    category: "classic",
+    tags: ["floral", "refreshing"],
+    ingredients: [
+      { name: "Gin", amount: 50, unit: "ml", abv: 40 },
+      { name: "Elderflower liqueur", amount: 15, unit: "ml", abv: 20 },
+      { name: "Lemon juice", amount: 15, unit: "ml" },
+      { name: "Tonic water", amount: 100, unit: "ml" }
+    ],
+    spiritBase: "gin",
+    abv: 12,
+    allergens: ["sulphites"],
+    servingSize: { amount: 250, unit: "ml" },
     availableStates: ["Kaduna", "Kano", "Katsina", "Jigawa", "Zamfara"],
     images: [
       {
@@ -190,6 +291,17 @@ const sampleCocktails = [
     name: "Port Harcourt Pride",
     description: "Rich cocktail with dark rum, passion fruit, lime, and simple syrup. A proud representation of the oil city.",
     price: 2900,
+    category: "signature",
+    tags: ["fruity", "tropical"],
+    ingredients: [
+      { name: "Dark rum", amount: 50, unit: "ml", abv: 40 },
+      { name: "Passion fruit", amount: 30, unit: "ml" },
+      { name: "Lime juice", amount: 15, unit: "ml" },
+      { name: "Simple syrup", amount: 15, unit: "ml" }
+    ],
+    spiritBase: "rum",
+    abv: 15,
+    servingSize: { amount: 200, unit: "ml" },
     availableStates: ["Rivers", "Bayelsa", "Delta", "Akwa Ibom", "Cross River"],
     images: [
       {
@@ -213,6 +325,18 @@ const sampleCocktails = [
     name: "Abeokuta Rock",
     description: "Strong and bold cocktail with bourbon, orange juice, grenadine, and a cherry. As solid as the famous Olumo Rock.",
     price: 3100,
+    category: "classic",
+    tags: ["strong", "fruity"],
+    ingredients: [
+      { name: "Bourbon", amount: 60, unit: "ml", abv: 45 },
+      { name: "Orange juice", amount: 60, unit: "ml" },
+      { name: "Grenadine", amount: 10, unit: "ml" },
+      { name: "Cherry", amount: 1, unit: "piece" }
+    ],
+    spiritBase: "whiskey",
+    abv: 20,
+    allergens: ["sulphites"],
+    servingSize: { amount: 150, unit: "ml" },
     availableStates: ["Ogun", "Lagos", "Oyo", "Osun", "Ondo"],
     images: [
       {
@@ -231,6 +355,17 @@ const sampleCocktails = [
     name: "Benin Kingdom",
     description: "Traditional cocktail with local gin, palm wine, ginger, and honey. A royal tribute to the ancient kingdom.",
     price: 2500,
+    category: "signature",
+    tags: ["traditional", "spicy"],
+    ingredients: [
+      { name: "Local gin", amount: 40, unit: "ml", abv: 40 },
+      { name: "Palm wine", amount: 100, unit: "ml", abv: 5 },
+      { name: "Ginger", amount: 1, unit: "piece" },
+      { name: "Honey", amount: 15, unit: "ml" }
+    ],
+    spiritBase: "palm_wine",
+    abv: 13,
+    servingSize: { amount: 250, unit: "ml" },
     availableStates: ["Edo", "Delta", "Anambra", "Imo", "Abia"],
     images: [
       {
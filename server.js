@@ -25,7 +25,15 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection with auto-seeding
@@ -123,6 +131,8 @@ app.use((err, req, res, next) => {
 
 // Initialize inventory alert service
 const inventoryAlertService = require('./services/inventoryAlertService');
+const orderExpiryService = require('./services/orderExpiryService');
+const emailOutboxService = require('./services/emailOutboxService');
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -132,6 +142,12 @@ app.listen(PORT, () => {
   // Start periodic inventory checking (every hour)
   inventoryAlertService.startPeriodicCheck(60);
   console.log('📦 Inventory monitoring system started');
+
+  // Expire orders left unpaid past the configured TTL and release their stock
+  orderExpiryService.startPeriodicSweep(parseInt(process.env.ORDER_EXPIRY_SWEEP_MINUTES) || 5);
+
+  // Send queued emails, retrying failures with backoff
+  emailOutboxService.startWorker(parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS) || 15);
 });
 
 module.exports = app;
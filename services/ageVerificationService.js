@@ -0,0 +1,122 @@
+const User = require('../models/User');
+
+/**
+ * Legal drinking age checks for orders containing alcoholic drinks. Account
+ * holders are checked against the date of birth on their profile; guests and
+ * customers without one attest their age with a date of birth at checkout.
+ * The outcome is stored on the order as `ageVerification` for compliance.
+ *
+ * With AGE_ID_CHECK_REQUIRED=true, delivery staff must also confirm the
+ * customer's ID before such an order can be marked as delivered.
+ */
+class AgeVerificationService {
+  get minimumAge() {
+    return Number(process.env.LEGAL_DRINKING_AGE) || 18;
+  }
+
+  get idCheckRequired() {
+    return process.env.AGE_ID_CHECK_REQUIRED === 'true';
+  }
+
+  /**
+   * Age in whole years on `on`
+   */
+  getAge(dateOfBirth, on = new Date()) {
+    const birth = new Date(dateOfBirth);
+    const age = on.getUTCFullYear() - birth.getUTCFullYear();
+    const beforeBirthday = on.getUTCMonth() < birth.getUTCMonth() ||
+      (on.getUTCMonth() === birth.getUTCMonth() && on.getUTCDate() < birth.getUTCDate());
+
+    return beforeBirthday ? age - 1 : age;
+  }
+
+  isOfAge(dateOfBirth, on = new Date()) {
+    return Boolean(dateOfBirth) && this.getAge(dateOfBirth, on) >= this.minimumAge;
+  }
+
+  /**
+   * Whether `cocktail` contains alcohol, from its ABV, then its spirit base,
+   * then its category. Drinks with none of these set fall back to their tax
+   * category, so an unclassified drink is treated as alcoholic.
+   */
+  isAlcoholic(cocktail) {
+    if (typeof cocktail.abv === 'number') {
+      return cocktail.abv > 0;
+    }
+    if (cocktail.spiritBase) {
+      return cocktail.spiritBase !== 'none';
+    }
+    if (cocktail.category === 'mocktail') {
+      return false;
+    }
+    return cocktail.taxCategory !== 'non_alcoholic';
+  }
+
+  containsAlcohol(cocktails) {
+    return cocktails.some(cocktail => this.isAlcoholic(cocktail));
+  }
+
+  /**
+   * Check that the buyer of `cocktails` may buy them. `user` is the signed-in
+   * customer, if any, and `attestation` the `{ confirmed, dateOfBirth }` sent
+   * at checkout. Returns `{ success, ageVerification }` with the record to
+   * store on the order, or `{ success: false, status, error, message }`.
+   */
+  verify(cocktails, { user, attestation = {}, req }) {
+    if (!this.containsAlcohol(cocktails)) {
+      return { success: true, ageVerification: { containsAlcohol: false } };
+    }
+
+    const fromAccount = Boolean(user && user.dateOfBirth);
+    const dateOfBirth = fromAccount ? user.dateOfBirth : attestation.dateOfBirth;
+
+    if (!fromAccount && !(attestation.confirmed === true && dateOfBirth)) {
+      return {
+        success: false,
+        status: 400,
+        error: 'Age verification required',
+        message: `Your order contains alcohol. Please confirm you are ${this.minimumAge} or older and give your date of birth`
+      };
+    }
+
+    if (!this.isOfAge(dateOfBirth)) {
+      return {
+        success: false,
+        status: 403,
+        error: 'Under legal drinking age',
+        message: `You must be ${this.minimumAge} or older to order alcoholic drinks`
+      };
+    }
+
+    return {
+      success: true,
+      ageVerification: {
+        containsAlcohol: true,
+        method: fromAccount ? 'account' : 'attestation',
+        dateOfBirth,
+        minimumAge: this.minimumAge,
+        verifiedAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        idCheck: { isRequired: this.idCheckRequired }
+      }
+    };
+  }
+
+  /**
+   * Keep a date of birth attested at checkout on the customer's profile, so
+   * their later orders are checked against it
+   */
+  async saveAttestedDateOfBirth(user, ageVerification) {
+    if (ageVerification.method !== 'attestation' || user.dateOfBirth) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: user._id, dateOfBirth: null },
+      { $set: { dateOfBirth: ageVerification.dateOfBirth } }
+    );
+  }
+}
+
+module.exports = new AgeVerificationService();
@@ -0,0 +1,265 @@
+const Cocktail = require('../models/Cocktail');
+const priceRuleService = require('./priceRuleService');
+
+const SORTS = {
+  relevance: { score: -1, createdAt: -1 },
+  price_asc: { price: 1, createdAt: -1 },
+  price_desc: { price: -1, createdAt: -1 },
+  popularity: { salesCount: -1, createdAt: -1 },
+  newest: { createdAt: -1 }
+};
+
+// Facet values returned per field, most common first
+const FACET_LIMIT = 20;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept repeated (?tags=a&tags=b) and comma-separated (?tags=a,b) values
+const toList = value => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const countBy = field => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+// Price override of `state` for the cocktail (`variantId` null) or a variant
+const statePriceFor = (state, variantId) => ({
+  $arrayElemAt: [{
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ['$statePrices', []] },
+          as: 'override',
+          cond: {
+            $and: [
+              { $eq: ['$$override.state', state] },
+              { $eq: [{ $ifNull: ['$$override.variant', null] }, variantId] }
+            ]
+          }
+        }
+      },
+      as: 'override',
+      in: '$$override.price'
+    }
+  }, 0]
+});
+
+/**
+ * Searches the active catalog of a state with MongoDB text search, filters and
+ * facet counts for a storefront filter sidebar.
+ *
+ * Categories and spirit bases match any of the values given; tags and
+ * ingredients must all be present, and excluded allergens must all be
+ * absent. Each facet is counted with every filter except its own, so the
+ * sidebar shows what selecting another value would return. Prices are those
+ * of the state after the scheduled price rules running now, so price filters,
+ * sorting and facets match what customers pay; the state price before rules
+ * is returned in `originalPrice` and the list price in `listPrice`.
+ */
+class CatalogSearchService {
+  getSorts() {
+    return Object.keys(SORTS);
+  }
+
+  /**
+   * Filters as `$match` conditions keyed by facet, so each facet can leave
+   * its own out
+   */
+  buildFilters({ category, spiritBase, tags, ingredients, excludeAllergens, minPrice, maxPrice }) {
+    const filters = {};
+
+    const categories = toList(category).map(value => value.toLowerCase());
+    if (categories.length > 0) {
+      filters.category = { category: { $in: categories } };
+    }
+
+    const spiritBases = toList(spiritBase).map(value => value.toLowerCase());
+    if (spiritBases.length > 0) {
+      filters.spiritBase = { spiritBase: { $in: spiritBases } };
+    }
+
+    const tagList = toList(tags).map(value => value.toLowerCase());
+    if (tagList.length > 0) {
+      filters.tags = { tags: { $all: tagList } };
+    }
+
+    // Ingredient names keep their capitalisation, so match them case-insensitively
+    const ingredientList = toList(ingredients);
+    if (ingredientList.length > 0) {
+      filters.ingredients = {
+        'ingredients.name': { $all: ingredientList.map(value => new RegExp(`^${escapeRegExp(value)}$`, 'i')) }
+      };
+    }
+
+    const allergens = toList(excludeAllergens).map(value => value.toLowerCase());
+    if (allergens.length > 0) {
+      filters.allergens = { allergens: { $nin: allergens } };
+    }
+
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const price = {};
+      if (minPrice !== undefined) price.$gte = Number(minPrice);
+      if (maxPrice !== undefined) price.$lte = Number(maxPrice);
+      filters.price = { price };
+    }
+
+    return filters;
+  }
+
+  /**
+   * Combine every filter except `exclude`
+   */
+  matchExcept(filters, exclude) {
+    const conditions = Object.entries(filters)
+      .filter(([facet]) => facet !== exclude)
+      .map(([, condition]) => condition);
+
+    return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+  }
+
+  /**
+   * Returns `{ cocktails, total, sort, facets }`. `facets` holds category,
+   * spirit base, tag and ingredient counts and the price range of the
+   * matching cocktails.
+   */
+  async search({ state, q, sort, page = 1, limit = 20, ...filterParams }) {
+    const text = q && q.trim();
+    // Relevance only applies to text searches
+    const sortKey = SORTS[sort] && (sort !== 'relevance' || text) ? sort : (text ? 'relevance' : 'newest');
+    const filters = this.buildFilters(filterParams);
+    const matchAll = this.matchExcept(filters);
+    const rules = await priceRuleService.getActiveRules();
+
+    // A $text match has to be the first stage of the pipeline
+    const pipeline = [{
+      $match: {
+        availableStates: state,
+        isActive: true,
+        ...(text ? { $text: { $search: text } } : {})
+      }
+    }];
+    if (text) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    pipeline.push({
+      $addFields: {
+        listPrice: '$price',
+        originalPrice: { $ifNull: [statePriceFor(state, null), '$price'] },
+        variants: {
+          $map: {
+            input: { $ifNull: ['$variants', []] },
+            as: 'variant',
+            in: {
+              $mergeObjects: ['$$variant', {
+                listPrice: '$$variant.price',
+                originalPrice: { $ifNull: [statePriceFor(state, '$$variant._id'), '$$variant.price'] }
+              }]
+            }
+          }
+        }
+      }
+    }, {
+      // Scheduled price rules, before any price filter or sort sees the price
+      $addFields: {
+        price: priceRuleService.priceExpression(rules, state, '$originalPrice'),
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'variant',
+            in: {
+              $mergeObjects: ['$$variant', {
+                price: priceRuleService.priceExpression(rules, state, '$$variant.originalPrice', '$originalPrice')
+              }]
+            }
+          }
+        }
+      }
+    }, { $project: { statePrices: 0 } });
+
+    pipeline.push({
+      $facet: {
+        cocktails: [
+          matchAll,
+          { $sort: SORTS[sortKey] },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [matchAll, { $count: 'count' }],
+        categories: [this.matchExcept(filters, 'category'), ...countBy('$category')],
+        spiritBases: [this.matchExcept(filters, 'spiritBase'), ...countBy('$spiritBase')],
+        tags: [this.matchExcept(filters, 'tags'), { $unwind: '$tags' }, ...countBy('$tags')],
+        ingredients: [
+          this.matchExcept(filters, 'ingredients'),
+          { $unwind: '$ingredients' },
+          ...countBy({ $toLower: '$ingredients.name' })
+        ],
+        price: [
+          this.matchExcept(filters, 'price'),
+          { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } },
+          { $project: { _id: 0, min: 1, max: 1 } }
+        ]
+      }
+    });
+
+    const [result] = await Cocktail.aggregate(pipeline);
+
+    return {
+      cocktails: result.cocktails.map(cocktail => {
+        const { rule } = priceRuleService.apply(rules, { cocktail, state, price: cocktail.originalPrice });
+        return { ...cocktail, priceRule: rule ? { _id: rule._id, name: rule.name } : null };
+      }),
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      sort: sortKey,
+      facets: {
+        categories: result.categories,
+        spiritBases: result.spiritBases,
+        tags: result.tags,
+        ingredients: result.ingredients,
+        price: result.price[0] || { min: null, max: null }
+      }
+    };
+  }
+
+  /**
+   * Every category with the number of active cocktails in it, optionally
+   * only counting those available in `state`
+   */
+  async getCategories({ state } = {}) {
+    const match = { isActive: true, ...(state ? { availableStates: state } : {}) };
+    const counts = await Cocktail.aggregate([
+      { $match: match },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const countByCategory = new Map(counts.map(({ _id, count }) => [_id, count]));
+    return Cocktail.CATEGORIES.map(category => ({ category, count: countByCategory.get(category) || 0 }));
+  }
+
+  /**
+   * Add delivered quantities to each cocktail's sales count
+   */
+  async recordSales(order) {
+    const quantities = new Map();
+    for (const item of order.items) {
+      const cocktailId = (item.cocktail._id || item.cocktail).toString();
+      quantities.set(cocktailId, (quantities.get(cocktailId) || 0) + item.quantity);
+    }
+
+    if (quantities.size === 0) {
+      return;
+    }
+
+    await Cocktail.bulkWrite([...quantities].map(([cocktailId, quantity]) => ({
+      updateOne: { filter: { _id: cocktailId }, update: { $inc: { salesCount: quantity } } }
+    })));
+  }
+}
+
+module.exports = new CatalogSearchService();
@@ -0,0 +1,118 @@
+const DeliveryZone = require('../models/DeliveryZone');
+
+class DeliveryPricingService {
+  /**
+   * Fee charged when no zone covers the delivery address
+   */
+  getDefaultFee() {
+    const fee = parseFloat(process.env.DEFAULT_DELIVERY_FEE);
+    return Number.isFinite(fee) && fee >= 0 ? fee : 0;
+  }
+
+  normalize(value) {
+    return (value || '').trim().toLowerCase();
+  }
+
+  /**
+   * Find the most specific active zone for an address: an LGA match wins over
+   * a city match, which wins over a zone covering the whole state.
+   */
+  async findZone({ state, city, lga }) {
+    const zones = await DeliveryZone.find({ state, isActive: true }).sort({ createdAt: 1 });
+
+    const normalizedLga = this.normalize(lga);
+    const normalizedCity = this.normalize(city);
+
+    return zones.find(zone => normalizedLga && zone.lgas.includes(normalizedLga)) ||
+      zones.find(zone => normalizedCity && zone.cities.includes(normalizedCity)) ||
+      zones.find(zone => zone.lgas.length === 0 && zone.cities.length === 0) ||
+      null;
+  }
+
+  /**
+   * Explain why a zone cannot be priced, or null when it is usable
+   */
+  getConfigurationError(zone) {
+    if (zone.pricing !== 'flat' && zone.tiers.length === 0) {
+      return `Zones priced by ${zone.pricing} need at least one fee tier`;
+    }
+    return null;
+  }
+
+  /**
+   * Number of items or total kg the zone's tiers are measured against
+   */
+  measure(zone, items) {
+    if (zone.pricing === 'weight') {
+      const kg = items.reduce((total, item) => total + (item.weight || 0) * item.quantity, 0);
+      return Math.round(kg * 1000) / 1000;
+    }
+    return items.reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Base fee for a zone before thresholds and surcharges. Orders above the
+   * largest tier pay the largest tier's fee.
+   */
+  getBaseFee(zone, units) {
+    if (zone.pricing === 'flat') {
+      return zone.baseFee;
+    }
+
+    const tiers = [...zone.tiers].sort((a, b) => a.upTo - b.upTo);
+    const tier = tiers.find(candidate => units <= candidate.upTo) || tiers[tiers.length - 1];
+    return tier.fee;
+  }
+
+  /**
+   * Price delivery for an order. `items` are `{ quantity, weight }` with the
+   * per-unit weight in kg; `subtotal` is in NGN.
+   *
+   * Returns `{ deliveryFee, breakdown }`, where the breakdown is stored on the
+   * order as `feeBreakdown`.
+   */
+  async quote({ state, city, lga, items, subtotal }) {
+    const zone = await this.findZone({ state, city, lga });
+
+    if (!zone) {
+      const deliveryFee = this.getDefaultFee();
+      return {
+        deliveryFee,
+        breakdown: {
+          zone: null,
+          zoneName: null,
+          pricing: 'flat',
+          units: null,
+          baseFee: deliveryFee,
+          remoteSurcharge: 0,
+          freeDeliveryApplied: false,
+          deliveryFee
+        }
+      };
+    }
+
+    const units = this.measure(zone, items);
+    const freeDeliveryApplied = zone.freeDeliveryThreshold !== undefined &&
+      zone.freeDeliveryThreshold !== null &&
+      subtotal >= zone.freeDeliveryThreshold;
+    const baseFee = freeDeliveryApplied ? 0 : this.getBaseFee(zone, units);
+    const remoteSurcharge = zone.remoteSurcharge || 0;
+    const deliveryFee = baseFee + remoteSurcharge;
+
+    return {
+      deliveryFee,
+      breakdown: {
+        zone: zone._id,
+        zoneName: zone.name,
+        pricing: zone.pricing,
+        units: zone.pricing === 'flat' ? null : units,
+        baseFee,
+        remoteSurcharge,
+        freeDeliveryApplied,
+        deliveryFee
+      }
+    };
+  }
+}
+
+module.exports = new DeliveryPricingService();
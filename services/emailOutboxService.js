@@ -0,0 +1,244 @@
+const nodemailer = require('nodemailer');
+const OutboxEmail = require('../models/OutboxEmail');
+
+// Sends stuck in `sending` this long are assumed lost with a crashed worker
+const STALE_LOCK_MINUTES = 10;
+
+class EmailOutboxService {
+  constructor() {
+    this.isProcessing = false;
+    this.rerunRequested = false;
+    this.timer = null;
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+    this.retryBaseSeconds = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30;
+
+    this.transporter = this.createTransport();
+
+    // Verify transporter configuration
+    this.verifyConnection();
+  }
+
+  /**
+   * Gmail SMTP by default. Point SMTP_HOST and SMTP_PORT at a local stand-in
+   * such as MailHog to test without sending real mail; credentials are only
+   * used when GMAIL_USER is set.
+   */
+  createTransport() {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'smtp.gmail.com',
+      port: process.env.SMTP_PORT || 587,
+      secure: process.env.SMTP_SECURE === 'true' || false,
+      auth: process.env.GMAIL_USER ? {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_APP_PASSWORD
+      } : undefined
+    });
+  }
+
+  async verifyConnection() {
+    try {
+      await this.transporter.verify();
+      console.log('✅ SMTP connection verified successfully');
+    } catch (error) {
+      console.error('❌ SMTP connection failed:', error.message);
+      console.log('Please check your SMTP settings and Gmail credentials in the .env file');
+    }
+  }
+
+  /**
+   * Store an email for the worker to send. `type` labels the email in the
+   * admin listing; emails with `expiresAt` are dead-lettered rather than sent
+   * late.
+   */
+  async enqueue(mailOptions, { type, expiresAt } = {}) {
+    const email = await OutboxEmail.create({
+      type,
+      to: mailOptions.to,
+      subject: mailOptions.subject,
+      mail: {
+        from: mailOptions.from,
+        html: mailOptions.html,
+        text: mailOptions.text,
+        headers: mailOptions.headers,
+        attachments: mailOptions.attachments || []
+      },
+      maxAttempts: this.maxAttempts,
+      expiresAt
+    });
+
+    // Send straight away when the worker is running instead of waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return email;
+  }
+
+  /**
+   * Delay before the next attempt: the base delay doubled for every failure
+   */
+  getRetryDelay(attempts) {
+    return this.retryBaseSeconds * 1000 * Math.pow(2, attempts - 1);
+  }
+
+  /**
+   * Claim the next due email. The flip to `sending` is atomic so two workers
+   * never send the same email.
+   */
+  async claimNext() {
+    return OutboxEmail.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { status: 'sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+  }
+
+  /**
+   * Send a claimed email and record the outcome
+   */
+  async send(email) {
+    if (email.expiresAt && email.expiresAt <= new Date()) {
+      await this.recordFailure(email, 'Expired before it could be sent', { deadLetter: true });
+      return email;
+    }
+
+    try {
+      const result = await this.transporter.sendMail({
+        from: email.mail.from,
+        to: email.to,
+        subject: email.subject,
+        html: email.mail.html,
+        text: email.mail.text,
+        headers: email.mail.headers,
+        attachments: email.mail.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+      });
+
+      email.status = 'sent';
+      email.sentAt = new Date();
+      email.messageId = result.messageId;
+      email.lockedAt = undefined;
+      await email.save();
+
+      console.log(`✅ ${email.type} email sent to ${email.to}:`, result.messageId);
+    } catch (error) {
+      await this.recordFailure(email, error.message);
+    }
+
+    return email;
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the email once it is out of attempts
+   */
+  async recordFailure(email, reason, { deadLetter = false } = {}) {
+    email.lastError = reason;
+    email.lockedAt = undefined;
+
+    if (deadLetter || email.attempts >= email.maxAttempts) {
+      email.status = 'dead';
+      console.error(`❌ ${email.type} email to ${email.to} dead-lettered after ${email.attempts} attempt(s): ${reason}`);
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(email.attempts));
+      console.warn(`⚠️  ${email.type} email to ${email.to} failed (attempt ${email.attempts}), retrying at ${email.nextAttemptAt.toISOString()}: ${reason}`);
+    }
+
+    await email.save();
+  }
+
+  /**
+   * Return emails left in `sending` by a worker that stopped mid-send
+   */
+  async releaseStaleLocks() {
+    const cutoff = new Date(Date.now() - STALE_LOCK_MINUTES * 60 * 1000);
+
+    return OutboxEmail.updateMany(
+      { status: 'sending', lockedAt: { $lt: cutoff } },
+      { $set: { status: 'pending', nextAttemptAt: new Date() }, $unset: { lockedAt: 1 } }
+    );
+  }
+
+  /**
+   * Send every email that is due
+   */
+  async processDue() {
+    if (this.isProcessing) {
+      // Pick up emails queued during this run once it finishes
+      this.rerunRequested = true;
+      return { sent: 0, failed: 0 };
+    }
+
+    this.isProcessing = true;
+    this.rerunRequested = false;
+
+    try {
+      await this.releaseStaleLocks();
+
+      let sent = 0;
+      let failed = 0;
+      let email;
+      while ((email = await this.claimNext())) {
+        await this.send(email);
+        if (email.status === 'sent') {
+          sent++;
+        } else {
+          failed++;
+        }
+      }
+
+      return { sent, failed };
+    } catch (error) {
+      console.error('❌ Error processing email outbox:', error);
+      return { sent: 0, failed: 0, error: error.message };
+    } finally {
+      this.isProcessing = false;
+
+      if (this.rerunRequested) {
+        setImmediate(() => this.processDue());
+      }
+    }
+  }
+
+  /**
+   * Queue a dead-lettered email again with a fresh set of attempts. Returns
+   * the email without its body, or null when the email is not dead.
+   */
+  async retry(emailId, { retriedBy } = {}) {
+    const email = await OutboxEmail.findOneAndUpdate(
+      { _id: emailId, status: 'dead' },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), retriedBy },
+        $unset: { lastError: 1 }
+      },
+      { new: true, projection: { mail: 0 } }
+    );
+
+    if (email && this.timer) {
+      setImmediate(() => this.processDue());
+    }
+
+    return email;
+  }
+
+  /**
+   * Start the in-process outbox worker
+   */
+  startWorker(intervalSeconds = 15) {
+    console.log(`📨 Email outbox worker checking every ${intervalSeconds} seconds`);
+
+    // Run initial pass
+    this.processDue();
+
+    // Set up periodic passes
+    this.timer = setInterval(() => {
+      this.processDue();
+    }, intervalSeconds * 1000);
+  }
+
+  stopWorker() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new EmailOutboxService();
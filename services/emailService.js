@@ -1,30 +1,169 @@
-const nodemailer = require('nodemailer');
 const speakeasy = require('speakeasy');
+const invoiceService = require('./invoiceService');
+const emailOutboxService = require('./emailOutboxService');
+const emailTemplateService = require('./emailTemplateService');
+const notificationPreferenceService = require('./notificationPreferenceService');
 
+// Templates only see plain objects, not Mongoose documents
+const toPlain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// Header colours and sender name for the admin alerts
+const TEMPLATE_OPTIONS = {
+  payment_review_alert: { theme: 'danger', sender: 'Payment Alert' },
+  critical_stock_alert: { theme: 'danger', sender: 'Inventory Alert' },
+  low_stock_alert: { theme: 'warning', sender: 'Inventory Alert' },
+  inventory_report: { sender: 'Inventory Report' }
+};
+
+// The preference each customer email falls under. OTPs and admin alerts are
+// operational and always sent.
+const TEMPLATE_EVENTS = {
+  order_confirmation: 'orderUpdates',
+  order_status_update: 'orderUpdates',
+  order_cancellation: 'orderUpdates'
+};
+
+// Used to preview templates when no real order is given
+const SAMPLE_ORDER = {
+  orderNumber: 'ORD-2026-000042-7',
+  customer: {
+    name: 'Adaeze Okafor',
+    phone: '+2348012345678',
+    email: 'adaeze@example.com',
+    address: '12 Admiralty Way, Lekki Phase 1',
+    state: 'Lagos'
+  },
+  items: [
+    { cocktail: { name: 'Chapman' }, quantity: 2, price: 3500 },
+    {
+      cocktail: { name: 'Zobo Mojito' },
+      variantName: 'Double',
+      modifiers: [{ groupName: 'Ice', name: 'Extra ice', price: 0 }],
+      quantity: 1,
+      price: 4500
+    }
+  ],
+  subtotal: 11500,
+  deliveryFee: 1500,
+  totalAmount: 13862.5,
+  paymentStatus: 'paid',
+  fulfillmentStatus: 'preparing'
+};
+
+const SAMPLE_INVENTORY_ITEM = {
+  cocktail: { name: 'Chapman' },
+  currentStock: 4,
+  unit: 'bottles',
+  minimumStock: 10,
+  maximumStock: 100,
+  costPerUnit: 1200,
+  alertSettings: { alertThreshold: 5, frequency: 'daily' },
+  supplier: { name: 'Lagos Beverages Ltd', contact: { phone: '+2348098765432', email: 'orders@lagosbeverages.example.com' } }
+};
+
+// Emails are rendered from templates/emails and queued in the outbox; the
+// outbox worker sends them and retries failures, see
+// services/emailOutboxService.js
 class EmailService {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: process.env.SMTP_PORT || 587,
-      secure: process.env.SMTP_SECURE === 'true' || false,
-      auth: {
-        user: process.env.GMAIL_USER,
-        pass: process.env.GMAIL_APP_PASSWORD
-      }
-    });
+  getSender(label) {
+    return {
+      name: label ? `Cocktail Ordering System - ${label}` : 'Cocktail Ordering System',
+      address: process.env.EMAIL_FROM || process.env.GMAIL_USER
+    };
+  }
 
-    // Verify transporter configuration
-    this.verifyConnection();
+  /**
+   * Render a template into mail options for one recipient
+   */
+  compose(template, to, context, { locale } = {}) {
+    const { theme, sender } = TEMPLATE_OPTIONS[template] || {};
+    const { subject, html, text } = emailTemplateService.render(template, context, { locale, theme });
+    return { from: this.getSender(sender), to, subject, html, text };
   }
 
-  async verifyConnection() {
-    try {
-      await this.transporter.verify();
-      console.log('✅ Gmail SMTP connection verified successfully');
-    } catch (error) {
-      console.error('❌ Gmail SMTP connection failed:', error.message);
-      console.log('Please check your Gmail credentials in the .env file');
+  /**
+   * Render and queue a template for one recipient, unless they have turned
+   * off that kind of email. Account holders get a one-click unsubscribe link
+   * in the footer and List-Unsubscribe headers.
+   */
+  async deliver(template, to, context, { locale, attachments, expiresAt } = {}) {
+    const event = TEMPLATE_EVENTS[template];
+    let unsubscribeUrl;
+
+    if (event) {
+      const { allowed, user } = await notificationPreferenceService.check(to, event, 'email');
+      if (!allowed) {
+        console.log(`🔕 ${template} email to ${to} skipped: recipient opted out of ${event}`);
+        return { success: false, skipped: true, error: `Recipient has opted out of ${event} emails` };
+      }
+      if (user) {
+        unsubscribeUrl = notificationPreferenceService.getUnsubscribeUrl(user._id, event);
+      }
     }
+
+    const mailOptions = this.compose(template, to, { ...context, unsubscribeUrl }, { locale });
+    if (attachments) {
+      mailOptions.attachments = attachments;
+    }
+    if (unsubscribeUrl) {
+      mailOptions.headers = {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      };
+    }
+
+    return this.queue(mailOptions, template, { expiresAt });
+  }
+
+  /**
+   * Render a template for the admin preview. Order emails use `order` when
+   * given, otherwise a sample order; other emails use sample data.
+   */
+  preview(template, { order, locale } = {}) {
+    const sampleOrder = order ? toPlain(order) : SAMPLE_ORDER;
+    const status = sampleOrder.fulfillmentStatus || 'preparing';
+
+    const contexts = {
+      otp: { otp: '482913', expiresInMinutes: 10 },
+      order_confirmation: { order: sampleOrder, invoiceAttached: true },
+      order_status_update: {
+        order: sampleOrder,
+        statusLabelKey: `order_status_update.statuses.${status}`,
+        statusMessageKey: `order_status_update.messages.${status}`,
+        adminNote: 'Your rider will call when they arrive'
+      },
+      order_cancellation: { order: sampleOrder, reason: 'Requested by customer', refundAmount: sampleOrder.totalAmount },
+      payment_review_alert: {
+        order: sampleOrder,
+        payment: { paystackReference: 'PAY_1760000000000_sample' },
+        discrepancies: [`amount: expected ₦${sampleOrder.totalAmount}, got ₦${sampleOrder.totalAmount - 500}`]
+      },
+      critical_stock_alert: { item: SAMPLE_INVENTORY_ITEM },
+      low_stock_alert: { item: SAMPLE_INVENTORY_ITEM },
+      inventory_report: {
+        report: {
+          timestamp: new Date(),
+          summary: { totalItems: 24, lowStock: 1, criticalStock: 1, outOfStock: 0 },
+          criticalStock: [SAMPLE_INVENTORY_ITEM],
+          lowStock: [SAMPLE_INVENTORY_ITEM]
+        }
+      }
+    };
+
+    const { theme } = TEMPLATE_OPTIONS[template] || {};
+    return emailTemplateService.render(template, contexts[template] || { order: sampleOrder }, {
+      locale: locale || sampleOrder.customer.locale,
+      theme
+    });
+  }
+
+  /**
+   * Queue an email for the outbox worker
+   */
+  async queue(mailOptions, type, { expiresAt } = {}) {
+    const email = await emailOutboxService.enqueue(mailOptions, { type, expiresAt });
+    console.log(`📨 ${type} email queued for ${mailOptions.to}:`, email._id.toString());
+    return { success: true, queued: true, outboxId: email._id };
   }
 
   /**
@@ -65,129 +204,46 @@ class EmailService {
   /**
    * Send OTP email for email validation
    */
-  async sendOTPEmail(email, otpToken) {
+  async sendOTPEmail(email, otpToken, { locale } = {}) {
     try {
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System',
-          address: process.env.GMAIL_USER
-        },
-        to: email,
-        subject: 'Email Verification - Cocktail Ordering System',
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">🍹 Cocktail Ordering System</h1>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <h2 style="color: #333; margin-bottom: 20px;">Email Verification</h2>
-              
-              <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Thank you for using our cocktail ordering system! To complete your email verification, 
-                please use the following One-Time Password (OTP):
-              </p>
-              
-              <div style="background-color: #fff; border: 2px solid #667eea; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0;">
-                <h1 style="color: #667eea; font-size: 32px; margin: 0; letter-spacing: 4px; font-family: 'Courier New', monospace;">
-                  ${otpToken}
-                </h1>
-              </div>
-              
-              <p style="color: #666; font-size: 14px;">
-                <strong>Important:</strong>
-              </p>
-              <ul style="color: #666; font-size: 14px;">
-                <li>This OTP will expire in 10 minutes</li>
-                <li>Do not share this code with anyone</li>
-                <li>If you didn't request this verification, please ignore this email</li>
-              </ul>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated message from Cocktail Ordering System.<br>
-                  If you have any questions, please contact our support team.
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ OTP email sent successfully:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      // An OTP is useless once it expires, so it is never sent late
+      return await this.deliver('otp', email, { otp: otpToken, expiresInMinutes: 10 }, {
+        locale,
+        expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+      });
     } catch (error) {
-      console.error('❌ Failed to send OTP email:', error);
+      console.error('❌ Failed to queue OTP email:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Send order confirmation email
+   * Send order confirmation email with the PDF invoice attached. Orders
+   * without a customer email are skipped.
    */
   async sendOrderConfirmationEmail(order) {
     try {
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System',
-          address: process.env.GMAIL_USER
-        },
-        to: order.customer.email || 'customer@example.com', // You might want to add email to customer model
-        subject: `Order Confirmation - ${order.orderNumber}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">🍹 Order Confirmed!</h1>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <h2 style="color: #333; margin-bottom: 20px;">Thank you for your order!</h2>
-              
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                <h3 style="color: #667eea; margin-top: 0;">Order Details</h3>
-                <p><strong>Order Number:</strong> ${order.orderNumber}</p>
-                <p><strong>Customer:</strong> ${order.customer.name}</p>
-                <p><strong>Phone:</strong> ${order.customer.phone}</p>
-                <p><strong>Address:</strong> ${order.customer.address}, ${order.customer.state}</p>
-                <p><strong>Total Amount:</strong> ₦${order.totalAmount}</p>
-                <p><strong>Status:</strong> ${order.fulfillmentStatus}</p>
-                <p><strong>Payment Status:</strong> ${order.paymentStatus}</p>
-              </div>
-              
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                <h3 style="color: #667eea; margin-top: 0;">Order Items</h3>
-                ${order.items.map(item => `
-                  <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
-                    <p style="margin: 0;"><strong>${item.cocktail.name}</strong> × ${item.quantity}</p>
-                    <p style="margin: 0; color: #666;">₦${item.price} each</p>
-                  </div>
-                `).join('')}
-              </div>
-              
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.BASE_URL}/orders/${order.orderNumber}" 
-                   style="background-color: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  Track Your Order
-                </a>
-              </div>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated message from Cocktail Ordering System.<br>
-                  If you have any questions, please contact our support team.
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
+      if (!order.customer.email) {
+        return { success: false, error: 'Order has no customer email' };
+      }
+
+      await order.populate('items.cocktail', 'name');
+
+      // The confirmation still goes out if the invoice cannot be rendered
+      const attachments = [];
+      try {
+        const invoice = await invoiceService.generate(order);
+        attachments.push({ filename: invoice.filename, content: invoice.buffer, contentType: 'application/pdf' });
+      } catch (error) {
+        console.error(`Failed to attach invoice for order ${order.orderNumber}:`, error);
+      }
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Order confirmation email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      return await this.deliver('order_confirmation', order.customer.email, {
+        order: toPlain(order),
+        invoiceAttached: attachments.length > 0
+      }, { locale: order.customer.locale, attachments });
     } catch (error) {
-      console.error('❌ Failed to send order confirmation email:', error);
+      console.error('❌ Failed to queue order confirmation email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -197,60 +253,55 @@ class EmailService {
    */
   async sendOrderStatusUpdateEmail(order, newStatus, adminNote = '') {
     try {
-      const statusMessages = {
-        'new': 'Your order has been received and is being processed',
-        'preparing': 'Your order is being prepared and will be ready soon',
-        'delivered': 'Your order has been delivered successfully',
-        'cancelled': 'Your order has been cancelled'
-      };
+      if (!order.customer.email) {
+        return { success: false, error: 'Order has no customer email' };
+      }
 
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System',
-          address: process.env.GMAIL_USER
-        },
-        to: order.customer.email || 'customer@example.com',
-        subject: `Order Update - ${order.orderNumber}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">📦 Order Update</h1>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <h2 style="color: #333; margin-bottom: 20px;">Order Status Update</h2>
-              
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                <h3 style="color: #667eea; margin-top: 0;">Order: ${order.orderNumber}</h3>
-                <p><strong>Customer:</strong> ${order.customer.name}</p>
-                <p><strong>New Status:</strong> <span style="color: #667eea; font-weight: bold;">${newStatus.toUpperCase()}</span></p>
-                <p><strong>Update:</strong> ${statusMessages[newStatus] || 'Your order status has been updated'}</p>
-                ${adminNote ? `<p><strong>Note:</strong> ${adminNote}</p>` : ''}
-              </div>
-              
-              <div style="text-align: center; margin-top: 30px;">
-                <a href="${process.env.BASE_URL}/orders/${order.orderNumber}" 
-                   style="background-color: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
-                  Track Your Order
-                </a>
-              </div>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated message from Cocktail Ordering System.<br>
-                  If you have any questions, please contact our support team.
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
+      return await this.deliver('order_status_update', order.customer.email, {
+        order: toPlain(order),
+        statusLabelKey: `order_status_update.statuses.${newStatus}`,
+        statusMessageKey: `order_status_update.messages.${newStatus}`,
+        adminNote
+      }, { locale: order.customer.locale });
+    } catch (error) {
+      console.error('❌ Failed to queue order status update email:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Order status update email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
+  /**
+   * Send order cancellation email, including any refund that was issued
+   */
+  async sendOrderCancellationEmail(order, { reason = '', refundAmount = 0, email } = {}) {
+    try {
+      const to = email || order.customer.email;
+      if (!to) {
+        return { success: false, error: 'Order has no customer email' };
+      }
+
+      return await this.deliver('order_cancellation', to, {
+        order: toPlain(order),
+        reason,
+        refundAmount
+      }, { locale: order.customer.locale });
     } catch (error) {
-      console.error('❌ Failed to send order status update email:', error);
+      console.error('❌ Failed to queue order cancellation email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send payment review alert email when a charge does not match its order
+   */
+  async sendPaymentReviewAlert(payment, order, discrepancies, adminEmail) {
+    try {
+      return await this.deliver('payment_review_alert', adminEmail, {
+        payment: toPlain(payment),
+        order: toPlain(order),
+        discrepancies
+      });
+    } catch (error) {
+      console.error('❌ Failed to queue payment review alert email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -260,67 +311,11 @@ class EmailService {
    */
   async sendCriticalStockAlert(inventoryItem, adminEmail) {
     try {
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System - Inventory Alert',
-          address: process.env.GMAIL_USER
-        },
-        to: adminEmail,
-        subject: `🚨 CRITICAL STOCK ALERT - ${inventoryItem.cocktail.name}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #ff6b6b 0%, #ee5a24 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">🚨 CRITICAL STOCK ALERT</h1>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <div style="background-color: #fff; border-left: 5px solid #ff6b6b; padding: 20px; margin-bottom: 20px;">
-                <h2 style="color: #ff6b6b; margin-top: 0;">${inventoryItem.cocktail.name}</h2>
-                <p style="color: #333; font-size: 18px; margin: 10px 0;">
-                  <strong>Current Stock:</strong> <span style="color: #ff6b6b; font-size: 24px;">${inventoryItem.currentStock} ${inventoryItem.unit}</span>
-                </p>
-                <p style="color: #666;">
-                  <strong>Alert Threshold:</strong> ${inventoryItem.alertSettings.alertThreshold} ${inventoryItem.unit}<br>
-                  <strong>Minimum Stock:</strong> ${inventoryItem.minimumStock} ${inventoryItem.unit}<br>
-                  <strong>Maximum Stock:</strong> ${inventoryItem.maximumStock} ${inventoryItem.unit}
-                </p>
-              </div>
-              
-              <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin-bottom: 20px;">
-                <h3 style="color: #856404; margin-top: 0;">⚠️ Immediate Action Required</h3>
-                <p style="color: #856404; margin: 0;">
-                  This item has reached critical stock levels and may become unavailable for orders soon. 
-                  Please restock immediately to avoid service disruption.
-                </p>
-              </div>
-              
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px;">
-                <h3 style="color: #333; margin-top: 0;">Restock Information</h3>
-                ${inventoryItem.supplier.name ? `
-                  <p><strong>Supplier:</strong> ${inventoryItem.supplier.name}</p>
-                  ${inventoryItem.supplier.contact.phone ? `<p><strong>Phone:</strong> ${inventoryItem.supplier.contact.phone}</p>` : ''}
-                  ${inventoryItem.supplier.contact.email ? `<p><strong>Email:</strong> ${inventoryItem.supplier.contact.email}</p>` : ''}
-                ` : '<p style="color: #666;">No supplier information available</p>'}
-                <p><strong>Cost per Unit:</strong> ₦${inventoryItem.costPerUnit}</p>
-                <p><strong>Recommended Restock:</strong> ${inventoryItem.maximumStock - inventoryItem.currentStock} ${inventoryItem.unit}</p>
-              </div>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated alert from Cocktail Ordering System.<br>
-                  Alert frequency: ${inventoryItem.alertSettings.frequency}
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Critical stock alert email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      return await this.deliver('critical_stock_alert', adminEmail, {
+        item: toPlain(inventoryItem)
+      });
     } catch (error) {
-      console.error('❌ Failed to send critical stock alert email:', error);
+      console.error('❌ Failed to queue critical stock alert email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -330,65 +325,11 @@ class EmailService {
    */
   async sendLowStockAlert(inventoryItem, adminEmail) {
     try {
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System - Inventory Alert',
-          address: process.env.GMAIL_USER
-        },
-        to: adminEmail,
-        subject: `⚠️ Low Stock Alert - ${inventoryItem.cocktail.name}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #f39c12 0%, #e67e22 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">⚠️ Low Stock Alert</h1>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <div style="background-color: #fff; border-left: 5px solid #f39c12; padding: 20px; margin-bottom: 20px;">
-                <h2 style="color: #f39c12; margin-top: 0;">${inventoryItem.cocktail.name}</h2>
-                <p style="color: #333; font-size: 18px; margin: 10px 0;">
-                  <strong>Current Stock:</strong> <span style="color: #f39c12; font-size: 24px;">${inventoryItem.currentStock} ${inventoryItem.unit}</span>
-                </p>
-                <p style="color: #666;">
-                  <strong>Minimum Stock:</strong> ${inventoryItem.minimumStock} ${inventoryItem.unit}<br>
-                  <strong>Maximum Stock:</strong> ${inventoryItem.maximumStock} ${inventoryItem.unit}
-                </p>
-              </div>
-              
-              <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; border-radius: 5px; padding: 15px; margin-bottom: 20px;">
-                <h3 style="color: #856404; margin-top: 0;">📋 Restock Recommended</h3>
-                <p style="color: #856404; margin: 0;">
-                  This item is running low on stock. Consider restocking soon to maintain service quality.
-                </p>
-              </div>
-              
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px;">
-                <h3 style="color: #333; margin-top: 0;">Restock Information</h3>
-                ${inventoryItem.supplier.name ? `
-                  <p><strong>Supplier:</strong> ${inventoryItem.supplier.name}</p>
-                  ${inventoryItem.supplier.contact.phone ? `<p><strong>Phone:</strong> ${inventoryItem.supplier.contact.phone}</p>` : ''}
-                  ${inventoryItem.supplier.contact.email ? `<p><strong>Email:</strong> ${inventoryItem.supplier.contact.email}</p>` : ''}
-                ` : '<p style="color: #666;">No supplier information available</p>'}
-                <p><strong>Cost per Unit:</strong> ₦${inventoryItem.costPerUnit}</p>
-                <p><strong>Recommended Restock:</strong> ${inventoryItem.maximumStock - inventoryItem.currentStock} ${inventoryItem.unit}</p>
-              </div>
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated alert from Cocktail Ordering System.<br>
-                  Alert frequency: ${inventoryItem.alertSettings.frequency}
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Low stock alert email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      return await this.deliver('low_stock_alert', adminEmail, {
+        item: toPlain(inventoryItem)
+      });
     } catch (error) {
-      console.error('❌ Failed to send low stock alert email:', error);
+      console.error('❌ Failed to queue low stock alert email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -398,82 +339,15 @@ class EmailService {
    */
   async sendInventoryReport(report, adminEmail) {
     try {
-      const mailOptions = {
-        from: {
-          name: 'Cocktail Ordering System - Inventory Report',
-          address: process.env.GMAIL_USER
-        },
-        to: adminEmail,
-        subject: `📊 Inventory Report - ${report.summary.totalItems} Items`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; text-align: center;">
-              <h1 style="color: white; margin: 0; font-size: 28px;">📊 Inventory Report</h1>
-              <p style="color: white; margin: 10px 0 0 0; opacity: 0.9;">
-                Generated on ${new Date(report.timestamp).toLocaleDateString()}
-              </p>
-            </div>
-            
-            <div style="padding: 30px; background-color: #f8f9fa;">
-              <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                <h3 style="color: #333; margin-top: 0;">📈 Summary</h3>
-                <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 15px;">
-                  <div style="text-align: center; padding: 15px; background-color: #e3f2fd; border-radius: 5px;">
-                    <h4 style="margin: 0; color: #1976d2;">Total Items</h4>
-                    <p style="font-size: 24px; margin: 5px 0; color: #1976d2; font-weight: bold;">${report.summary.totalItems}</p>
-                  </div>
-                  <div style="text-align: center; padding: 15px; background-color: #fff3e0; border-radius: 5px;">
-                    <h4 style="margin: 0; color: #f57c00;">Low Stock</h4>
-                    <p style="font-size: 24px; margin: 5px 0; color: #f57c00; font-weight: bold;">${report.summary.lowStock}</p>
-                  </div>
-                  <div style="text-align: center; padding: 15px; background-color: #ffebee; border-radius: 5px;">
-                    <h4 style="margin: 0; color: #d32f2f;">Critical Stock</h4>
-                    <p style="font-size: 24px; margin: 5px 0; color: #d32f2f; font-weight: bold;">${report.summary.criticalStock}</p>
-                  </div>
-                  <div style="text-align: center; padding: 15px; background-color: #f3e5f5; border-radius: 5px;">
-                    <h4 style="margin: 0; color: #7b1fa2;">Out of Stock</h4>
-                    <p style="font-size: 24px; margin: 5px 0; color: #7b1fa2; font-weight: bold;">${report.summary.outOfStock}</p>
-                  </div>
-                </div>
-              </div>
-              
-              ${report.criticalStock.length > 0 ? `
-                <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                  <h3 style="color: #d32f2f; margin-top: 0;">🚨 Critical Stock Items</h3>
-                  ${report.criticalStock.map(item => `
-                    <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
-                      <strong>${item.cocktail.name}</strong> - ${item.currentStock} ${item.unit} (Threshold: ${item.alertSettings.alertThreshold})
-                    </div>
-                  `).join('')}
-                </div>
-              ` : ''}
-              
-              ${report.lowStock.length > 0 ? `
-                <div style="background-color: #fff; border-radius: 8px; padding: 20px; margin-bottom: 20px;">
-                  <h3 style="color: #f57c00; margin-top: 0;">⚠️ Low Stock Items</h3>
-                  ${report.lowStock.map(item => `
-                    <div style="border-bottom: 1px solid #eee; padding: 10px 0;">
-                      <strong>${item.cocktail.name}</strong> - ${item.currentStock} ${item.unit} (Minimum: ${item.minimumStock})
-                    </div>
-                  `).join('')}
-                </div>
-              ` : ''}
-              
-              <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
-                <p style="color: #999; font-size: 12px; text-align: center;">
-                  This is an automated inventory report from Cocktail Ordering System.
-                </p>
-              </div>
-            </div>
-          </div>
-        `
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Inventory report email sent:', result.messageId);
-      return { success: true, messageId: result.messageId };
+      return await this.deliver('inventory_report', adminEmail, {
+        report: {
+          ...report,
+          criticalStock: report.criticalStock.map(toPlain),
+          lowStock: report.lowStock.map(toPlain)
+        }
+      });
     } catch (error) {
-      console.error('❌ Failed to send inventory report email:', error);
+      console.error('❌ Failed to queue inventory report email:', error);
       return { success: false, error: error.message };
     }
   }
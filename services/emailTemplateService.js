@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'emails');
+const LOCALE_DIR = path.join(TEMPLATE_DIR, 'locales');
+
+// English, Nigerian Pidgin, Yoruba, Hausa and Igbo
+const LOCALES = ['en', 'pcm', 'yo', 'ha', 'ig'];
+const DEFAULT_LOCALE = 'en';
+
+// Header colours for the shared layout
+const THEMES = {
+  brand: ['#667eea', '#764ba2'],
+  danger: ['#ff6b6b', '#ee5a24'],
+  warning: ['#f39c12', '#e67e22']
+};
+
+const getPath = (object, keyPath) => keyPath
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+// Replace {placeholders} in copy, e.g. "Order {order.orderNumber}"
+const interpolate = (copy, values) => copy.replace(/\{([\w.]+)\}/g, (match, keyPath) => {
+  const value = getPath(values, keyPath);
+  return value === undefined || value === null ? '' : String(value);
+});
+
+const formatMoney = amount => {
+  const value = Number(amount || 0);
+  return `₦${value.toLocaleString('en-NG', {
+    minimumFractionDigits: Number.isInteger(value) ? 0 : 2,
+    maximumFractionDigits: 2
+  })}`;
+};
+
+const formatDate = date => new Date(date).toLocaleDateString('en-NG', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'Africa/Lagos'
+});
+
+/**
+ * Renders emails from the Handlebars templates in templates/emails. Each
+ * template has an HTML and a plain-text file sharing a layout, and all copy
+ * comes from the locale files so it can be changed without touching code.
+ * Files are re-read when they change on disk.
+ */
+class EmailTemplateService {
+  constructor() {
+    this.cache = new Map();
+
+    // HTML output is escaped; plain text is not
+    this.engines = {
+      html: Handlebars.create(),
+      text: Handlebars.create()
+    };
+
+    for (const engine of Object.values(this.engines)) {
+      this.registerHelpers(engine);
+    }
+  }
+
+  registerHelpers(engine) {
+    const service = this;
+
+    engine.registerHelper('t', function(key, options) {
+      const root = options.data.root;
+      return service.translate(root.locale, key, { ...root, ...options.hash });
+    });
+    engine.registerHelper('money', amount => formatMoney(amount));
+    engine.registerHelper('date', date => formatDate(date));
+    engine.registerHelper('subtract', (a, b) => Number(a) - Number(b));
+  }
+
+  getLocales() {
+    return LOCALES;
+  }
+
+  resolveLocale(locale) {
+    return LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Read and prepare a file, reusing the cached result until the file changes
+   */
+  load(file, prepare) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.value;
+    }
+
+    const value = prepare(fs.readFileSync(file, 'utf8'));
+    this.cache.set(file, { mtimeMs, value });
+    return value;
+  }
+
+  getStrings(locale) {
+    const file = path.join(LOCALE_DIR, `${locale}.json`);
+    return this.load(file, JSON.parse);
+  }
+
+  /**
+   * Look up copy by key, falling back to English for anything the locale has
+   * not translated
+   */
+  translate(locale, key, values = {}) {
+    let copy = getPath(this.getStrings(this.resolveLocale(locale)), key);
+    if (typeof copy !== 'string') {
+      copy = getPath(this.getStrings(DEFAULT_LOCALE), key);
+    }
+    if (typeof copy !== 'string') {
+      return key;
+    }
+
+    return interpolate(copy, values);
+  }
+
+  compile(file, format) {
+    return this.load(file, source => this.engines[format].compile(source, { noEscape: format === 'text' }));
+  }
+
+  /**
+   * Names of the templates on disk
+   */
+  listTemplates() {
+    return fs.readdirSync(TEMPLATE_DIR)
+      .filter(file => file.endsWith('.html.hbs') && !file.startsWith('layout.'))
+      .map(file => file.replace('.html.hbs', ''))
+      .sort();
+  }
+
+  exists(name) {
+    return this.listTemplates().includes(name);
+  }
+
+  /**
+   * Render a template in a locale. `theme` picks the layout's header colours.
+   * Returns `{ subject, html, text, locale }`.
+   */
+  render(name, context, { locale, theme = 'brand' } = {}) {
+    const resolvedLocale = this.resolveLocale(locale);
+    const [headerStart, headerEnd] = THEMES[theme] || THEMES.brand;
+
+    const data = {
+      ...context,
+      locale: resolvedLocale,
+      baseUrl: process.env.BASE_URL,
+      businessName: process.env.BUSINESS_NAME || 'Cocktail Ordering System',
+      headerStart,
+      headerEnd
+    };
+
+    // Templates without their own footer use the shared one
+    const footerKey = getPath(this.getStrings(DEFAULT_LOCALE), `${name}.footer`) ? `${name}.footer` : 'layout.footer';
+
+    const rendered = {};
+    for (const format of ['html', 'text']) {
+      const body = this.compile(path.join(TEMPLATE_DIR, `${name}.${format}.hbs`), format)(data);
+      const layout = this.compile(path.join(TEMPLATE_DIR, `layout.${format}.hbs`), format);
+      rendered[format] = layout({
+        ...data,
+        title: this.translate(resolvedLocale, `${name}.title`, data),
+        footer: this.translate(resolvedLocale, footerKey, data),
+        body: new Handlebars.SafeString(body)
+      });
+    }
+
+    return {
+      subject: this.translate(resolvedLocale, `${name}.subject`, data),
+      html: rendered.html,
+      text: rendered.text,
+      locale: resolvedLocale
+    };
+  }
+}
+
+module.exports = new EmailTemplateService();
@@ -215,41 +215,6 @@ class InventoryAlertService {
       this.checkInventoryLevels();
     }, intervalMinutes * 60 * 1000);
   }
-
-  /**
-   * Process order and update inventory
-   */
-  async processOrderInventory(order) {
-    try {
-      console.log(`📦 Processing inventory for order ${order.orderNumber}`);
-      
-      for (const item of order.items) {
-        const inventoryItem = await Inventory.findOne({
-          cocktail: item.cocktail,
-          isActive: true
-        });
-
-        if (inventoryItem) {
-          // Check if we have enough stock
-          if (inventoryItem.currentStock < item.quantity) {
-            throw new Error(`Insufficient stock for ${item.cocktail.name}. Available: ${inventoryItem.currentStock}, Required: ${item.quantity}`);
-          }
-
-          // Reduce stock
-          await inventoryItem.reduceStock(item.quantity);
-          console.log(`✅ Reduced stock for ${item.cocktail.name} by ${item.quantity}`);
-        } else {
-          console.log(`⚠️  No inventory record found for ${item.cocktail.name}`);
-        }
-      }
-
-      // Check inventory levels after order processing
-      await this.checkInventoryLevels();
-    } catch (error) {
-      console.error('Failed to process order inventory:', error);
-      throw error;
-    }
-  }
 }
 
 module.exports = new InventoryAlertService();
@@ -0,0 +1,161 @@
+const Inventory = require('../models/Inventory');
+const Order = require('../models/Order');
+const inventoryAlertService = require('./inventoryAlertService');
+
+class InventoryReservationService {
+  /**
+   * Combine order lines drawing on the same stock so each inventory record
+   * is only decremented once per order. Lines for a variant with its own
+   * `inventory` draw `stockUnits` from that record per unit; all others draw
+   * from the cocktail's record.
+   */
+  groupItemsByCocktail(items) {
+    const grouped = new Map();
+
+    for (const item of items) {
+      const cocktailId = (item.cocktail._id || item.cocktail).toString();
+      const inventoryId = item.inventory ? item.inventory.toString() : null;
+      const key = inventoryId ? `inventory:${inventoryId}` : cocktailId;
+      const quantity = item.quantity * (item.stockUnits || 1);
+      const existing = grouped.get(key);
+
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        grouped.set(key, {
+          cocktail: cocktailId,
+          inventory: inventoryId,
+          name: item.cocktail.name || item.name,
+          quantity
+        });
+      }
+    }
+
+    return Array.from(grouped.values());
+  }
+
+  /**
+   * Reserve stock for every order line.
+   *
+   * Each line is reserved with a conditional decrement. If any line cannot be
+   * reserved, the lines that were reserved are released again and a shortage
+   * report covering every failing line is returned instead.
+   */
+  async reserveItems(items) {
+    const lines = this.groupItemsByCocktail(items);
+    const reserved = [];
+    const shortages = [];
+
+    for (const line of lines) {
+      const inventoryItem = line.inventory
+        ? await Inventory.reserveStockById(line.inventory, line.quantity)
+        : await Inventory.reserveStock(line.cocktail, line.quantity);
+
+      if (inventoryItem) {
+        reserved.push({
+          cocktail: line.cocktail,
+          inventory: inventoryItem._id,
+          quantity: line.quantity
+        });
+        continue;
+      }
+
+      // Either the stock is insufficient or the cocktail is not tracked
+      const existing = await Inventory.findOne({
+        ...(line.inventory ? { _id: line.inventory } : { cocktail: line.cocktail }),
+        isActive: true
+      });
+
+      if (!existing) {
+        console.log(`⚠️  No inventory record found for ${line.name || line.cocktail}, skipping reservation`);
+        continue;
+      }
+
+      shortages.push({
+        cocktail: line.cocktail,
+        name: line.name,
+        requested: line.quantity,
+        available: existing.currentStock
+      });
+    }
+
+    if (shortages.length > 0) {
+      await this.releaseItems(reserved);
+      return { success: false, shortages };
+    }
+
+    return { success: true, items: reserved };
+  }
+
+  /**
+   * Return reserved quantities to their inventory records
+   */
+  async releaseItems(items) {
+    for (const item of items) {
+      try {
+        await Inventory.releaseStock(item.inventory, item.quantity);
+      } catch (error) {
+        console.error(`Failed to release ${item.quantity} units for inventory ${item.inventory}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Build the reservation record stored on the order
+   */
+  buildReservation(reservedItems) {
+    if (reservedItems.length === 0) {
+      return { status: 'none', items: [] };
+    }
+
+    return {
+      status: 'reserved',
+      items: reservedItems,
+      reservedAt: new Date()
+    };
+  }
+
+  /**
+   * Release the stock held by an order.
+   *
+   * The order is flipped from `reserved` to `released` atomically first, so a
+   * reservation is only ever returned to inventory once even if several
+   * cancellation paths race each other.
+   */
+  async releaseOrderInventory(order, reason) {
+    const released = await Order.findOneAndUpdate(
+      { _id: order._id, 'inventoryReservation.status': 'reserved' },
+      {
+        $set: {
+          'inventoryReservation.status': 'released',
+          'inventoryReservation.releasedAt': new Date(),
+          'inventoryReservation.releaseReason': reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!released) {
+      return { released: false };
+    }
+
+    await this.releaseItems(released.inventoryReservation.items);
+
+    // Keep the in-memory document in sync so a later save does not undo the release
+    order.inventoryReservation = released.inventoryReservation;
+
+    console.log(`📦 Released inventory for order ${released.orderNumber} (${reason})`);
+    return { released: true };
+  }
+
+  /**
+   * Re-check stock levels after a reservation without blocking the request
+   */
+  scheduleLevelCheck() {
+    inventoryAlertService.checkInventoryLevels().catch(error => {
+      console.error('Inventory level check failed:', error);
+    });
+  }
+}
+
+module.exports = new InventoryReservationService();
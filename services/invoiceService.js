@@ -0,0 +1,266 @@
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const orderNumberService = require('./orderNumberService');
+
+// How long a request may hold an order's invoice claim before numbering it
+const CLAIM_TIMEOUT_MS = 30000;
+const CLAIM_POLL_MS = 100;
+
+const TAX_CATEGORY_LABELS = {
+  alcoholic: 'Alcoholic',
+  non_alcoholic: 'Non-alcoholic'
+};
+
+// The standard PDF fonts have no naira sign, so amounts are written as NGN
+const formatAmount = amount => `NGN ${Number(amount || 0).toLocaleString('en-NG', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = date => new Date(date).toLocaleDateString('en-NG', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  timeZone: 'Africa/Lagos'
+});
+
+class InvoiceService {
+  getBusinessName() {
+    return process.env.BUSINESS_NAME || 'Cocktail Ordering System';
+  }
+
+  /**
+   * Give an order its invoice number the first time an invoice is requested.
+   * Numbers come from a yearly counter, e.g. INV-2026-000042.
+   *
+   * The request that claims the order is the only one to take a number, so
+   * concurrent downloads do not burn numbers and leave gaps in the sequence;
+   * the others wait for its number. A claim left by a crashed request is
+   * taken over after CLAIM_TIMEOUT_MS.
+   */
+  async assignNumber(order) {
+    if (order.invoice && order.invoice.number) {
+      return order.invoice;
+    }
+
+    const claimedAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        'invoice.number': { $exists: false },
+        $or: [
+          { 'invoice.claimedAt': { $exists: false } },
+          { 'invoice.claimedAt': { $lt: new Date(claimedAt - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { 'invoice.claimedAt': claimedAt } }
+    );
+
+    if (!claimed) {
+      order.invoice = await this.waitForNumber(order._id);
+      return order.invoice;
+    }
+
+    const year = orderNumberService.getYear(claimedAt);
+    const seq = await Counter.next(`invoice:${year}`);
+    const number = `INV-${year}-${String(seq).padStart(6, '0')}`;
+
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, 'invoice.claimedAt': claimedAt },
+      { $set: { invoice: { number, issuedAt: claimedAt } } },
+      { new: true }
+    );
+
+    // Our claim timed out and another request numbered the order
+    order.invoice = updated ? updated.invoice : await this.waitForNumber(order._id);
+    return order.invoice;
+  }
+
+  /**
+   * Wait for the request holding an order's invoice claim to store its number
+   */
+  async waitForNumber(orderId) {
+    const deadline = Date.now() + CLAIM_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+      const current = await Order.findById(orderId).select('invoice');
+      if (current.invoice && current.invoice.number) {
+        return current.invoice;
+      }
+      await new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS));
+    }
+
+    throw new Error('Timed out waiting for the invoice number');
+  }
+
+  /**
+   * Payment details printed on the invoice: the gateway reference for online
+   * payments, or the rider's collection for pay-on-delivery orders.
+   */
+  async getPaymentDetails(order) {
+    const payment = await Payment.findOne({
+      order: order._id,
+      status: { $in: ['success', 'needs_review'] }
+    }).sort({ paidAt: -1, createdAt: -1 });
+
+    if (payment) {
+      return {
+        method: `Online (${payment.provider || 'paystack'})`,
+        reference: payment.paystackReference,
+        paidAt: payment.paidAt
+      };
+    }
+
+    if (order.cashCollection && order.cashCollection.collectedAt) {
+      return {
+        method: order.paymentMethod === 'bank_transfer' ? 'Transfer on delivery' : 'Cash on delivery',
+        reference: `Collected by ${order.cashCollection.collectedBy}`,
+        paidAt: order.cashCollection.collectedAt
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Render an order's invoice, or its receipt once paid, as a PDF.
+   * Returns `{ number, filename, buffer }`.
+   */
+  async generate(order) {
+    const invoice = await this.assignNumber(order);
+    await order.populate('items.cocktail', 'name');
+    const payment = await this.getPaymentDetails(order);
+
+    const isPaid = ['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus);
+    const buffer = await this.render(order, invoice, payment, isPaid);
+
+    return {
+      number: invoice.number,
+      filename: `${invoice.number}.pdf`,
+      buffer
+    };
+  }
+
+  render(order, invoice, payment, isPaid) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      this.renderHeader(doc, order, invoice, isPaid);
+      this.renderItems(doc, order);
+      this.renderTotals(doc, order);
+      this.renderPayment(doc, order, payment);
+
+      doc.moveDown(3)
+        .fontSize(9)
+        .fillColor('#888888')
+        .text(`Thank you for ordering with ${this.getBusinessName()}.`, 50, doc.y, { align: 'center', width: 495 });
+
+      doc.end();
+    });
+  }
+
+  renderHeader(doc, order, invoice, isPaid) {
+    doc.fontSize(20).fillColor('#333333').text(this.getBusinessName(), 50, 50);
+    doc.fontSize(16).fillColor('#667eea').text(isPaid ? 'RECEIPT' : 'INVOICE', 50, 50, { align: 'right' });
+
+    doc.moveDown(2).fontSize(10).fillColor('#333333');
+    const top = doc.y;
+
+    doc.font('Helvetica-Bold').text('Bill to', 50, top);
+    doc.font('Helvetica')
+      .text(order.customer.name)
+      .text(order.customer.phone)
+      .text(`${order.customer.address}, ${order.customer.state}`, { width: 250 });
+    if (order.customer.email) {
+      doc.text(order.customer.email);
+    }
+    const billToBottom = doc.y;
+
+    doc.text(`Invoice number: ${invoice.number}`, 320, top, { align: 'right' })
+      .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+      .text(`Order number: ${order.orderNumber}`, { align: 'right' })
+      .text(`Order date: ${formatDate(order.createdAt)}`, { align: 'right' });
+
+    doc.y = Math.max(doc.y, billToBottom) + 20;
+  }
+
+  renderItems(doc, order) {
+    const columns = { item: 50, quantity: 300, price: 360, amount: 450 };
+    let y = doc.y;
+
+    doc.font('Helvetica-Bold').fontSize(10)
+      .text('Item', columns.item, y)
+      .text('Qty', columns.quantity, y, { width: 50, align: 'right' })
+      .text('Unit price', columns.price, y, { width: 85, align: 'right' })
+      .text('Amount', columns.amount, y, { width: 95, align: 'right' });
+
+    y += 18;
+    doc.moveTo(50, y - 4).lineTo(545, y - 4).strokeColor('#cccccc').stroke();
+    doc.font('Helvetica');
+
+    for (const item of order.items) {
+      const cocktailName = item.cocktail && item.cocktail.name ? item.cocktail.name : 'Cocktail';
+      const name = [
+        item.variantName ? `${cocktailName} (${item.variantName})` : cocktailName,
+        ...(item.modifiers || []).map(modifier => modifier.name)
+      ].join('\n  + ');
+      doc.text(name, columns.item, y, { width: 240 })
+        .text(String(item.quantity), columns.quantity, y, { width: 50, align: 'right' })
+        .text(formatAmount(item.price), columns.price, y, { width: 85, align: 'right' })
+        .text(formatAmount(item.price * item.quantity), columns.amount, y, { width: 95, align: 'right' });
+      y = Math.max(doc.y, y + 16);
+    }
+
+    doc.moveTo(50, y + 2).lineTo(545, y + 2).strokeColor('#cccccc').stroke();
+    doc.y = y + 12;
+  }
+
+  renderTotals(doc, order) {
+    const row = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 300, y, { width: 145, align: 'right' })
+        .text(amount, 450, y, { width: 95, align: 'right' });
+      doc.y = y + 16;
+    };
+
+    row('Subtotal', formatAmount(order.subtotal));
+
+    for (const discount of order.discounts || []) {
+      row(`Discount (${discount.code})`, `-${formatAmount(discount.amount)}`);
+    }
+
+    row('Delivery', formatAmount(order.deliveryFee));
+
+    for (const line of order.taxLines || []) {
+      const label = `VAT ${line.rate}% on ${TAX_CATEGORY_LABELS[line.category] || line.category}${line.inclusive ? ' (included)' : ''}`;
+      row(label, formatAmount(line.amount));
+    }
+
+    row('Total', formatAmount(order.totalAmount), { bold: true });
+  }
+
+  renderPayment(doc, order, payment) {
+    doc.moveDown(1.5).font('Helvetica-Bold').text('Payment', 50, doc.y);
+    doc.font('Helvetica').text(`Status: ${order.paymentStatus.replace(/_/g, ' ')}`);
+
+    if (payment) {
+      doc.text(`Method: ${payment.method}`)
+        .text(`Reference: ${payment.reference}`);
+      if (payment.paidAt) {
+        doc.text(`Paid on: ${formatDate(payment.paidAt)}`);
+      }
+    } else {
+      doc.text(`Amount due: ${formatAmount(order.totalAmount)}`);
+    }
+  }
+}
+
+module.exports = new InvoiceService();
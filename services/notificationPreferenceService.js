@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+
+const UNSUBSCRIBE_PURPOSE = 'unsubscribe';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads and updates users' notification preferences, and signs the one-click
+ * unsubscribe links added to emails. Recipients without an account have no
+ * preferences, so everything is sent to them.
+ */
+class NotificationPreferenceService {
+  getEvents() {
+    return User.NOTIFICATION_EVENTS;
+  }
+
+  getChannels() {
+    return User.NOTIFICATION_CHANNELS;
+  }
+
+  // Deliberately not JWT_SECRET, so an unsubscribe link is never a login token
+  get secret() {
+    return process.env.UNSUBSCRIBE_SECRET;
+  }
+
+  get tokenTtlDays() {
+    return Number(process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS) || 90;
+  }
+
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', this.secret).update(encodedPayload).digest('base64url');
+  }
+
+  async findUserByEmail(email) {
+    if (!email) {
+      return null;
+    }
+
+    return User.findOne({ email: String(email).toLowerCase() }).select('email notificationPreferences');
+  }
+
+  /**
+   * Whether `email` should get `event` notifications on `channel`. Returns
+   * `{ allowed, user }`; `user` is null for addresses without an account.
+   */
+  async check(email, event, channel) {
+    const user = await this.findUserByEmail(email);
+    return {
+      allowed: !user || user.wantsNotification(event, channel),
+      user
+    };
+  }
+
+  /**
+   * Apply a partial update such as `{ promotions: { sms: true } }`. Unknown
+   * events and channels are ignored. Returns the updated user.
+   */
+  async update(userId, preferences) {
+    const $set = {};
+    for (const event of this.getEvents()) {
+      for (const channel of this.getChannels()) {
+        const value = preferences[event] && preferences[event][channel];
+        if (typeof value === 'boolean') {
+          $set[`notificationPreferences.${event}.${channel}`] = value;
+        }
+      }
+    }
+
+    return User.findByIdAndUpdate(userId, { $set }, { new: true, select: 'notificationPreferences' });
+  }
+
+  /**
+   * HMAC-signed token (`payload.signature`, not a JWT) that turns off `event`
+   * emails for a user. It expires after UNSUBSCRIBE_TOKEN_TTL_DAYS.
+   */
+  createUnsubscribeToken(userId, event) {
+    const payload = Buffer.from(JSON.stringify({
+      userId: userId.toString(),
+      event,
+      purpose: UNSUBSCRIBE_PURPOSE,
+      exp: Date.now() + this.tokenTtlDays * DAY_MS
+    })).toString('base64url');
+
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Unsubscribe link for an email, or null when UNSUBSCRIBE_SECRET is not set
+   */
+  getUnsubscribeUrl(userId, event) {
+    if (!this.secret) {
+      return null;
+    }
+
+    const token = this.createUnsubscribeToken(userId, event);
+    return `${process.env.BASE_URL || 'http://localhost:3000'}/users/unsubscribe?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * The payload of a valid, unexpired unsubscribe token, or null
+   */
+  verifyUnsubscribeToken(token) {
+    const [payload, signature, ...rest] = String(token || '').split('.');
+    if (!this.secret || !payload || !signature || rest.length > 0) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      return null;
+    }
+
+    let decoded;
+    try {
+      decoded = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== UNSUBSCRIBE_PURPOSE || !this.getEvents().includes(decoded.event) ||
+        !(decoded.exp > Date.now())) {
+      return null;
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Turn off the emails an unsubscribe token was issued for. Returns
+   * `{ success, event }` or `{ success: false, error }`.
+   */
+  async unsubscribe(token) {
+    const payload = this.verifyUnsubscribeToken(token);
+    if (!payload) {
+      return { success: false, error: 'Invalid or expired unsubscribe link' };
+    }
+
+    const user = await User.findByIdAndUpdate(
+      payload.userId,
+      { $set: { [`notificationPreferences.${payload.event}.email`]: false } },
+      { new: true, select: 'email' }
+    );
+    if (!user) {
+      return { success: false, error: 'Invalid unsubscribe link' };
+    }
+
+    return { success: true, event: payload.event, email: user.email };
+  }
+}
+
+module.exports = new NotificationPreferenceService();
@@ -0,0 +1,136 @@
+const emailService = require('./emailService');
+const emailTemplateService = require('./emailTemplateService');
+const notificationProviders = require('./notifications');
+const User = require('../models/User');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+// Templates must be approved in WhatsApp Manager under these names
+const WHATSAPP_TEMPLATES = {
+  order_status_update: process.env.WHATSAPP_ORDER_STATUS_TEMPLATE || 'order_status_update'
+};
+
+/**
+ * Nigerian numbers as E.164, e.g. 08012345678 -> +2348012345678. Numbers
+ * already in international format are kept.
+ */
+const toE164 = phone => {
+  const digits = String(phone || '').replace(/[^\d+]/g, '');
+  if (digits.startsWith('+')) {
+    return digits;
+  }
+  if (digits.startsWith('234')) {
+    return `+${digits}`;
+  }
+  if (digits.startsWith('0')) {
+    return `+234${digits.slice(1)}`;
+  }
+  return `+234${digits}`;
+};
+
+/**
+ * Sends order notifications to a customer on each of their preferred channels
+ * (email, SMS, WhatsApp). A failure on one channel does not stop the others.
+ */
+class NotificationService {
+  getChannels() {
+    return CHANNELS;
+  }
+
+  /**
+   * The channels an order's customer wants. Orders placed from an account
+   * follow the account's order update preferences. For guests, those without
+   * a choice on the order get email if they gave one and SMS otherwise.
+   */
+  getPreferredChannels(order, user) {
+    if (user) {
+      return user.getNotificationChannels('orderUpdates');
+    }
+
+    const channels = (order.customer.notificationChannels || []).filter(channel => CHANNELS.includes(channel));
+    if (channels.length > 0) {
+      return channels;
+    }
+
+    return order.customer.email ? ['email'] : ['sms'];
+  }
+
+  /**
+   * Send a text message. Returns `{ success, provider, messageId }` or
+   * `{ success: false, error }`.
+   */
+  async sendSms(phone, text) {
+    try {
+      const provider = notificationProviders.get('sms');
+      const result = await provider.sendSms({ to: toE164(phone), text });
+      return { success: true, provider: provider.name, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send SMS:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Send an approved WhatsApp template. Returns `{ success, provider, messageId }`
+   * or `{ success: false, error }`.
+   */
+  async sendWhatsApp(phone, template, parameters) {
+    try {
+      const provider = notificationProviders.get('whatsapp');
+      const result = await provider.sendTemplate({
+        to: toE164(phone),
+        template,
+        language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en',
+        parameters
+      });
+      return { success: true, provider: provider.name, messageId: result.messageId };
+    } catch (error) {
+      console.error('❌ Failed to send WhatsApp message:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Status update text for SMS, in the customer's language
+   */
+  renderStatusUpdateText(order, newStatus, adminNote) {
+    const { locale } = order.customer;
+    const values = {
+      businessName: process.env.BUSINESS_NAME || 'Cocktail Ordering System',
+      order,
+      status: emailTemplateService.translate(locale, `order_status_update.statuses.${newStatus}`),
+      message: emailTemplateService.translate(locale, `order_status_update.messages.${newStatus}`),
+      adminNote
+    };
+
+    const text = emailTemplateService.translate(locale, 'sms.order_status_update', values);
+    return adminNote ? `${text} ${emailTemplateService.translate(locale, 'sms.note', values)}` : text;
+  }
+
+  /**
+   * Tell the customer their order moved to `newStatus`. Returns the outcome
+   * for each channel tried, keyed by channel.
+   */
+  async sendOrderStatusUpdate(order, newStatus, adminNote = '') {
+    const results = {};
+    const user = order.user ? await User.findById(order.user).select('notificationPreferences') : null;
+
+    for (const channel of this.getPreferredChannels(order, user)) {
+      if (channel === 'email') {
+        results.email = await emailService.sendOrderStatusUpdateEmail(order, newStatus, adminNote);
+      } else if (channel === 'sms') {
+        results.sms = await this.sendSms(order.customer.phone, this.renderStatusUpdateText(order, newStatus, adminNote));
+      } else if (channel === 'whatsapp') {
+        results.whatsapp = await this.sendWhatsApp(order.customer.phone, WHATSAPP_TEMPLATES.order_status_update, [
+          order.customer.name,
+          order.orderNumber,
+          emailTemplateService.translate('en', `order_status_update.statuses.${newStatus}`)
+        ]);
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new NotificationService();
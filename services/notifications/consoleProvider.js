@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Messages kept for inspection; older ones are dropped
+const MAX_MESSAGES = 100;
+
+/**
+ * Local stand-in for the SMS and WhatsApp providers. Messages are logged and
+ * kept in memory instead of being sent, so notifications can be exercised
+ * without credentials or network access.
+ */
+class ConsoleProvider {
+  constructor() {
+    this.name = 'console';
+    this.messages = [];
+  }
+
+  record(message) {
+    const entry = { messageId: `console_${crypto.randomUUID()}`, ...message, sentAt: new Date() };
+    this.messages.push(entry);
+    if (this.messages.length > MAX_MESSAGES) {
+      this.messages.shift();
+    }
+    return entry;
+  }
+
+  async sendSms({ to, text }) {
+    const entry = this.record({ channel: 'sms', to, text });
+    console.log(`📱 [sms] to ${to}: ${text}`);
+    return { messageId: entry.messageId, raw: entry };
+  }
+
+  async sendTemplate({ to, template, language, parameters = [] }) {
+    const entry = this.record({ channel: 'whatsapp', to, template, language, parameters });
+    console.log(`💬 [whatsapp] to ${to}: ${template} (${language}) ${JSON.stringify(parameters)}`);
+    return { messageId: entry.messageId, raw: entry };
+  }
+}
+
+module.exports = new ConsoleProvider();
@@ -0,0 +1,77 @@
+const termiiProvider = require('./termiiProvider');
+const twilioProvider = require('./twilioProvider');
+const whatsappCloudProvider = require('./whatsappCloudProvider');
+const consoleProvider = require('./consoleProvider');
+const { providerError } = require('./providerError');
+
+/**
+ * Notification providers, grouped by channel. Each channel's providers share
+ * one interface:
+ *
+ *   sms:       sendSms({ to, text }) -> { messageId, raw }
+ *   whatsapp:  sendTemplate({ to, template, language, parameters }) -> { messageId, raw }
+ *
+ * `to` is an E.164 number such as +2348012345678. Email is not listed here;
+ * it goes through the email outbox.
+ */
+const PROVIDERS = {
+  sms: {
+    termii: termiiProvider,
+    twilio: twilioProvider,
+    console: consoleProvider
+  },
+  whatsapp: {
+    cloud: whatsappCloudProvider,
+    console: consoleProvider
+  }
+};
+
+// Provider used when none is configured, outside and inside production
+const DEFAULTS = {
+  sms: { development: 'console', production: 'termii' },
+  whatsapp: { development: 'console', production: 'cloud' }
+};
+
+const ENV_KEYS = {
+  sms: 'SMS_PROVIDER',
+  whatsapp: 'WHATSAPP_PROVIDER'
+};
+
+class NotificationProviders {
+  getChannels() {
+    return Object.keys(PROVIDERS);
+  }
+
+  /**
+   * Providers that can be used in this environment. The console provider is
+   * never available in production.
+   */
+  getEnabledProviders(channel) {
+    return Object.keys(PROVIDERS[channel] || {})
+      .filter(name => name !== 'console' || process.env.NODE_ENV !== 'production');
+  }
+
+  getDefaultProviderName(channel) {
+    const fallback = DEFAULTS[channel][process.env.NODE_ENV === 'production' ? 'production' : 'development'];
+    const configured = process.env[ENV_KEYS[channel]] || fallback;
+    return this.getEnabledProviders(channel).includes(configured) ? configured : DEFAULTS[channel].production;
+  }
+
+  /**
+   * Look up the configured provider for a channel
+   */
+  get(channel, name) {
+    if (!PROVIDERS[channel]) {
+      throw providerError(`Unsupported notification channel: ${channel}`);
+    }
+
+    const providerName = name || this.getDefaultProviderName(channel);
+    if (!this.getEnabledProviders(channel).includes(providerName)) {
+      throw providerError(`Unsupported ${channel} provider: ${providerName}`);
+    }
+
+    return PROVIDERS[channel][providerName];
+  }
+}
+
+module.exports = new NotificationProviders();
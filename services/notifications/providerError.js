@@ -0,0 +1,12 @@
+/**
+ * Errors reported by an SMS or WhatsApp provider (rejected numbers, missing
+ * credentials). They fail the one message, never the request that sent it.
+ */
+function providerError(message, details) {
+  const error = new Error(message);
+  error.isProviderError = true;
+  error.details = details;
+  return error;
+}
+
+module.exports = { providerError };
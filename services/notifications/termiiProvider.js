@@ -0,0 +1,40 @@
+const axios = require('axios');
+const { providerError } = require('./providerError');
+
+const TERMII_BASE_URL = process.env.TERMII_BASE_URL || 'https://api.ng.termii.com';
+
+class TermiiProvider {
+  constructor() {
+    this.name = 'termii';
+  }
+
+  async sendSms({ to, text }) {
+    if (!process.env.TERMII_API_KEY) {
+      throw providerError('TERMII_API_KEY is not configured');
+    }
+
+    try {
+      const response = await axios.post(`${TERMII_BASE_URL}/api/sms/send`, {
+        api_key: process.env.TERMII_API_KEY,
+        // Termii expects the number without the leading +
+        to: to.replace(/^\+/, ''),
+        from: process.env.TERMII_SENDER_ID || 'Cocktails',
+        sms: text,
+        type: 'plain',
+        channel: process.env.TERMII_CHANNEL || 'generic'
+      });
+
+      return {
+        messageId: response.data.message_id,
+        raw: response.data
+      };
+    } catch (error) {
+      if (error.response) {
+        throw providerError(error.response.data.message || 'Termii request failed', error.response.data);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new TermiiProvider();
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const { providerError } = require('./providerError');
+
+const TWILIO_BASE_URL = 'https://api.twilio.com/2010-04-01';
+
+class TwilioProvider {
+  constructor() {
+    this.name = 'twilio';
+  }
+
+  async sendSms({ to, text }) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    if (!accountSid || !process.env.TWILIO_AUTH_TOKEN) {
+      throw providerError('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are not configured');
+    }
+
+    try {
+      const response = await axios.post(
+        `${TWILIO_BASE_URL}/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: process.env.TWILIO_FROM_NUMBER, Body: text }).toString(),
+        {
+          auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }
+      );
+
+      return {
+        messageId: response.data.sid,
+        raw: response.data
+      };
+    } catch (error) {
+      if (error.response) {
+        throw providerError(error.response.data.message || 'Twilio request failed', error.response.data);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new TwilioProvider();
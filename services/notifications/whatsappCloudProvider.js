@@ -0,0 +1,58 @@
+const axios = require('axios');
+const { providerError } = require('./providerError');
+
+const GRAPH_BASE_URL = 'https://graph.facebook.com';
+
+/**
+ * WhatsApp Cloud API. Messages to customers who have not written in the last
+ * 24 hours must use a template approved in WhatsApp Manager, so only template
+ * messages are sent.
+ */
+class WhatsAppCloudProvider {
+  constructor() {
+    this.name = 'cloud';
+  }
+
+  async sendTemplate({ to, template, language, parameters = [] }) {
+    const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+    if (!phoneNumberId || !process.env.WHATSAPP_ACCESS_TOKEN) {
+      throw providerError('WHATSAPP_PHONE_NUMBER_ID and WHATSAPP_ACCESS_TOKEN are not configured');
+    }
+
+    const version = process.env.WHATSAPP_API_VERSION || 'v19.0';
+
+    try {
+      const response = await axios.post(`${GRAPH_BASE_URL}/${version}/${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'template',
+        template: {
+          name: template,
+          language: { code: language },
+          components: [{
+            type: 'body',
+            parameters: parameters.map(text => ({ type: 'text', text: String(text) }))
+          }]
+        }
+      }, {
+        headers: {
+          Authorization: `Bearer ${process.env.WHATSAPP_ACCESS_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      return {
+        messageId: response.data.messages && response.data.messages[0] && response.data.messages[0].id,
+        raw: response.data
+      };
+    } catch (error) {
+      if (error.response) {
+        const details = error.response.data.error || error.response.data;
+        throw providerError(details.message || 'WhatsApp request failed', details);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = new WhatsAppCloudProvider();
@@ -0,0 +1,166 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const orderLifecycleService = require('./orderLifecycleService');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+
+// How long a cancellation may hold its claim on an order before another
+// request can take over from it
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+class OrderCancellationService {
+  /**
+   * Cancel an order, refunding its successful payment.
+   *
+   * `refundAmount` is in NGN; omit it to refund everything that is still
+   * refundable. The order is claimed with `cancellationRequestedAt` first, so
+   * of two cancellations racing each other only one refunds. The refund is
+   * issued before the order is cancelled so a failed refund leaves the order
+   * untouched.
+   *
+   * Returns `{ success: false, status, error, message, ... }` on failure, otherwise
+   * `{ success: true, order, refund }`.
+   */
+  async cancelOrder(order, { actor, actorRole, reason, refundAmount } = {}) {
+    const options = { actor, actorRole, note: reason, withRefund: true };
+    const check = orderLifecycleService.checkTransition(order, 'cancelled', options);
+
+    if (!check.allowed) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Invalid status transition',
+        message: check.reason,
+        currentStatus: order.fulfillmentStatus,
+        requestedStatus: 'cancelled',
+        allowedTransitions: orderLifecycleService.getAllowedTransitions(order, options)
+      };
+    }
+
+    const claimedAt = new Date();
+    const claimed = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        fulfillmentStatus: order.fulfillmentStatus,
+        $or: [
+          { cancellationRequestedAt: { $exists: false } },
+          { cancellationRequestedAt: { $lt: new Date(claimedAt - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { cancellationRequestedAt: claimedAt } }
+    );
+
+    if (!claimed) {
+      return {
+        success: false,
+        status: 409,
+        error: 'Cancellation in progress',
+        message: 'The order changed or is already being cancelled. Check its status and try again'
+      };
+    }
+
+    const result = await this.cancelClaimedOrder(order, options, refundAmount);
+    if (!result.success) {
+      await Order.updateOne(
+        { _id: order._id, cancellationRequestedAt: claimedAt },
+        { $unset: { cancellationRequestedAt: 1 } }
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Refund and cancel an order this request holds the cancellation claim for
+   */
+  async cancelClaimedOrder(order, options, refundAmount) {
+    const { actor, actorRole, note: reason } = options;
+    const payment = await Payment.findOne({ order: order._id, status: 'success' }).sort({ createdAt: -1 });
+    let refund = null;
+
+    if (payment && payment.refundableAmount > 0) {
+      const amount = refundAmount !== undefined && refundAmount !== null
+        ? Math.round(refundAmount * 100)
+        : payment.refundableAmount;
+
+      if (amount > payment.refundableAmount) {
+        return {
+          success: false,
+          status: 400,
+          error: 'Invalid refund amount',
+          message: `Refund cannot exceed the refundable balance of ₦${payment.refundableAmount / 100}`
+        };
+      }
+
+      if (amount > 0) {
+        try {
+          refund = await paymentService.refundPayment(payment, amount, {
+            reason: reason || 'Order cancelled',
+            initiatedBy: actor
+          });
+        } catch (error) {
+          console.error('Refund error:', error.details || error.message);
+          return {
+            success: false,
+            status: 502,
+            error: 'Refund failed',
+            message: error.message
+          };
+        }
+      }
+    }
+
+    const transition = await orderLifecycleService.transition(order, 'cancelled', options);
+
+    if (!transition.success) {
+      // Only reachable if the order changed under the claim; keep the refund on record
+      if (refund) {
+        const note = `Refunded ₦${refund.amount / 100} but the order could not be cancelled: ${transition.reason}`;
+        orderLifecycleService.recordPaymentEvent(order, payment.refundableAmount === 0 ? 'refunded' : 'partially_refunded', {
+          actor,
+          actorRole,
+          note
+        });
+        order.adminNotes.push({ note, addedBy: 'system', addedAt: new Date() });
+        await order.save();
+      }
+
+      return {
+        success: false,
+        status: 409,
+        error: 'Invalid status transition',
+        message: transition.reason,
+        refund
+      };
+    }
+
+    if (refund) {
+      const fullyRefunded = payment.refundableAmount === 0;
+      orderLifecycleService.recordPaymentEvent(order, fullyRefunded ? 'refunded' : 'partially_refunded', {
+        actor,
+        actorRole,
+        note: `Refunded ₦${refund.amount / 100}`
+      });
+    }
+
+    await order.save();
+
+    // Pending checkouts can no longer be completed
+    await Payment.updateMany(
+      { order: order._id, status: 'pending' },
+      { $set: { status: 'abandoned', failureReason: 'Order cancelled' } }
+    );
+
+    emailService.sendOrderCancellationEmail(order, {
+      reason,
+      refundAmount: refund ? refund.amount / 100 : 0,
+      email: payment?.webhookData?.customer?.email
+    }).catch(error => {
+      console.error('Failed to send cancellation email:', error);
+    });
+
+    return { success: true, order, refund };
+  }
+}
+
+module.exports = new OrderCancellationService();
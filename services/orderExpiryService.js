@@ -0,0 +1,126 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const inventoryReservationService = require('./inventoryReservationService');
+const promotionService = require('./promotionService');
+const orderLifecycleService = require('./orderLifecycleService');
+
+// Pay-on-delivery orders are unpaid until the rider collects, so only orders
+// paid online expire (orders from before payment methods existed paid online)
+const ONLINE_PAYMENT_FILTER = { paymentMethod: { $in: [null, 'card'] } };
+
+// Orders still waiting for payment, including ones whose last charge failed
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+class OrderExpiryService {
+  constructor() {
+    this.isProcessing = false;
+    this.ttlMinutes = parseInt(process.env.UNPAID_ORDER_TTL_MINUTES) || 60;
+  }
+
+  /**
+   * Expire orders that have been waiting for payment longer than the TTL
+   */
+  async expireUnpaidOrders() {
+    if (this.isProcessing) {
+      console.log('⚠️  Unpaid order sweep already in progress, skipping...');
+      return { expired: 0 };
+    }
+
+    this.isProcessing = true;
+
+    try {
+      const cutoff = new Date(Date.now() - this.ttlMinutes * 60 * 1000);
+      const staleOrders = await Order.find({
+        ...ONLINE_PAYMENT_FILTER,
+        paymentStatus: { $in: UNPAID_STATUSES },
+        fulfillmentStatus: 'new',
+        createdAt: { $lt: cutoff }
+      }).select('_id orderNumber paymentStatus');
+
+      let expired = 0;
+      for (const staleOrder of staleOrders) {
+        if (await this.expireOrder(staleOrder._id, staleOrder.paymentStatus)) {
+          expired++;
+        }
+      }
+
+      if (expired > 0) {
+        console.log(`⌛ Expired ${expired} unpaid order(s) older than ${this.ttlMinutes} minutes`);
+      }
+
+      return { expired };
+    } catch (error) {
+      console.error('❌ Error expiring unpaid orders:', error);
+      return { expired: 0, error: error.message };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Expire a single order whose payment status is `paymentStatus`. The status
+   * flip is conditional so an order that gets paid while the sweep is running
+   * is left alone.
+   */
+  async expireOrder(orderId, paymentStatus = 'pending') {
+    const note = `Order expired: no successful payment within ${this.ttlMinutes} minutes`;
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, ...ONLINE_PAYMENT_FILTER, paymentStatus, fulfillmentStatus: 'new' },
+      {
+        $set: {
+          paymentStatus: 'abandoned',
+          fulfillmentStatus: 'cancelled'
+        },
+        $push: {
+          statusHistory: {
+            $each: [
+              { type: 'payment', from: paymentStatus, to: 'abandoned', actor: 'system', actorRole: 'system', note, at: new Date() },
+              orderLifecycleService.buildHistoryEntry('new', 'cancelled', { note })
+            ]
+          },
+          adminNotes: {
+            note,
+            addedBy: 'system',
+            addedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      return false;
+    }
+
+    await Payment.updateMany(
+      { order: order._id, status: 'pending' },
+      { $set: { status: 'abandoned', failureReason: note } }
+    );
+
+    await inventoryReservationService.releaseOrderInventory(order, 'Unpaid order expired');
+
+    if (order.discounts && order.discounts.length > 0) {
+      await promotionService.releaseOrderRedemptions(order, 'Unpaid order expired');
+    }
+
+    return true;
+  }
+
+  /**
+   * Start the periodic unpaid order sweep
+   */
+  startPeriodicSweep(intervalMinutes = 5) {
+    console.log(`⏰ Expiring orders unpaid for ${this.ttlMinutes} minutes, checking every ${intervalMinutes} minutes`);
+
+    // Run initial sweep
+    this.expireUnpaidOrders();
+
+    // Set up periodic sweeps
+    setInterval(() => {
+      this.expireUnpaidOrders();
+    }, intervalMinutes * 60 * 1000);
+  }
+}
+
+module.exports = new OrderExpiryService();
@@ -0,0 +1,162 @@
+const inventoryReservationService = require('./inventoryReservationService');
+const promotionService = require('./promotionService');
+const catalogSearchService = require('./catalogSearchService');
+
+// Fulfillment statuses an order can move to from each status
+const TRANSITIONS = {
+  new: ['preparing', 'cancelled'],
+  preparing: ['in_route', 'cancelled'],
+  in_route: ['delivered', 'cancelled'],
+  delivered: [],
+  cancelled: []
+};
+
+const FULFILLMENT_STATUSES = Object.keys(TRANSITIONS);
+
+// Extra conditions an order must meet before entering a status.
+// Each guard receives the order and the transition options and returns a
+// reason string when the move is not allowed.
+const GUARDS = {
+  cancelled: [
+    (order, { actorRole }) => actorRole === 'customer' && order.fulfillmentStatus !== 'new' &&
+      'Orders can only be cancelled before preparation starts. Please contact support',
+    // Only the cancellation service refunds the payment along with the cancel
+    (order, { withRefund }) => !withRefund && ['paid', 'partially_refunded'].includes(order.paymentStatus) &&
+      'Paid orders must be cancelled with POST /admin/orders/{id}/cancel so the payment is refunded'
+  ],
+  // Pay-on-delivery orders are prepared and dispatched unpaid; the rider collects at the door
+  preparing: [
+    order => order.paymentStatus !== 'paid' && !order.paysOnDelivery && 'Order must be paid before preparation starts'
+  ],
+  in_route: [
+    order => order.paymentStatus !== 'paid' && !order.paysOnDelivery && 'Order must be paid before it can go out for delivery'
+  ],
+  delivered: [
+    order => order.paymentStatus !== 'paid' && (order.paysOnDelivery
+      ? 'Record the payment collected by the rider before marking the order as delivered'
+      : 'Order must be paid before it can be marked as delivered'),
+    order => order.awaitingIdCheck && 'Delivery staff must confirm the customer\'s ID before the order can be marked as delivered'
+  ]
+};
+
+class OrderLifecycleService {
+  constructor() {
+    this.transitions = TRANSITIONS;
+    this.statuses = FULFILLMENT_STATUSES;
+  }
+
+  /**
+   * Get the statuses an order may move to next
+   */
+  getAllowedTransitions(order, options = {}) {
+    return (TRANSITIONS[order.fulfillmentStatus] || [])
+      .filter(status => this.checkTransition(order, status, options).allowed);
+  }
+
+  /**
+   * Check whether an order may move to the requested status
+   */
+  checkTransition(order, toStatus, options = {}) {
+    const fromStatus = order.fulfillmentStatus;
+
+    if (!FULFILLMENT_STATUSES.includes(toStatus)) {
+      return { allowed: false, reason: `Unknown fulfillment status: ${toStatus}` };
+    }
+
+    if (fromStatus === toStatus) {
+      return { allowed: false, reason: `Order is already ${fromStatus}` };
+    }
+
+    if (!(TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+      return { allowed: false, reason: `Cannot move an order from ${fromStatus} to ${toStatus}` };
+    }
+
+    for (const guard of GUARDS[toStatus] || []) {
+      const reason = guard(order, options);
+      if (reason) {
+        return { allowed: false, reason };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Build a status history entry
+   */
+  buildHistoryEntry(fromStatus, toStatus, { actor = 'system', actorRole = 'system', note } = {}) {
+    return {
+      type: 'fulfillment',
+      from: fromStatus,
+      to: toStatus,
+      actor,
+      actorRole,
+      note,
+      at: new Date()
+    };
+  }
+
+  /**
+   * Move an order to a new fulfillment status.
+   *
+   * Records the move in `statusHistory` and runs the side effects of entering
+   * the new status. The caller is responsible for saving the order.
+   */
+  async transition(order, toStatus, options = {}) {
+    const previousStatus = order.fulfillmentStatus;
+    const check = this.checkTransition(order, toStatus, options);
+
+    if (!check.allowed) {
+      return {
+        success: false,
+        reason: check.reason,
+        previousStatus,
+        allowedTransitions: this.getAllowedTransitions(order, options)
+      };
+    }
+
+    order.fulfillmentStatus = toStatus;
+    order.statusHistory.push(this.buildHistoryEntry(previousStatus, toStatus, options));
+
+    if (toStatus === 'cancelled') {
+      const reason = options.note ? `Order cancelled: ${options.note}` : 'Order cancelled';
+      await inventoryReservationService.releaseOrderInventory(order, reason);
+
+      if (order.discounts && order.discounts.length > 0) {
+        await promotionService.releaseOrderRedemptions(order, reason);
+      }
+    }
+
+    if (toStatus === 'delivered') {
+      await catalogSearchService.recordSales(order);
+    }
+
+    return { success: true, previousStatus };
+  }
+
+  /**
+   * Set an order's payment status and record the change in `statusHistory`.
+   * Repeated notifications for the same status are not recorded twice.
+   */
+  recordPaymentEvent(order, toStatus, { actor = 'system', actorRole = 'system', note, at } = {}) {
+    const previousStatus = order.paymentStatus;
+    if (previousStatus === toStatus) {
+      return false;
+    }
+
+    order.paymentStatus = toStatus;
+    order.statusHistory.push({
+      type: 'payment',
+      from: previousStatus,
+      to: toStatus,
+      actor,
+      actorRole,
+      note,
+      at: at || new Date()
+    });
+
+    return true;
+  }
+}
+
+module.exports = new OrderLifecycleService();
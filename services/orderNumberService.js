@@ -0,0 +1,98 @@
+const Counter = require('../models/Counter');
+
+// Two-letter codes used in per-state order numbers
+const STATE_CODES = {
+  'Abia': 'AB', 'Adamawa': 'AD', 'Akwa Ibom': 'AK', 'Anambra': 'AN', 'Bauchi': 'BA', 'Bayelsa': 'BY',
+  'Benue': 'BE', 'Borno': 'BO', 'Cross River': 'CR', 'Delta': 'DE', 'Ebonyi': 'EB', 'Edo': 'ED',
+  'Ekiti': 'EK', 'Enugu': 'EN', 'FCT': 'FC', 'Gombe': 'GO', 'Imo': 'IM', 'Jigawa': 'JI',
+  'Kaduna': 'KD', 'Kano': 'KN', 'Katsina': 'KT', 'Kebbi': 'KE', 'Kogi': 'KO', 'Kwara': 'KW',
+  'Lagos': 'LA', 'Nasarawa': 'NA', 'Niger': 'NI', 'Ogun': 'OG', 'Ondo': 'ON', 'Osun': 'OS',
+  'Oyo': 'OY', 'Plateau': 'PL', 'Rivers': 'RI', 'Sokoto': 'SO', 'Taraba': 'TA', 'Yobe': 'YO', 'Zamfara': 'ZA'
+};
+
+const RESET_MODES = ['none', 'yearly', 'state', 'yearly_state'];
+
+// Order numbers issued before the sequence generator carry no check digit
+const LEGACY_PATTERN = /^ORD-\d{6}$/;
+const CHECKED_PATTERN = /^[A-Z0-9]+(-[A-Z0-9]+)+-\d$/;
+
+class OrderNumberService {
+  constructor() {
+    this.prefix = (process.env.ORDER_NUMBER_PREFIX || 'ORD').toUpperCase();
+    this.resetMode = RESET_MODES.includes(process.env.ORDER_NUMBER_RESET)
+      ? process.env.ORDER_NUMBER_RESET
+      : 'none';
+    this.padLength = 6;
+  }
+
+  /**
+   * Current year in Lagos time so numbering rolls over at local midnight
+   */
+  getYear(date = new Date()) {
+    return new Intl.DateTimeFormat('en-NG', { timeZone: 'Africa/Lagos', year: 'numeric' }).format(date);
+  }
+
+  /**
+   * Luhn check digit over the number's characters. Letters are expanded to
+   * two digits (A=10 ... Z=35) as in ISIN codes.
+   */
+  computeCheckDigit(body) {
+    const digits = body
+      .replace(/-/g, '')
+      .split('')
+      .map(char => (/\d/.test(char) ? char : String(char.charCodeAt(0) - 55)))
+      .join('');
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = parseInt(digits[digits.length - 1 - i]);
+      if (i % 2 === 0) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  /**
+   * Allocate the next order number for the given delivery state
+   */
+  async generate(state) {
+    const segments = [this.prefix];
+
+    if (this.resetMode === 'yearly' || this.resetMode === 'yearly_state') {
+      segments.push(this.getYear());
+    }
+
+    if (this.resetMode === 'state' || this.resetMode === 'yearly_state') {
+      segments.push(STATE_CODES[state] || 'XX');
+    }
+
+    const key = ['order', ...segments.slice(1)].join(':');
+    const seq = await Counter.next(key);
+
+    segments.push(String(seq).padStart(this.padLength, '0'));
+
+    const body = segments.join('-');
+    return `${body}-${this.computeCheckDigit(body)}`;
+  }
+
+  /**
+   * Check an order number's shape and check digit without touching the database
+   */
+  isValid(orderNumber) {
+    if (typeof orderNumber !== 'string') return false;
+
+    const value = orderNumber.trim().toUpperCase();
+
+    if (LEGACY_PATTERN.test(value)) return true;
+    if (!CHECKED_PATTERN.test(value)) return false;
+
+    const body = value.slice(0, -2);
+    return this.computeCheckDigit(body) === value.slice(-1);
+  }
+}
+
+module.exports = new OrderNumberService();
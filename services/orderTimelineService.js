@@ -0,0 +1,230 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+
+// Fallback when there is not enough delivery history to estimate from
+const DEFAULT_DELIVERY_HOURS = parseFloat(process.env.DEFAULT_DELIVERY_HOURS) || 3;
+const MIN_SAMPLES = 5;
+const SAMPLE_SIZE = 50;
+const STATS_CACHE_MS = 10 * 60 * 1000;
+
+const FULFILLMENT_STEPS = {
+  new: { label: 'placed', description: 'Order placed successfully', icon: '📝' },
+  preparing: { label: 'preparing', description: 'Order is being prepared', icon: '👨‍🍳' },
+  in_route: { label: 'in_route', description: 'Order is on the way', icon: '🚚' },
+  delivered: { label: 'delivered', description: 'Order delivered successfully', icon: '🎉' },
+  cancelled: { label: 'cancelled', description: 'Order cancelled', icon: '❌' }
+};
+
+const PAYMENT_STEPS = {
+  pending: { label: 'payment_pending', description: 'Awaiting payment', icon: '⏳' },
+  paid: { label: 'payment_confirmed', description: 'Payment confirmed', icon: '💳' },
+  failed: { label: 'payment_failed', description: 'Payment failed', icon: '⚠️' },
+  refunded: { label: 'refunded', description: 'Payment refunded', icon: '↩️' },
+  partially_refunded: { label: 'partially_refunded', description: 'Payment partially refunded', icon: '↩️' },
+  abandoned: { label: 'payment_abandoned', description: 'Payment not completed in time', icon: '⌛' },
+  needs_review: { label: 'payment_under_review', description: 'Payment is being reviewed', icon: '🔍' }
+};
+
+// Events customers see; admins see every persisted event
+const CUSTOMER_EVENTS = ['placed', 'payment_confirmed', 'preparing', 'in_route', 'delivered', 'cancelled', 'refunded', 'partially_refunded'];
+
+const ESTIMATE_FROM = ['new', 'preparing', 'in_route'];
+
+class OrderTimelineService {
+  constructor() {
+    this.durationCache = new Map();
+  }
+
+  /**
+   * Turn the persisted status history into timeline events
+   */
+  buildEvents(order) {
+    const history = order.statusHistory || [];
+
+    // Orders created before status history existed only know when they were placed
+    if (history.length === 0) {
+      return [{
+        type: 'fulfillment',
+        status: 'placed',
+        timestamp: order.createdAt,
+        description: FULFILLMENT_STEPS.new.description,
+        icon: FULFILLMENT_STEPS.new.icon
+      }];
+    }
+
+    return history
+      .map(entry => {
+        const step = entry.type === 'payment' ? PAYMENT_STEPS[entry.to] : FULFILLMENT_STEPS[entry.to];
+        return {
+          type: entry.type,
+          status: step ? step.label : entry.to,
+          from: entry.from,
+          timestamp: entry.at,
+          description: step ? step.description : `Status changed to ${entry.to}`,
+          icon: step ? step.icon : '•',
+          actor: entry.actor,
+          actorRole: entry.actorRole,
+          note: entry.note
+        };
+      })
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  /**
+   * Build the timeline for the requested audience
+   */
+  buildTimeline(order, audience = 'customer') {
+    const events = this.buildEvents(order);
+
+    if (audience === 'admin') {
+      return events;
+    }
+
+    return events
+      .filter(event => CUSTOMER_EVENTS.includes(event.status))
+      .map(({ status, timestamp, description }) => ({ status, timestamp, description }));
+  }
+
+  /**
+   * When the order most recently entered a fulfillment status
+   */
+  getStatusEnteredAt(order, status) {
+    const entries = (order.statusHistory || [])
+      .filter(entry => entry.type === 'fulfillment' && entry.to === status);
+
+    if (entries.length > 0) {
+      return entries[entries.length - 1].at;
+    }
+
+    return status === 'new' ? order.createdAt : null;
+  }
+
+  /**
+   * Median time (ms) from entering each status to delivery, taken from
+   * recently delivered orders in the same state
+   */
+  async getDeliveryDurations(state) {
+    const cached = this.durationCache.get(state);
+    if (cached && Date.now() - cached.computedAt < STATS_CACHE_MS) {
+      return cached.durations;
+    }
+
+    const recentOrders = await Order.find({
+      'customer.state': state,
+      fulfillmentStatus: 'delivered',
+      'statusHistory.to': 'delivered'
+    })
+      .sort({ updatedAt: -1 })
+      .limit(SAMPLE_SIZE)
+      .select('statusHistory createdAt');
+
+    const samples = { new: [], preparing: [], in_route: [] };
+
+    for (const recent of recentOrders) {
+      const deliveredAt = this.getStatusEnteredAt(recent, 'delivered');
+      if (!deliveredAt) continue;
+
+      for (const status of ESTIMATE_FROM) {
+        const enteredAt = this.getStatusEnteredAt(recent, status);
+        if (enteredAt && deliveredAt > enteredAt) {
+          samples[status].push(deliveredAt - enteredAt);
+        }
+      }
+    }
+
+    const durations = {};
+    for (const status of ESTIMATE_FROM) {
+      durations[status] = samples[status].length >= MIN_SAMPLES ? this.median(samples[status]) : null;
+    }
+
+    this.durationCache.set(state, { durations, computedAt: Date.now() });
+    return durations;
+  }
+
+  median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  /**
+   * Estimate delivery from the order's state and recent delivery durations
+   */
+  async estimateDelivery(order) {
+    const status = order.fulfillmentStatus;
+
+    if (status === 'delivered') {
+      return { at: this.getStatusEnteredAt(order, 'delivered') || order.updatedAt, basis: 'delivered' };
+    }
+
+    if (status === 'cancelled') {
+      return { at: null, basis: 'cancelled' };
+    }
+
+    if (order.estimatedDeliveryTime) {
+      return { at: order.estimatedDeliveryTime, basis: 'admin' };
+    }
+
+    const enteredAt = new Date(this.getStatusEnteredAt(order, status) || order.createdAt);
+    const durations = await this.getDeliveryDurations(order.customer.state);
+    const duration = durations[status];
+
+    const estimate = duration
+      ? { at: new Date(enteredAt.getTime() + duration), basis: 'history' }
+      : { at: new Date(new Date(order.createdAt).getTime() + DEFAULT_DELIVERY_HOURS * 60 * 60 * 1000), basis: 'default' };
+
+    // Never promise a time that has already passed
+    if (estimate.at < new Date()) {
+      estimate.at = new Date();
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Which milestones the order has reached
+   */
+  buildProgress(order) {
+    const reached = status => (order.statusHistory || [])
+      .some(entry => entry.type === 'fulfillment' && entry.to === status) || order.fulfillmentStatus === status;
+
+    return {
+      placed: true,
+      confirmed: ['paid', 'refunded', 'partially_refunded'].includes(order.paymentStatus),
+      preparing: reached('preparing'),
+      inRoute: reached('in_route'),
+      delivered: order.fulfillmentStatus === 'delivered'
+    };
+  }
+
+  /**
+   * Build the tracking payload shared by the tracking, order and admin endpoints
+   */
+  async buildTracking(order, audience = 'customer') {
+    const estimate = await this.estimateDelivery(order);
+
+    const tracking = {
+      orderNumber: order.orderNumber,
+      status: order.fulfillmentStatus,
+      paymentStatus: order.paymentStatus,
+      estimatedDelivery: estimate.at ? new Date(estimate.at).toISOString() : null,
+      estimatedDeliveryBasis: estimate.basis,
+      orderProgress: this.buildProgress(order),
+      timeline: this.buildTimeline(order, audience),
+      lastUpdated: order.updatedAt
+    };
+
+    if (audience === 'admin') {
+      const payments = await Payment.find({ order: order._id })
+        .sort({ createdAt: 1 })
+        .select('paystackReference amount currency status paidAt failureReason createdAt');
+
+      tracking.adminNotes = order.adminNotes || [];
+      tracking.payments = payments;
+    }
+
+    return tracking;
+  }
+}
+
+module.exports = new OrderTimelineService();
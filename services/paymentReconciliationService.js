@@ -0,0 +1,244 @@
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const emailService = require('./emailService');
+const orderLifecycleService = require('./orderLifecycleService');
+const paymentService = require('./paymentService');
+
+// Payment statuses a charge has already been applied to
+const SETTLED_STATUSES = ['success', 'needs_review'];
+
+class PaymentReconciliationService {
+  /**
+   * Compare a successful charge, as normalized by the payment provider, with
+   * the payment record and the order it pays for. Amounts are in kobo.
+   */
+  findDiscrepancies(payment, order, charge) {
+    const discrepancies = [];
+
+    const receivedAmount = Number(charge.amount);
+    if (receivedAmount !== payment.amount) {
+      discrepancies.push({ field: 'amount', expected: payment.amount, received: receivedAmount });
+    }
+
+    const expectedCurrency = (payment.currency || 'NGN').toUpperCase();
+    const receivedCurrency = (charge.currency || '').toUpperCase();
+    if (receivedCurrency !== expectedCurrency) {
+      discrepancies.push({ field: 'currency', expected: expectedCurrency, received: receivedCurrency });
+    }
+
+    // The payment was initialized for a different total than the order now has
+    const orderTotal = Math.round(order.totalAmount * 100);
+    if (payment.amount !== orderTotal) {
+      discrepancies.push({ field: 'orderTotal', expected: orderTotal, received: payment.amount });
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Human readable summary of the discrepancies
+   */
+  describe(discrepancies) {
+    const format = (field, value) => (field === 'currency' ? value : `₦${value / 100}`);
+
+    return discrepancies
+      .map(({ field, expected, received }) => `${field}: expected ${format(field, expected)}, got ${format(field, received)}`)
+      .join('; ');
+  }
+
+  /**
+   * Apply a successful charge reported by the payment provider. The order is
+   * only marked paid when the charge matches; otherwise the payment and order
+   * are held in `needs_review` and admins are alerted. A charge for an order
+   * that already expired or was cancelled is refunded instead, since the
+   * order's stock and promotions were released.
+   *
+   * The webhook and verification can report the same charge at once, so the
+   * payment is first moved out of its unsettled state with a conditional
+   * update; only the caller that wins settles, refunds or alerts.
+   *
+   * `payment.order` must be populated. Returns `{ matched, discrepancies }`,
+   * with `refunded` set for late charges and `alreadySettled` when another
+   * caller settled the charge first.
+   */
+  async settleSuccessfulCharge(payment, charge, { note } = {}) {
+    const order = payment.order;
+    const discrepancies = this.findDiscrepancies(payment, order, charge);
+    const isLate = order.fulfillmentStatus === 'cancelled' || order.paymentStatus === 'abandoned';
+    // The order total no longer matters once the order is cancelled
+    const chargeMatches = discrepancies.every(({ field }) => isLate && field === 'orderTotal');
+
+    const settlement = {
+      status: chargeMatches ? 'success' : 'needs_review',
+      paidAt: charge.paidAt || new Date(),
+      webhookData: charge.raw,
+      reconciliation: { discrepancies, checkedAt: new Date() }
+    };
+
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $nin: SETTLED_STATUSES } },
+      { $set: settlement },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const current = await Payment.findById(payment._id).select('status');
+      payment.status = current.status;
+      return { matched: false, alreadySettled: true, discrepancies };
+    }
+
+    payment.set(settlement);
+
+    if (isLate) {
+      return this.refundLateCharge(payment, order, charge, discrepancies);
+    }
+
+    if (discrepancies.length === 0) {
+      orderLifecycleService.recordPaymentEvent(order, 'paid', { note, at: payment.paidAt });
+      await order.save();
+
+      this.sendConfirmation(order).catch(error => {
+        console.error('Failed to send order confirmation:', error);
+      });
+
+      return { matched: true, discrepancies };
+    }
+
+    const summary = `Payment ${payment.paystackReference} does not match the order (${this.describe(discrepancies)})`;
+    await this.holdForReview(payment, order, discrepancies, summary);
+
+    orderLifecycleService.recordPaymentEvent(order, 'needs_review', { note: summary });
+    await order.save();
+
+    return { matched: false, discrepancies };
+  }
+
+  /**
+   * Refund a charge that arrived after its order expired or was cancelled.
+   * The order stays cancelled. Charges that do not match what was initialized,
+   * or whose refund fails, are held for review instead.
+   */
+  async refundLateCharge(payment, order, charge, discrepancies) {
+    const reason = `Payment ${payment.paystackReference} arrived after the order was ${order.paymentStatus === 'abandoned' ? 'expired' : 'cancelled'}`;
+    // The order total no longer matters once the order is cancelled
+    const chargeDiscrepancies = discrepancies.filter(({ field }) => field !== 'orderTotal');
+
+    if (chargeDiscrepancies.length === 0) {
+      try {
+        const refund = await paymentService.refundPayment(payment, payment.refundableAmount, {
+          reason,
+          initiatedBy: 'system'
+        });
+
+        orderLifecycleService.recordPaymentEvent(order, 'refunded', { note: `${reason}; refunded ₦${refund.amount / 100}` });
+        order.adminNotes.push({ note: `${reason}; refunded in full`, addedBy: 'system', addedAt: new Date() });
+        await order.save();
+
+        console.warn(`⚠️  ${reason}; refunded in full`);
+        return { matched: false, refunded: true, discrepancies };
+      } catch (error) {
+        console.error('Late charge refund error:', error.details || error.message);
+      }
+    }
+
+    const summary = chargeDiscrepancies.length > 0
+      ? `${reason} and does not match it (${this.describe(chargeDiscrepancies)}). Refund it manually`
+      : `${reason} and could not be refunded automatically. Refund it manually`;
+    await this.holdForReview(payment, order, chargeDiscrepancies, summary);
+    await order.save();
+
+    return { matched: false, discrepancies };
+  }
+
+  /**
+   * Hold a payment in `needs_review`, note why on the order and alert admins.
+   * The caller saves the order.
+   */
+  async holdForReview(payment, order, discrepancies, summary) {
+    payment.status = 'needs_review';
+    payment.failureReason = summary;
+    await payment.save();
+
+    order.adminNotes.push({ note: summary, addedBy: 'system', addedAt: new Date() });
+
+    console.warn(`⚠️  ${summary}`);
+
+    const reasons = discrepancies.length > 0 ? discrepancies.map(discrepancy => this.describe([discrepancy])) : [summary];
+    this.alertAdmins(payment, order, reasons).catch(error => {
+      console.error('Failed to send payment review alert:', error);
+    });
+  }
+
+  /**
+   * Settle a payment held for review. Accepting marks the order paid;
+   * rejecting marks the payment failed.
+   */
+  async resolve(payment, { resolution, note, resolvedBy }) {
+    const order = payment.order;
+    const accepted = resolution === 'accepted';
+
+    payment.status = accepted ? 'success' : 'failed';
+    payment.reconciliation.resolution = resolution;
+    payment.reconciliation.resolvedBy = resolvedBy;
+    payment.reconciliation.resolvedAt = new Date();
+    payment.reconciliation.resolutionNote = note;
+    await payment.save();
+
+    orderLifecycleService.recordPaymentEvent(order, accepted ? 'paid' : 'failed', {
+      actor: resolvedBy,
+      actorRole: 'admin',
+      note: note || `Payment review ${resolution}`
+    });
+    await order.save();
+
+    if (accepted) {
+      this.sendConfirmation(order).catch(error => {
+        console.error('Failed to send order confirmation:', error);
+      });
+    }
+
+    return payment;
+  }
+
+  /**
+   * Email the order confirmation once the order is paid. The send is claimed
+   * on the order first, so a webhook and a verify call settling the same
+   * payment cannot both send it.
+   */
+  async sendConfirmation(order) {
+    if (!order.customer.email) {
+      return { queued: false };
+    }
+
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, confirmationSentAt: { $exists: false } },
+      { $set: { confirmationSentAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { queued: false };
+    }
+
+    const result = await emailService.sendOrderConfirmationEmail(claimed);
+    return { queued: result.success };
+  }
+
+  async alertAdmins(payment, order, reasons) {
+    const adminEmails = await this.getAdminEmails();
+
+    for (const email of adminEmails) {
+      await emailService.sendPaymentReviewAlert(payment, order, reasons, email);
+    }
+  }
+
+  /**
+   * Get admin email addresses
+   */
+  async getAdminEmails() {
+    const User = require('../models/User');
+    const admins = await User.find({ role: 'admin', isActive: true }).select('email');
+    return admins.map(admin => admin.email);
+  }
+}
+
+module.exports = new PaymentReconciliationService();
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const paymentProviders = require('./payments');
+
+class PaymentService {
+  /**
+   * Ask the payment's provider to refund it.
+   *
+   * `amount` is in kobo; omit it to refund whatever is left on the transaction.
+   */
+  async refund(payment, amount, { reason } = {}) {
+    return paymentProviders.get(payment.provider).refund({
+      reference: payment.paystackReference,
+      amount,
+      currency: payment.currency || 'NGN',
+      reason
+    });
+  }
+
+  /**
+   * Refund a payment and record the refund against it.
+   *
+   * The amount is taken from the refundable balance with a conditional `$inc`
+   * before the provider is called, so concurrent refunds cannot return more
+   * than was paid between them; it is given back if the provider refuses.
+   * Returns the refund entry that was added to `payment.refunds`.
+   */
+  async refundPayment(payment, amount, { reason, initiatedBy }) {
+    const reserved = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$amountRefunded', 0] }, amount] }, '$amount'] }
+      },
+      { $inc: { amountRefunded: amount } }
+    );
+
+    if (!reserved) {
+      const current = await Payment.findById(payment._id).select('amount amountRefunded');
+      const refundable = current ? Math.max(current.amount - (current.amountRefunded || 0), 0) : 0;
+      throw new Error(`Refund amount exceeds the refundable balance of ₦${refundable / 100}`);
+    }
+
+    let result;
+    try {
+      result = await this.refund(payment, amount, { reason });
+    } catch (error) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { amountRefunded: -amount } });
+      throw error;
+    }
+
+    const entry = {
+      _id: new mongoose.Types.ObjectId(),
+      amount,
+      reason,
+      status: result.status,
+      providerReference: result.id,
+      initiatedBy,
+      gatewayResponse: result.raw,
+      createdAt: new Date(),
+      processedAt: result.status === 'processed' ? new Date() : undefined
+    };
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id },
+      { $push: { refunds: entry } },
+      { new: true }
+    );
+
+    // Bring the caller's copy up to date without queueing another write
+    payment.set({ amountRefunded: updated.amountRefunded, refunds: updated.toObject().refunds });
+    payment.unmarkModified('amountRefunded');
+    payment.unmarkModified('refunds');
+
+    return payment.refunds.find(refund => refund._id.equals(entry._id));
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,261 @@
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const paymentProviders = require('./payments');
+const orderLifecycleService = require('./orderLifecycleService');
+const paymentReconciliationService = require('./paymentReconciliationService');
+
+// How long an event may stay `processing` before it is considered abandoned
+// by a crashed process and can be claimed again
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+class PaymentWebhookService {
+  constructor() {
+    this.handlers = {
+      'charge.success': event => this.handleChargeSuccess(event),
+      'charge.failed': event => this.handleChargeFailed(event),
+      'refund.processed': event => this.handleRefundProcessed(event),
+      'refund.failed': event => this.handleRefundFailed(event),
+      'dispute.created': event => this.handleDisputeCreated(event)
+    };
+  }
+
+  /**
+   * Store an incoming event in the ledger. Redeliveries of a known event
+   * return the existing entry.
+   */
+  async record(providerName, payload, rawBody) {
+    const parsed = paymentProviders.get(providerName).parseWebhook(payload, rawBody);
+
+    try {
+      const webhookEvent = await WebhookEvent.create({
+        provider: providerName,
+        eventId: parsed.eventId,
+        event: parsed.event,
+        reference: parsed.reference,
+        payload
+      });
+      return { webhookEvent, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const webhookEvent = await WebhookEvent.findOneAndUpdate(
+        { provider: providerName, eventId: parsed.eventId },
+        { $inc: { deliveries: 1 } },
+        { new: true }
+      );
+      return { webhookEvent, duplicate: true };
+    }
+  }
+
+  /**
+   * Filter for ledger entries that may be claimed: new or previously failed
+   * ones, and ones left `processing` for longer than CLAIM_TIMEOUT_MS by a
+   * process that crashed mid-handling
+   */
+  claimableFilter(now = new Date()) {
+    return {
+      $or: [
+        { status: { $in: ['received', 'failed'] } },
+        {
+          status: 'processing',
+          $or: [
+            { claimedAt: { $exists: false } },
+            { claimedAt: { $lt: new Date(now - CLAIM_TIMEOUT_MS) } }
+          ]
+        }
+      ]
+    };
+  }
+
+  /**
+   * Whether an admin may replay the entry
+   */
+  isReplayable(webhookEvent, now = new Date()) {
+    if (webhookEvent.status === 'failed') {
+      return true;
+    }
+
+    return webhookEvent.status === 'processing' &&
+      (!webhookEvent.claimedAt || now - webhookEvent.claimedAt > CLAIM_TIMEOUT_MS);
+  }
+
+  /**
+   * Process a ledger entry. Only claimable entries are picked up, and the
+   * claim is atomic so concurrent deliveries and replays never apply the same
+   * event twice.
+   */
+  async process(webhookEventId, { replayedBy } = {}) {
+    const now = new Date();
+    const update = { $set: { status: 'processing', claimedAt: now }, $inc: { attempts: 1 } };
+    if (replayedBy) {
+      update.$set.replayedBy = replayedBy;
+    }
+
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      { _id: webhookEventId, ...this.claimableFilter(now) },
+      update,
+      { new: true }
+    );
+
+    if (!webhookEvent) {
+      const existing = await WebhookEvent.findById(webhookEventId);
+      return { claimed: false, webhookEvent: existing };
+    }
+
+    try {
+      const event = paymentProviders.get(webhookEvent.provider).parseWebhook(webhookEvent.payload);
+      event.provider = webhookEvent.provider;
+
+      const handler = this.handlers[event.type];
+      const outcome = handler ? await handler(event) : { status: 'ignored', message: 'Unhandled event type' };
+
+      webhookEvent.status = outcome.status;
+      webhookEvent.lastError = outcome.status === 'ignored' ? outcome.message : undefined;
+      webhookEvent.processedAt = new Date();
+    } catch (error) {
+      console.error(`Webhook ${webhookEvent.eventId} failed:`, error);
+      webhookEvent.status = 'failed';
+      webhookEvent.lastError = error.message;
+    }
+
+    await webhookEvent.save();
+    return { claimed: true, webhookEvent };
+  }
+
+  async findPayment(event) {
+    if (!event.reference) return null;
+
+    return Payment.findOne({ paystackReference: event.reference }).populate('order');
+  }
+
+  async handleChargeSuccess(event) {
+    const payment = await this.findPayment(event);
+    if (!payment) {
+      return { status: 'ignored', message: 'No payment matches this reference' };
+    }
+
+    // Charges already settled, including ones held for review, are not re-applied
+    if (!['success', 'needs_review'].includes(payment.status)) {
+      const { matched } = await paymentReconciliationService.settleSuccessfulCharge(payment, event.data, {
+        note: `${event.provider} charge.success webhook (${payment.paystackReference})`
+      });
+
+      if (matched) {
+        console.log(`Payment successful for order ${payment.order.orderNumber}`);
+      }
+    }
+
+    return { status: 'processed' };
+  }
+
+  async handleChargeFailed(event) {
+    const payment = await this.findPayment(event);
+    if (!payment) {
+      return { status: 'ignored', message: 'No payment matches this reference' };
+    }
+
+    payment.status = 'failed';
+    payment.failureReason = event.data.gatewayResponse || 'Payment failed';
+    payment.webhookData = event.data.raw;
+    await payment.save();
+
+    const order = payment.order;
+    orderLifecycleService.recordPaymentEvent(order, 'failed', {
+      note: `${event.provider} charge.failed webhook: ${payment.failureReason}`
+    });
+    await order.save();
+
+    console.log(`Payment failed for order ${order.orderNumber}`);
+    return { status: 'processed' };
+  }
+
+  /**
+   * Match a refund event to the refund entry created when it was requested
+   */
+  findRefund(payment, data) {
+    const byReference = data.id &&
+      payment.refunds.find(refund => refund.providerReference === data.id);
+
+    return byReference || payment.refunds.find(refund =>
+      refund.status === 'pending' && refund.amount === data.amount);
+  }
+
+  async handleRefundProcessed(event) {
+    const payment = await this.findPayment(event);
+    const refund = payment && this.findRefund(payment, event.data);
+    if (!refund) {
+      return { status: 'ignored', message: 'No refund matches this event' };
+    }
+
+    if (refund.status !== 'processed') {
+      refund.status = 'processed';
+      refund.processedAt = new Date();
+      refund.gatewayResponse = event.data.raw;
+      await payment.save();
+    }
+
+    return { status: 'processed' };
+  }
+
+  async handleRefundFailed(event) {
+    const payment = await this.findPayment(event);
+    const refund = payment && this.findRefund(payment, event.data);
+    if (!refund) {
+      return { status: 'ignored', message: 'No refund matches this event' };
+    }
+
+    if (refund.status === 'failed') {
+      return { status: 'processed' };
+    }
+
+    refund.status = 'failed';
+    refund.gatewayResponse = event.data.raw;
+    payment.amountRefunded = Math.max((payment.amountRefunded || 0) - refund.amount, 0);
+    await payment.save();
+
+    // The money never left, so the order is back to its pre-refund payment status
+    const order = payment.order;
+    const note = `${event.provider} could not refund ₦${refund.amount / 100}. The refund needs to be handled manually`;
+    orderLifecycleService.recordPaymentEvent(order, payment.amountRefunded > 0 ? 'partially_refunded' : 'paid', { note });
+    order.adminNotes.push({ note, addedBy: 'system', addedAt: new Date() });
+    await order.save();
+
+    console.log(`Refund failed for order ${order.orderNumber}`);
+    return { status: 'processed' };
+  }
+
+  async handleDisputeCreated(event) {
+    const payment = await this.findPayment(event);
+    if (!payment) {
+      return { status: 'ignored', message: 'No payment matches this dispute' };
+    }
+
+    const data = event.data;
+
+    if (!payment.disputes.some(dispute => dispute.providerReference === data.id)) {
+      payment.disputes.push({
+        providerReference: data.id,
+        status: data.status,
+        category: data.category,
+        amount: data.amount,
+        dueAt: data.dueAt,
+        gatewayResponse: data.raw
+      });
+      await payment.save();
+
+      const order = payment.order;
+      order.adminNotes.push({
+        note: `Customer opened a ${event.provider} dispute (${data.id})${data.dueAt ? `, respond by ${data.dueAt.toISOString()}` : ''}`,
+        addedBy: 'system',
+        addedAt: new Date()
+      });
+      await order.save();
+
+      console.log(`Dispute opened for order ${order.orderNumber}`);
+    }
+
+    return { status: 'processed' };
+  }
+}
+
+module.exports = new PaymentWebhookService();
@@ -0,0 +1,61 @@
+const paystackProvider = require('./paystackProvider');
+const mockProvider = require('./mockProvider');
+const { providerError } = require('./providerError');
+
+/**
+ * Payment providers share one interface:
+ *
+ *   initialize({ reference, amount, currency, email, callbackUrl, metadata })
+ *     -> { reference, authorizationUrl, accessCode, raw }
+ *   verify(reference)
+ *     -> { status: success|failed|abandoned|pending, amount, currency, paidAt, gatewayResponse, raw }
+ *   refund({ reference, amount, currency, reason })
+ *     -> { id, status: processed|pending, raw }
+ *   verifyWebhook(rawBody, headers) -> boolean
+ *   parseWebhook(payload, rawBody)
+ *     -> { eventId, event, type, reference, data }
+ *
+ * Amounts are in the currency's minor unit (kobo). Webhook `type` is one of
+ * charge.success, charge.failed, refund.processed, refund.failed,
+ * dispute.created, or null for events we do not act on.
+ */
+const PROVIDERS = {
+  paystack: paystackProvider,
+  mock: mockProvider
+};
+
+class PaymentProviders {
+  /**
+   * Providers that can be used in this environment. Anyone can complete a
+   * mock checkout, so the mock gateway is off unless PAYMENT_MOCK_ENABLED=true
+   * and never available in production.
+   */
+  getEnabledProviders() {
+    return Object.keys(PROVIDERS)
+      .filter(name => name !== 'mock' || this.isMockEnabled());
+  }
+
+  isMockEnabled() {
+    return process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+  }
+
+  getDefaultProviderName() {
+    const configured = process.env.PAYMENT_PROVIDER || 'paystack';
+    return this.getEnabledProviders().includes(configured) ? configured : 'paystack';
+  }
+
+  /**
+   * Look up a provider by name, falling back to the configured default
+   */
+  get(name) {
+    const providerName = name || this.getDefaultProviderName();
+
+    if (!this.getEnabledProviders().includes(providerName)) {
+      throw providerError(`Unsupported payment provider: ${providerName}`);
+    }
+
+    return PROVIDERS[providerName];
+  }
+}
+
+module.exports = new PaymentProviders();
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { providerError } = require('./providerError');
+
+const OUTCOMES = ['success', 'failed', 'abandoned'];
+
+/**
+ * Local stand-in for a payment gateway. Transactions live in memory and are
+ * settled through the mock checkout endpoint, so the whole order-to-paid flow
+ * can run without network access.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.outcomes = OUTCOMES;
+    this.transactions = new Map();
+    this.refundCount = 0;
+  }
+
+  get secret() {
+    return process.env.MOCK_PAYMENT_SECRET || 'mock_secret';
+  }
+
+  async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const transaction = {
+      id: crypto.randomInt(1e9),
+      reference,
+      amount,
+      currency,
+      email,
+      callbackUrl,
+      metadata,
+      status: 'pending',
+      createdAt: new Date()
+    };
+    this.transactions.set(reference, transaction);
+
+    return {
+      reference,
+      authorizationUrl: `${process.env.BASE_URL || 'http://localhost:3000'}/payments/mock/checkout/${reference}`,
+      accessCode: `mock_${reference}`,
+      raw: { ...transaction }
+    };
+  }
+
+  getTransaction(reference) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      throw providerError('Transaction reference not found');
+    }
+    return transaction;
+  }
+
+  async verify(reference) {
+    const transaction = this.getTransaction(reference);
+
+    return {
+      status: transaction.status,
+      amount: transaction.amountPaid !== undefined ? transaction.amountPaid : transaction.amount,
+      currency: transaction.currency,
+      paidAt: transaction.paidAt,
+      gatewayResponse: transaction.gatewayResponse,
+      raw: { ...transaction }
+    };
+  }
+
+  /**
+   * Settle a pending transaction the way a customer at checkout would.
+   * `amount` (kobo) overrides what was charged, to simulate underpayment.
+   * Returns the webhook payload the gateway would send, or null when the
+   * customer walks away.
+   */
+  complete(reference, outcome, { amount } = {}) {
+    if (!OUTCOMES.includes(outcome)) {
+      throw providerError(`Outcome must be one of: ${OUTCOMES.join(', ')}`);
+    }
+
+    const transaction = this.getTransaction(reference);
+    if (transaction.status !== 'pending') {
+      throw providerError(`Transaction is already ${transaction.status}`);
+    }
+
+    transaction.status = outcome;
+    transaction.gatewayResponse = { success: 'Approved', failed: 'Declined', abandoned: 'Abandoned' }[outcome];
+    if (outcome === 'success') {
+      transaction.paidAt = new Date();
+      transaction.amountPaid = amount !== undefined ? amount : transaction.amount;
+    }
+
+    if (outcome === 'abandoned') {
+      return null;
+    }
+
+    return {
+      event: outcome === 'success' ? 'charge.success' : 'charge.failed',
+      data: {
+        id: transaction.id,
+        reference,
+        amount: outcome === 'success' ? transaction.amountPaid : transaction.amount,
+        currency: transaction.currency,
+        paid_at: transaction.paidAt,
+        gateway_response: transaction.gatewayResponse
+      }
+    };
+  }
+
+  async refund({ reference, amount }) {
+    const transaction = this.getTransaction(reference);
+    if (transaction.status !== 'success') {
+      throw providerError('Only successful transactions can be refunded');
+    }
+
+    this.refundCount++;
+    return {
+      id: `mock_refund_${this.refundCount}`,
+      status: 'processed',
+      raw: { reference, amount, status: 'processed' }
+    };
+  }
+
+  sign(rawBody) {
+    return crypto.createHmac('sha512', this.secret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    const expected = this.sign(rawBody);
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  parseWebhook(payload) {
+    const data = payload.data || {};
+
+    return {
+      eventId: `${payload.event}:${data.id}`,
+      event: payload.event,
+      type: ['charge.success', 'charge.failed'].includes(payload.event) ? payload.event : null,
+      reference: data.reference,
+      data: {
+        id: data.id ? String(data.id) : undefined,
+        amount: Number(data.amount),
+        currency: data.currency,
+        paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+        gatewayResponse: data.gateway_response,
+        raw: data
+      }
+    };
+  }
+}
+
+module.exports = new MockProvider();
@@ -0,0 +1,145 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { providerError } = require('./providerError');
+
+const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+
+// Paystack event names mapped to the normalized webhook event types
+const EVENT_TYPES = {
+  'charge.success': 'charge.success',
+  'charge.failed': 'charge.failed',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed',
+  'charge.dispute.create': 'dispute.created'
+};
+
+class PaystackProvider {
+  constructor() {
+    this.name = 'paystack';
+  }
+
+  async request(method, path, data) {
+    try {
+      const response = await axios({
+        method,
+        url: `${PAYSTACK_BASE_URL}${path}`,
+        data,
+        headers: {
+          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.data.status !== true) {
+        throw providerError(response.data.message || 'Paystack request failed');
+      }
+
+      return response.data.data;
+    } catch (error) {
+      if (error.response && error.response.data) {
+        throw providerError(error.response.data.message || 'Paystack request failed', error.response.data);
+      }
+      throw error;
+    }
+  }
+
+  async initialize({ reference, amount, currency, email, callbackUrl, metadata }) {
+    const data = await this.request('post', '/transaction/initialize', {
+      email,
+      amount,
+      currency,
+      reference,
+      callback_url: callbackUrl,
+      metadata
+    });
+
+    return {
+      reference,
+      authorizationUrl: data.authorization_url,
+      accessCode: data.access_code,
+      raw: data
+    };
+  }
+
+  async verify(reference) {
+    const data = await this.request('get', `/transaction/verify/${encodeURIComponent(reference)}`);
+
+    return {
+      status: ['success', 'failed', 'abandoned'].includes(data.status) ? data.status : 'pending',
+      amount: data.amount,
+      currency: data.currency,
+      paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+      gatewayResponse: data.gateway_response,
+      raw: data
+    };
+  }
+
+  /**
+   * `amount` is in kobo; omit it to refund whatever is left on the transaction
+   */
+  async refund({ reference, amount, currency, reason }) {
+    const data = await this.request('post', '/refund', {
+      transaction: reference,
+      amount,
+      currency,
+      merchant_note: reason
+    });
+
+    return {
+      id: data.id ? String(data.id) : undefined,
+      status: data.status === 'processed' ? 'processed' : 'pending',
+      raw: data
+    };
+  }
+
+  /**
+   * Check the `x-paystack-signature` header against the raw request bytes
+   */
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-paystack-signature'];
+    if (!rawBody || !signature || !process.env.PAYSTACK_SECRET_KEY) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
+      .update(rawBody)
+      .digest('hex');
+
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+
+  /**
+   * Normalize a webhook body. Paystack sends no envelope id, so events are
+   * keyed by type and the id of the object they describe; payloads without
+   * an id fall back to a hash of the body, which retries resend unchanged.
+   */
+  parseWebhook(payload, rawBody) {
+    const data = payload.data || {};
+    const reference = data.reference || data.transaction_reference || (data.transaction && data.transaction.reference);
+    const eventId = data.id
+      ? `${payload.event}:${data.id}`
+      : `${payload.event}:${crypto.createHash('sha256').update(rawBody || JSON.stringify(payload)).digest('hex')}`;
+
+    return {
+      eventId,
+      event: payload.event,
+      type: EVENT_TYPES[payload.event] || null,
+      reference,
+      data: {
+        id: data.id ? String(data.id) : undefined,
+        amount: data.refund_amount !== undefined ? Number(data.refund_amount) : Number(data.amount),
+        currency: data.currency,
+        paidAt: data.paid_at ? new Date(data.paid_at) : undefined,
+        gatewayResponse: data.gateway_response,
+        status: data.status,
+        category: data.category,
+        dueAt: data.due_at ? new Date(data.due_at) : undefined,
+        raw: data
+      }
+    };
+  }
+}
+
+module.exports = new PaystackProvider();
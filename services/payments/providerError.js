@@ -0,0 +1,12 @@
+/**
+ * Errors reported by a payment provider (declined requests, unknown
+ * references). Routes turn these into 400 responses; anything else is a 500.
+ */
+function providerError(message, details) {
+  const error = new Error(message);
+  error.isProviderError = true;
+  error.details = details;
+  return error;
+}
+
+module.exports = { providerError };
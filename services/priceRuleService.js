@@ -0,0 +1,225 @@
+const PriceRule = require('../models/PriceRule');
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const lagosClock = new Intl.DateTimeFormat('en-US', {
+  timeZone: 'Africa/Lagos',
+  weekday: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+/**
+ * Day of the week (0 = Sunday) and minutes since midnight of `date` in Lagos
+ */
+const toLagosTime = date => {
+  const parts = Object.fromEntries(lagosClock.formatToParts(date).map(({ type, value }) => [type, value]));
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Scheduled price rules such as happy hours, weekend specials and dated
+ * campaigns. Windows are evaluated in Africa/Lagos time. When several rules
+ * apply to a cocktail the customer gets the lowest price; modifiers are
+ * always charged in full.
+ *
+ * A fixed price replaces the cocktail's own price. Its variants are reduced
+ * by the same amount, so a pitcher still costs more than a single.
+ */
+class PriceRuleService {
+  /**
+   * Explain why a rule cannot be applied, or null when it is usable
+   */
+  getConfigurationError(rule) {
+    if (rule.type === 'percentage' && !(rule.value > 0 && rule.value <= 100)) {
+      return 'Percentage rules need a value between 1 and 100';
+    }
+    if (rule.type === 'fixed_amount' && !(rule.value > 0)) {
+      return 'Fixed amount rules need a value greater than 0';
+    }
+    if (rule.startsAt && rule.endsAt && rule.startsAt >= rule.endsAt) {
+      return 'The rule must start before it ends';
+    }
+    if (Boolean(rule.startTime) !== Boolean(rule.endTime)) {
+      return 'A time window needs both startTime and endTime';
+    }
+    if (rule.startTime && rule.startTime === rule.endTime) {
+      return 'The time window must not start and end at the same time';
+    }
+    return null;
+  }
+
+  /**
+   * Whether `rule` runs at `now`
+   */
+  isInWindow(rule, now = new Date()) {
+    if (rule.startsAt && now < rule.startsAt) return false;
+    if (rule.endsAt && now > rule.endsAt) return false;
+
+    const { day, minutes } = toLagosTime(now);
+    const days = rule.daysOfWeek || [];
+    const runsOn = weekday => days.length === 0 || days.includes(weekday);
+
+    if (!rule.startTime || !rule.endTime) {
+      return runsOn(day);
+    }
+
+    const start = toMinutes(rule.startTime);
+    const end = toMinutes(rule.endTime);
+    if (start < end) {
+      return runsOn(day) && minutes >= start && minutes < end;
+    }
+
+    // Windows past midnight: the early hours belong to the day before
+    if (minutes >= start) {
+      return runsOn(day);
+    }
+    return minutes < end && runsOn((day + 6) % 7);
+  }
+
+  /**
+   * Active rules whose window includes `now`
+   */
+  async getActiveRules(now = new Date()) {
+    const rules = await PriceRule.find({
+      isActive: true,
+      $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+      ]
+    });
+
+    return rules.filter(rule => this.isInWindow(rule, now));
+  }
+
+  appliesTo(rule, cocktail, state) {
+    if (rule.cocktails.length > 0 && !rule.cocktails.some(id => id.equals(cocktail._id))) return false;
+    if (rule.categories.length > 0 && !rule.categories.includes(cocktail.category)) return false;
+    if (rule.states.length > 0 && !rule.states.includes(state)) return false;
+    return true;
+  }
+
+  /**
+   * `price` after `rule`. `basePrice` is the cocktail's own price when
+   * `price` is a variant's.
+   */
+  discountedPrice(rule, price, basePrice = price) {
+    let discounted = price;
+    if (rule.type === 'percentage') {
+      discounted = price * (1 - rule.value / 100);
+    } else if (rule.type === 'fixed_amount') {
+      discounted = price - rule.value;
+    } else if (rule.type === 'fixed_price') {
+      // A special price never raises the regular one
+      discounted = price - Math.max(basePrice - rule.value, 0);
+    }
+
+    return roundAmount(Math.max(discounted, 0));
+  }
+
+  /**
+   * The lowest price `rules` give `price` of `cocktail` in `state`, where
+   * `basePrice` is the cocktail's own price in `state` when `price` is a
+   * variant's. Returns `{ price, originalPrice, rule }`; `rule` is null when
+   * none applies.
+   */
+  apply(rules, { cocktail, state, price, basePrice = price }) {
+    let best = { price, originalPrice: price, rule: null };
+
+    for (const rule of rules) {
+      if (!this.appliesTo(rule, cocktail, state)) continue;
+
+      const discounted = this.discountedPrice(rule, price, basePrice);
+      if (discounted < best.price) {
+        best = { price: discounted, originalPrice: price, rule };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Unit price of a cart or order line: the variant's price in `state` after
+   * the best rule, plus its modifiers. Returns `{ price, originalPrice,
+   * priceRule }`, with `priceRule` in the form stored on the line.
+   */
+  priceLine(rules, cocktail, { variant, modifiers = [], state }) {
+    const unitPrice = cocktail.priceIn(state, cocktail.findVariant(variant));
+    const modifiersPrice = cocktail.modifiersPrice(modifiers);
+    const applied = this.apply(rules, { cocktail, state, price: unitPrice, basePrice: cocktail.priceIn(state) });
+
+    return {
+      price: roundAmount(applied.price + modifiersPrice),
+      originalPrice: roundAmount(unitPrice + modifiersPrice),
+      priceRule: applied.rule ? { rule: applied.rule._id, name: applied.rule.name } : undefined
+    };
+  }
+
+  /**
+   * Apply `rules` to cocktails already priced for `state` (plain objects from
+   * the catalog). `price` becomes the scheduled price and `originalPrice`
+   * keeps the price before it.
+   */
+  priceCatalog(rules, cocktails, state) {
+    return cocktails.map(cocktail => {
+      const applied = this.apply(rules, { cocktail, state, price: cocktail.price });
+      return {
+        ...cocktail,
+        originalPrice: cocktail.price,
+        price: applied.price,
+        priceRule: applied.rule ? { _id: applied.rule._id, name: applied.rule.name } : null,
+        variants: (cocktail.variants || []).map(variant => ({
+          ...variant,
+          originalPrice: variant.price,
+          price: this.apply(rules, { cocktail, state, price: variant.price, basePrice: cocktail.price }).price
+        }))
+      };
+    });
+  }
+
+  /**
+   * Aggregation expression for the lowest price `rules` give a catalog
+   * document in `state`, matching apply(). `priceExpr` is the price before
+   * rules and `baseExpr` the cocktail's own price, for variants.
+   */
+  priceExpression(rules, state, priceExpr, baseExpr = priceExpr) {
+    const candidates = rules
+      .filter(rule => rule.states.length === 0 || rule.states.includes(state))
+      .map(rule => {
+        const conditions = [];
+        if (rule.cocktails.length > 0) conditions.push({ $in: ['$_id', [...rule.cocktails]] });
+        if (rule.categories.length > 0) conditions.push({ $in: ['$category', [...rule.categories]] });
+
+        const discounted = this.discountExpression(rule, priceExpr, baseExpr);
+        return conditions.length > 0 ? { $cond: [{ $and: conditions }, discounted, priceExpr] } : discounted;
+      });
+
+    return candidates.length > 0 ? { $min: [priceExpr, ...candidates] } : priceExpr;
+  }
+
+  discountExpression(rule, priceExpr, baseExpr) {
+    let discounted = priceExpr;
+    if (rule.type === 'percentage') {
+      discounted = { $multiply: [priceExpr, 1 - rule.value / 100] };
+    } else if (rule.type === 'fixed_amount') {
+      discounted = { $subtract: [priceExpr, rule.value] };
+    } else if (rule.type === 'fixed_price') {
+      discounted = { $subtract: [priceExpr, { $max: [{ $subtract: [baseExpr, rule.value] }, 0] }] };
+    }
+
+    return { $round: [{ $max: [discounted, 0] }, 2] };
+  }
+}
+
+module.exports = new PriceRuleService();
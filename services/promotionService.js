@@ -0,0 +1,260 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Counter = require('../models/Counter');
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+class PromotionService {
+  rejection(status, message) {
+    return { success: false, status, error: 'Promo code not applicable', message };
+  }
+
+  /**
+   * Explain why a promotion cannot be priced, or null when it is usable
+   */
+  getConfigurationError(promotion) {
+    if (promotion.type === 'percentage' && !(promotion.value > 0 && promotion.value <= 100)) {
+      return 'Percentage promotions need a value between 1 and 100';
+    }
+    if (promotion.type === 'fixed_amount' && !(promotion.value > 0)) {
+      return 'Fixed amount promotions need a value greater than 0';
+    }
+    if (promotion.type === 'buy_x_get_y' && !(promotion.buyQuantity && promotion.getQuantity)) {
+      return 'Buy X get Y promotions need buyQuantity and getQuantity';
+    }
+    if (promotion.startsAt && promotion.endsAt && promotion.startsAt >= promotion.endsAt) {
+      return 'The promotion must start before it ends';
+    }
+    return null;
+  }
+
+  /**
+   * Count the redemptions a customer still holds. Signed-in customers are
+   * matched on their account and phone so checking out as a guest does not
+   * reset their usage.
+   */
+  async countCustomerRedemptions(promotion, { user, phone }) {
+    const customer = [];
+    if (user) customer.push({ user });
+    if (phone) customer.push({ phone });
+    if (customer.length === 0) return 0;
+
+    return PromotionRedemption.countDocuments({
+      promotion: promotion._id,
+      status: 'active',
+      $or: customer
+    });
+  }
+
+  /**
+   * Discount in NGN a promotion gives on the eligible items, before caps
+   */
+  calculateAmount(promotion, eligibleItems, eligibleSubtotal, deliveryFee) {
+    switch (promotion.type) {
+      case 'percentage': {
+        const amount = eligibleSubtotal * promotion.value / 100;
+        return promotion.maxDiscount ? Math.min(amount, promotion.maxDiscount) : amount;
+      }
+      case 'fixed_amount':
+        return Math.min(promotion.value, eligibleSubtotal);
+      case 'buy_x_get_y': {
+        const bundleSize = promotion.buyQuantity + promotion.getQuantity;
+        return eligibleItems.reduce((total, item) => {
+          const freeUnits = Math.floor(item.quantity / bundleSize) * promotion.getQuantity;
+          return total + freeUnits * item.price;
+        }, 0);
+      }
+      case 'free_delivery':
+        return deliveryFee;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Check a promotion against an order or cart and price the discount.
+   *
+   * `context` is `{ items, subtotal, deliveryFee, state, user, phone }` where
+   * items are `{ cocktail, price, quantity }` and amounts are in NGN.
+   * Returns `{ success: true, promotion, line }` with the discount line to
+   * store on the order, or `{ success: false, status, error, message }`.
+   */
+  async evaluate(promotion, context) {
+    const { items, subtotal, deliveryFee = 0, state } = context;
+    const now = new Date();
+
+    if (!promotion.isActive || (promotion.endsAt && promotion.endsAt < now)) {
+      return this.rejection(400, 'This promo code has expired');
+    }
+
+    if (promotion.startsAt && promotion.startsAt > now) {
+      return this.rejection(400, 'This promo code is not active yet');
+    }
+
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+      return this.rejection(409, 'This promo code has reached its usage limit');
+    }
+
+    if (subtotal < (promotion.minimumOrderValue || 0)) {
+      return this.rejection(400, `This promo code requires a minimum order of ₦${promotion.minimumOrderValue}`);
+    }
+
+    if (promotion.states.length > 0 && !promotion.states.includes(state)) {
+      return this.rejection(400, `This promo code is not valid for deliveries in ${state || 'your state'}`);
+    }
+
+    const eligibleItems = promotion.cocktails.length > 0
+      ? items.filter(item => promotion.cocktails.some(cocktail => cocktail.equals(item.cocktail)))
+      : items;
+    if (eligibleItems.length === 0) {
+      return this.rejection(400, 'This promo code does not apply to the items in your order');
+    }
+
+    if (promotion.perUserLimit) {
+      const used = await this.countCustomerRedemptions(promotion, context);
+      if (used >= promotion.perUserLimit) {
+        return this.rejection(409, 'You have already used this promo code the maximum number of times');
+      }
+    }
+
+    const eligibleSubtotal = eligibleItems.reduce((total, item) => total + item.price * item.quantity, 0);
+    const amount = roundAmount(this.calculateAmount(promotion, eligibleItems, eligibleSubtotal, deliveryFee));
+
+    // Free delivery stays valid on a zero fee; other promotions must take something off
+    if (amount <= 0 && promotion.type !== 'free_delivery') {
+      return this.rejection(400, 'This promo code does not apply to the items in your order');
+    }
+
+    return {
+      success: true,
+      promotion,
+      line: {
+        promotion: promotion._id,
+        code: promotion.code,
+        type: promotion.type,
+        description: promotion.description || promotion.code,
+        amount
+      }
+    };
+  }
+
+  /**
+   * Look up a promo code and evaluate it
+   */
+  async applyCode(code, context) {
+    const promotion = await Promotion.findOne({ code: (code || '').trim().toUpperCase() });
+    if (!promotion) {
+      return { success: false, status: 404, error: 'Invalid promo code', message: 'This promo code does not exist' };
+    }
+
+    return this.evaluate(promotion, context);
+  }
+
+  /**
+   * Usage counter keys of a customer for a promotion, one per identity the
+   * per-customer limit is matched on
+   */
+  getCustomerKeys(promotion, { user, phone }) {
+    const keys = [];
+    if (user) keys.push(`promotion:${promotion._id}:user:${user}`);
+    if (phone) keys.push(`promotion:${promotion._id}:phone:${phone}`);
+    return keys;
+  }
+
+  /**
+   * Take a per-customer use on each of `keys`. Returns false, with nothing
+   * taken, when any of them is used up.
+   */
+  async claimCustomerUses(keys, limit) {
+    const claimed = [];
+    for (const key of keys) {
+      if (!(await Counter.claim(key, limit))) {
+        await Promise.all(claimed.map(claimedKey => Counter.unclaim(claimedKey)));
+        return false;
+      }
+      claimed.push(key);
+    }
+    return true;
+  }
+
+  /**
+   * Record that an order used a promotion. The global cap and the
+   * per-customer cap are claimed atomically so concurrent checkouts cannot
+   * redeem past `usageLimit` or `perUserLimit`, and both are given back if
+   * the redemption cannot be recorded.
+   */
+  async redeem(promotion, line, { order, user, phone }) {
+    const claimed = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return this.rejection(409, 'This promo code has reached its usage limit');
+    }
+
+    const customerKeys = promotion.perUserLimit ? this.getCustomerKeys(promotion, { user, phone }) : [];
+    if (!(await this.claimCustomerUses(customerKeys, promotion.perUserLimit))) {
+      await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+      return this.rejection(409, 'You have already used this promo code the maximum number of times');
+    }
+
+    try {
+      const redemption = await PromotionRedemption.create({
+        promotion: promotion._id,
+        code: promotion.code,
+        order: order._id,
+        user,
+        phone,
+        amount: line.amount,
+        customerKeys
+      });
+
+      return { success: true, redemption };
+    } catch (error) {
+      console.error('Promotion redemption error:', error);
+      await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+      await Promise.all(customerKeys.map(key => Counter.unclaim(key)));
+      return {
+        success: false,
+        status: 500,
+        error: 'Failed to apply promo code',
+        message: 'Unable to apply this promo code at this time'
+      };
+    }
+  }
+
+  /**
+   * Give back the promo code uses held by a cancelled or expired order.
+   * Each redemption is flipped to `released` atomically so it is only
+   * returned once.
+   */
+  async releaseOrderRedemptions(order, reason) {
+    const redemptions = await PromotionRedemption.find({ order: order._id, status: 'active' });
+    let released = 0;
+
+    for (const redemption of redemptions) {
+      const flipped = await PromotionRedemption.findOneAndUpdate(
+        { _id: redemption._id, status: 'active' },
+        { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } }
+      );
+
+      if (flipped) {
+        await Promotion.updateOne({ _id: redemption.promotion }, { $inc: { usageCount: -1 } });
+        await Promise.all(redemption.customerKeys.map(key => Counter.unclaim(key)));
+        released++;
+      }
+    }
+
+    return { released };
+  }
+}
+
+module.exports = new PromotionService();
@@ -0,0 +1,80 @@
+// Nigerian VAT is 7.5%; each tax category can override it
+const DEFAULT_VAT_RATE = 7.5;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const readRate = (value, fallback) => {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) && rate >= 0 ? rate : fallback;
+};
+
+class TaxService {
+  /**
+   * Rates in percent for each tax category
+   */
+  getRates() {
+    const vatRate = readRate(process.env.VAT_RATE, DEFAULT_VAT_RATE);
+
+    return {
+      alcoholic: readRate(process.env.VAT_RATE_ALCOHOLIC, vatRate),
+      non_alcoholic: readRate(process.env.VAT_RATE_NON_ALCOHOLIC, vatRate)
+    };
+  }
+
+  /**
+   * Whether catalog prices already include tax. Inclusive tax is reported on
+   * the order but not added to the total.
+   */
+  pricesIncludeTax() {
+    return process.env.PRICES_INCLUDE_TAX === 'true';
+  }
+
+  /**
+   * Tax an order or cart. `items` are `{ price, quantity, taxCategory }` and
+   * `discounts` are the order's discount lines. Item discounts are shared
+   * across categories in proportion to their value; free delivery does not
+   * change the taxable amount.
+   *
+   * Returns `{ taxLines, taxTotal, inclusive, taxAdded }` where `taxAdded` is
+   * the amount to add to the order total.
+   */
+  calculate({ items, discounts = [] }) {
+    const rates = this.getRates();
+    const inclusive = this.pricesIncludeTax();
+
+    const subtotal = items.reduce((total, item) => total + item.price * item.quantity, 0);
+    const itemDiscount = discounts
+      .filter(line => line.type !== 'free_delivery')
+      .reduce((total, line) => total + line.amount, 0);
+
+    const categoryTotals = items.reduce((totals, item) => {
+      const category = item.taxCategory || 'alcoholic';
+      totals[category] = (totals[category] || 0) + item.price * item.quantity;
+      return totals;
+    }, {});
+
+    const taxLines = Object.entries(categoryTotals).map(([category, categoryTotal]) => {
+      const rate = rates[category] !== undefined ? rates[category] : DEFAULT_VAT_RATE;
+      const discountShare = subtotal > 0 ? itemDiscount * categoryTotal / subtotal : 0;
+      const gross = Math.max(categoryTotal - discountShare, 0);
+      const amount = inclusive
+        ? roundAmount(gross * rate / (100 + rate))
+        : roundAmount(gross * rate / 100);
+      // Taxable amount is always net of tax
+      const taxableAmount = roundAmount(inclusive ? gross - amount : gross);
+
+      return { category, rate, taxableAmount, amount, inclusive };
+    });
+
+    const taxTotal = roundAmount(taxLines.reduce((total, line) => total + line.amount, 0));
+
+    return {
+      taxLines,
+      taxTotal,
+      inclusive,
+      taxAdded: inclusive ? 0 : taxTotal
+    };
+  }
+}
+
+module.exports = new TaxService();
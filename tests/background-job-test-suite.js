@@ -0,0 +1,165 @@
+/**
+ * Background Job Test Suite
+ *
+ * Runs service code that has no API of its own, such as the unpaid order
+ * sweep and invoice numbering under concurrency, in-process against the
+ * database in MONGO_URI. Use a test database: the suite creates orders and
+ * removes them when it is done.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+
+class JobTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+    this.tests = [];
+    this.orderIds = [];
+  }
+
+  async runTest(testName, testFunction) {
+    try {
+      console.log(`\n🧪 Running: ${testName}`);
+      await testFunction();
+      console.log(`✅ PASSED: ${testName}`);
+      this.passed++;
+      this.tests.push({ name: testName, status: 'PASSED' });
+    } catch (error) {
+      console.log(`❌ FAILED: ${testName}`);
+      console.log(`   Error: ${error.message}`);
+      this.failed++;
+      this.tests.push({ name: testName, status: 'FAILED', error: error.message });
+    }
+  }
+
+  async runAllTests() {
+    console.log('🚀 Starting Background Job Test Suite');
+    console.log('=====================================\n');
+
+    await this.runTest('Expire Order After Failed Payment', () => this.testExpireFailedPaymentOrder());
+    await this.runTest('Number Concurrent Invoices Without Gaps', () => this.testConcurrentInvoiceNumbers());
+    await this.runTest('Grant Concurrent First Claims Up To The Limit', () => this.testConcurrentFirstClaims());
+
+    this.printSummary();
+  }
+
+  /**
+   * Create a guest card order straight in the database
+   */
+  async createOrder(fields = {}) {
+    const order = await Order.create({
+      idempotencyKey: `job-test-${new mongoose.Types.ObjectId()}`,
+      customer: {
+        name: 'John Doe',
+        phone: '+2348012345678',
+        address: '123 Victoria Island, Lagos',
+        state: 'Lagos'
+      },
+      items: [{ cocktail: new mongoose.Types.ObjectId(), quantity: 1, price: 2500 }],
+      subtotal: 2500,
+      totalAmount: 2500,
+      ...fields
+    });
+
+    this.orderIds.push(order._id);
+    return order;
+  }
+
+  async testExpireFailedPaymentOrder() {
+    const orderExpiryService = require('../services/orderExpiryService');
+
+    const order = await this.createOrder({ paymentStatus: 'failed' });
+
+    // Age the order past the unpaid order TTL and run the sweep
+    const createdAt = new Date(Date.now() - (orderExpiryService.ttlMinutes + 1) * 60 * 1000);
+    await Order.collection.updateOne({ _id: order._id }, { $set: { createdAt } });
+    await orderExpiryService.expireUnpaidOrders();
+
+    const expired = await Order.findById(order._id);
+    if (expired.paymentStatus !== 'abandoned') throw new Error('Order whose payment failed should expire');
+    if (expired.fulfillmentStatus !== 'cancelled') throw new Error('Expired order should be cancelled');
+  }
+
+  async testConcurrentInvoiceNumbers() {
+    const invoiceService = require('../services/invoiceService');
+    const orderNumberService = require('../services/orderNumberService');
+
+    const order = await this.createOrder();
+    const key = `invoice:${orderNumberService.getYear(new Date())}`;
+    const before = await Counter.findById(key);
+
+    // Each request loads its own copy of the order, as the routes do
+    const copies = await Promise.all([1, 2, 3].map(() => Order.findById(order._id)));
+    const invoices = await Promise.all(copies.map(copy => invoiceService.assignNumber(copy)));
+
+    if (invoices.some(invoice => invoice.number !== invoices[0].number)) {
+      throw new Error('Concurrent requests should get the same invoice number');
+    }
+
+    const after = await Counter.findById(key);
+    if (after.seq !== (before ? before.seq : 0) + 1) {
+      throw new Error('Concurrent invoice requests should take exactly one number');
+    }
+  }
+
+  async testConcurrentFirstClaims() {
+    const key = `job-test:${new mongoose.Types.ObjectId()}`;
+
+    try {
+      // None of the claims finds an existing counter, so their upserts race
+      const results = await Promise.all([1, 2, 3, 4].map(() => Counter.claim(key, 3)));
+      const granted = results.filter(Boolean).length;
+
+      if (granted !== 3) throw new Error(`Expected 3 of 4 concurrent claims to succeed, got ${granted}`);
+    } finally {
+      await Counter.deleteOne({ _id: key });
+    }
+  }
+
+  printSummary() {
+    console.log('\n📊 Test Results Summary');
+    console.log('======================');
+    console.log(`✅ Passed: ${this.passed}`);
+    console.log(`❌ Failed: ${this.failed}`);
+
+    if (this.failed > 0) {
+      console.log('\n❌ Failed Tests:');
+      this.tests
+        .filter(test => test.status === 'FAILED')
+        .forEach(test => {
+          console.log(`   - ${test.name}: ${test.error}`);
+        });
+    }
+  }
+}
+
+// Run the test suite
+async function runJobTests() {
+  await mongoose.connect(process.env.MONGO_URI);
+  const tester = new JobTester();
+
+  try {
+    await tester.runAllTests();
+  } finally {
+    await Order.deleteMany({ _id: { $in: tester.orderIds } });
+    await mongoose.connection.close();
+  }
+
+  if (tester.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { JobTester, runJobTests };
+
+// Run if this file is executed directly
+if (require.main === module) {
+  runJobTests().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}